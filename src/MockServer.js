@@ -11,28 +11,80 @@ const ApiResponseHandler = require('./modules/ApiResponseHandler');
 const RequestLogger = require('./modules/RequestLogger');
 const MockMatcherDebugger = require('./modules/MockMatcherDebugger');
 const ScenarioValidator = require('./modules/ScenarioValidator');
+const ScenarioStateManager = require('./modules/ScenarioStateManager');
+const ResourceStore = require('./modules/ResourceStore');
+const RequestJournal = require('./modules/RequestJournal');
+const ProxyHandler = require('./modules/ProxyHandler');
+const ResponseSequencer = require('./modules/ResponseSequencer');
+const VirtualClock = require('./modules/VirtualClock');
+const PriceSeries = require('./modules/PriceSeries');
+const FaultInjector = require('./modules/FaultInjector');
+const HandshakeRouter = require('./modules/HandshakeRouter');
+const WsJournal = require('./modules/WsJournal');
+const PluginRegistry = require('./modules/PluginRegistry');
 const { generateCorrelationId, getMessagePreview, createRequestLog, createResponseLog } = require('./utils/fastLogger');
 const { extractPath, optimizeMapping, parseScenarioHeader } = require('./utils/performanceOptimizer');
+const SeededRandom = require('./utils/seededRandom');
 
 class MockServer {
   constructor(logger) {
     this.logger = logger;
     
+    // Shared random source, reproducible when MOCK_SEED is set
+    this.random = new SeededRandom(process.env.MOCK_SEED || null);
+    
+    // Server-wide time source for templates, delays and the scheduler
+    this.clock = new VirtualClock(logger);
+    
     // Initialize modules
-    this.templateEngine = new FastTemplateEngine(logger);
-    this.configManager = new ConfigurationManager(logger);
-    this.connectionManager = new ConnectionManager(logger);
-    this.messageHandler = new MessageHandler(logger, this.templateEngine);
-    this.schedulerService = new SchedulerService(logger, this.templateEngine);
-    this.apiRequestMatcher = new ApiRequestMatcher(logger);
+    this.templateEngine = new FastTemplateEngine(logger, { random: this.random, clock: this.clock });
+    
+    // Custom matchers, template helpers and response transformers loaded from the plugins directory
+    this.plugins = new PluginRegistry(logger, this.templateEngine);
+    this.pluginsDir = 'plugins';
+    
+    this.configManager = new ConfigurationManager(logger, this.plugins);
+    this.faultInjector = new FaultInjector(logger, this.clock, this.random);
+    this.connectionManager = new ConnectionManager(logger, this.faultInjector);
+    this.handshakeRouter = new HandshakeRouter(logger);
+    this.messageHandler = new MessageHandler(logger, this.templateEngine, this.clock, this.plugins);
+    this.schedulerService = new SchedulerService(logger, this.templateEngine, this.clock, this.random);
+    this.apiRequestMatcher = new ApiRequestMatcher(logger, this.plugins);
     this.fastApiMatcher = new FastApiRequestMatcher(logger);
-    this.apiResponseHandler = new ApiResponseHandler(logger, this.templateEngine);
+    this.apiResponseHandler = new ApiResponseHandler(logger, this.templateEngine, this.clock, this.plugins);
     
     // Initialize diagnostic tools
     this.requestLogger = new RequestLogger(logger);
     this.matcherDebugger = new MockMatcherDebugger(logger);
     this.scenarioValidator = new ScenarioValidator(logger);
     
+    // Stateful scenario tracking for REST mappings
+    this.scenarioStateManager = new ScenarioStateManager(logger);
+    
+    // In-memory collections for CRUD resource mappings
+    this.resourceStore = new ResourceStore(logger, this.templateEngine);
+    
+    // Bounded record of handled requests for verification
+    this.requestJournal = new RequestJournal(logger, this.apiRequestMatcher, {
+      clock: this.clock,
+      maxEntries: parseInt(process.env.JOURNAL_MAX_ENTRIES) || RequestJournal.DEFAULT_MAX_ENTRIES
+    });
+    
+    // Bounded record of WebSocket messages and connection events, kept after disconnects
+    this.wsJournal = new WsJournal(logger, this.apiRequestMatcher, {
+      maxEntries: parseInt(process.env.WS_JOURNAL_MAX_ENTRIES) || WsJournal.DEFAULT_MAX_ENTRIES
+    });
+    
+    // Upstream forwarding and record-and-playback
+    this.proxyHandler = new ProxyHandler(logger, this.configManager);
+    
+    // Per-mapping call counters for response sequences
+    this.responseSequencer = new ResponseSequencer(logger, this.random);
+    
+    // Shared random-walk price series for {{series}} templates
+    this.priceSeries = new PriceSeries(logger, this.clock, this.random);
+    this.templateEngine.registerHelpers(this.priceSeries.createHelpers());
+    
     // Server management
     this.activeServers = new Map();
     this.loadedMocks = {
@@ -47,6 +99,10 @@ class MockServer {
     // Track registered API routes and mappings
     this.registeredApiRoutes = new Map(); // key: 'METHOD /path', value: array of mappings
     this.apiMappings = []; // All API mappings in order
+    this.runtimeMappingCount = 0; // Mappings created through /__admin/mappings
+    
+    // WebSocket endpoints: routes are registered once, the configs behind a path are swapped on reload
+    this.wsEndpoints = new Map(); // key: path, value: WebSocket configurations, routed by handshake
     
     // Setup event listeners
     this.setupEventListeners();
@@ -62,6 +118,10 @@ class MockServer {
       await this.configManager.loadSchema();
       this.logger.info('Schemas loaded successfully');
       
+      // Load plugins first so configurations can refer to them
+      this.pluginsDir = options.pluginsDir || this.pluginsDir;
+      this.loadPlugins();
+      
       // Load configurations
       const loadResults = await this.configManager.loadConfigurations(
         options.configDir || 'mocks',
@@ -103,6 +163,16 @@ class MockServer {
     }
   }
 
+  /**
+   * Load plugins from the plugins directory, replacing the ones loaded before
+   */
+  loadPlugins() {
+    const { loaded, failed } = this.plugins.loadPlugins(this.pluginsDir);
+    if (loaded > 0 || failed > 0) {
+      this.logger.info(`🧩 Plugins: ${loaded} loaded${failed > 0 ? `, ${failed} failed` : ''} from ${this.pluginsDir}`);
+    }
+  }
+
   /**
    * Organize mocks by type for status endpoint
    * @param {Array} configs - Loaded configurations
@@ -135,7 +205,7 @@ class MockServer {
                     displayId = `${idParts[idParts.length - 2]}-${displayId}`;
                   }
                   
-                  const interval = msg.interval ? `@${msg.interval}ms` : '';
+                  const interval = msg.interval ? `@${msg.interval}ms` : msg.cron ? '@cron' : msg.replay ? '@replay' : '';
                   let descriptor = `scheduled:${displayId}${interval}`;
                   // Only add if not already seen (deduplication)
                   if (!seenDescriptors.has(descriptor)) {
@@ -185,9 +255,16 @@ class MockServer {
         } else {
           // Single config (not merged)
           const operations = [];
+          if (config.path) {
+            operations.push(`path:${config.path}`);
+          }
+          if (config.handshake) {
+            const { query = {}, headers = {}, subprotocols = [] } = config.handshake;
+            operations.push(`handshake:${[...Object.keys(query), ...Object.keys(headers), ...subprotocols].join(',')}`);
+          }
           if (config.scheduledMessages) {
             config.scheduledMessages.forEach(msg => {
-              const interval = msg.interval ? `@${msg.interval}ms` : '';
+              const interval = msg.interval ? `@${msg.interval}ms` : msg.cron ? '@cron' : msg.replay ? '@replay' : '';
               let descriptor = `scheduled:${msg.id}${interval}`;
               operations.push(descriptor);
             });
@@ -270,7 +347,7 @@ class MockServer {
             }
             
             // Add response status
-            endpointObj.responseStatus = mapping.response.status || 200;
+            endpointObj.responseStatus = mapping.response?.status || 200;
             
             endpointsInfo.endpoints.push(endpointObj);
             
@@ -345,6 +422,7 @@ class MockServer {
     
     // Register all configurations
     for (const config of configs) {
+      this.priceSeries.register(config);
       if (config.type === 'ws') {
         this.registerWebSocketHandlers(server, config);
       } else if (config.type === 'api') {
@@ -415,6 +493,28 @@ class MockServer {
       exposeHeadRoutes: false  // Disable automatic HEAD route generation
     });
 
+    // Accept any content type as a raw string on the mock routes so non-JSON requests can be
+    // matched and proxied; every other route keeps answering unknown content types with 415
+    server.addContentTypeParser('*', { parseAs: 'string' }, (request, body, done) => {
+      if (!request.routeOptions.config.anyContentType) {
+        const error = new Error(`Unsupported Media Type: ${request.headers['content-type']}`);
+        error.statusCode = 415;
+        error.code = 'FST_ERR_CTP_INVALID_MEDIA_TYPE';
+        return done(error);
+      }
+
+      request.rawBody = body;
+      done(null, body);
+    });
+
+    // Parse JSON as usual but keep the raw text for custom matchers (e.g. signature checks)
+    const parseJson = server.getDefaultJsonParser('error', 'error');
+    server.removeContentTypeParser('application/json');
+    server.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+      request.rawBody = body;
+      parseJson(request, body, done);
+    });
+
     // Register static file serving plugin (following Fastify best practices)
     await server.register(require('@fastify/static'), {
       root: require('path').join(process.cwd(), 'public'),
@@ -436,7 +536,9 @@ class MockServer {
     await server.register(websocketPlugin, {
       options: {
         maxPayload: 1048576, // 1MB
-        clientTracking: true
+        clientTracking: true,
+        // Subprotocol chosen by the handshake, otherwise the client's first choice
+        handleProtocols: (protocols, req) => req.wsRoute?.protocol || protocols.values().next().value
       }
     });
 
@@ -447,11 +549,103 @@ class MockServer {
    * Register WebSocket handlers for a configuration
    */
   registerWebSocketHandlers(server, config) {
+    const path = this.configManager.getWebSocketPath(config);
+    if (this.wsEndpoints.has(path)) {
+      if (!this.addWebSocketRoute(this.wsEndpoints.get(path), config)) {
+        this.logger.warn({ config: config.name, path }, 'WebSocket path already registered, skipping configuration');
+      }
+      return;
+    }
+
+    this.wsEndpoints.set(path, [config]);
     server.register(async (fastify) => {
-      fastify.get('/ws', { websocket: true }, (socket, req) => {
-        this.handleNewConnection(socket, req, config);
+      // Pick the configuration before the upgrade so failed handshakes get an HTTP error
+      const preValidation = async (request, reply) => {
+        const configs = this.wsEndpoints.get(path) || [];
+        if (configs.length === 0) return;
+
+        const route = this.handshakeRouter.route(configs, request);
+        if (route.rejection) {
+          this.wsJournal.record({
+            direction: 'event',
+            type: 'rejected',
+            configName: route.rejection.config,
+            path,
+            status: route.rejection.status,
+            message: route.rejection.message
+          });
+          this.logger.info({
+            type: 'ws-rejected',
+            path,
+            ...route.rejection
+          }, `✗ WS upgrade rejected on ${path}: ${route.rejection.status} ${route.rejection.message}`);
+          return this.handshakeRouter.reject(reply, route.rejection);
+        }
+        request.raw.wsRoute = route;
+      };
+
+      fastify.get(path, { websocket: true, preValidation }, (socket, req) => {
+        // Resolve per connection so reloaded configurations apply to new clients
+        const current = req.raw.wsRoute?.config;
+        if (!current) {
+          socket.close(1008, 'WebSocket endpoint no longer configured');
+          return;
+        }
+        this.handleNewConnection(socket, req, current);
       });
     });
+
+    this.logger.debug({ config: config.name, path }, 'WebSocket endpoint registered');
+  }
+
+  /**
+   * Add a configuration to the ones sharing a path
+   * Configurations with a handshake are tried first; only one may accept every upgrade
+   * @param {Array} configs - Configurations on the path, in routing order
+   * @param {Object} config - Configuration to add
+   * @returns {boolean} False if both it and an existing configuration lack a handshake
+   */
+  addWebSocketRoute(configs, config) {
+    if (config.handshake) {
+      const fallback = configs.findIndex(existing => !existing.handshake);
+      configs.splice(fallback === -1 ? configs.length : fallback, 0, config);
+      return true;
+    }
+
+    if (configs.some(existing => !existing.handshake)) {
+      return false;
+    }
+    configs.push(config);
+    return true;
+  }
+
+  /**
+   * Point existing WebSocket routes at reloaded configurations
+   * Routes cannot be added to a running server, so new paths need a restart
+   * @param {Array} configs - Reloaded configurations
+   */
+  refreshWebSocketEndpoints(configs) {
+    const registeredPaths = new Set(this.wsEndpoints.keys());
+    this.wsEndpoints.clear();
+
+    for (const config of configs.filter(c => c.type === 'ws')) {
+      const path = this.configManager.getWebSocketPath(config);
+      if (registeredPaths.has(path)) {
+        if (!this.wsEndpoints.has(path)) {
+          this.wsEndpoints.set(path, []);
+        }
+        this.addWebSocketRoute(this.wsEndpoints.get(path), config);
+      } else {
+        this.logger.warn({ config: config.name, path }, 'New WebSocket path requires a server restart');
+      }
+    }
+
+    // Paths without a configuration stay registered but reject new connections
+    for (const path of registeredPaths) {
+      if (!this.wsEndpoints.has(path)) {
+        this.logger.warn({ path }, 'WebSocket path no longer configured, new connections will be rejected');
+      }
+    }
   }
 
   /**
@@ -464,33 +658,20 @@ class MockServer {
     const failedMappings = [];
 
     config.mappings.forEach((mapping, index) => {
-      if (mapping.enabled !== false) { // Default to enabled
-        const method = (mapping.request.method || 'GET').toUpperCase();
-        const path = mapping.request.urlPath || mapping.request.urlPathPattern;
-        
-        if (!path) {
-          this.logger.warn({
-            config: config.name,
-            mappingIndex: index
-          }, 'API mapping missing URL path');
-          return;
-        }
-        
-        // Store mapping with config info and priority
-        const enrichedMapping = {
-          ...mapping,
-          _configName: config.name,
-          _configLocation: config._location || config.name,
-          _mappingIndex: index,
-          _priority: this.calculateMappingPriority(mapping)
-        };
-        
-        // Optimize the mapping for fast matching
-        const optimizedMapping = optimizeMapping(enrichedMapping);
-        
-        // Add to global mappings list
-        this.apiMappings.push(optimizedMapping);
+      const path = mapping.request.urlPath || mapping.request.urlPathPattern;
+      
+      if (!path) {
+        this.logger.warn({
+          config: config.name,
+          mappingIndex: index
+        }, 'API mapping missing URL path');
+        return;
       }
+      
+      // Disabled mappings are kept so they can be enabled at runtime via /__admin/mappings
+      const apiMapping = this.buildApiMapping(mapping, config.name, config._location || config.name, index);
+      this.apiMappings.push(apiMapping);
+      this.resourceStore.register(apiMapping);
     });
     
     // If there were failures, add to failedMocks
@@ -503,6 +684,33 @@ class MockServer {
     }
   }
 
+  /**
+   * Enrich a mapping with its origin and priority and optimize it for fast matching
+   * @param {Object} mapping - Mapping as defined in the configuration
+   * @param {string} configName - Name of the owning configuration
+   * @param {string} configLocation - Location of the owning configuration
+   * @param {number} index - Mapping index (tie-breaker for equal priorities)
+   * @returns {Object} Mapping ready to be stored in apiMappings
+   */
+  buildApiMapping(mapping, configName, configLocation, index) {
+    const enrichedMapping = {
+      ...mapping,
+      _configName: configName,
+      _configLocation: configLocation,
+      _mappingIndex: index,
+      _priority: this.calculateMappingPriority(mapping)
+    };
+    
+    return optimizeMapping(enrichedMapping);
+  }
+
+  /**
+   * Get the identifier used to address a mapping (its id, or location#index when it has none)
+   */
+  getMappingKey(mapping) {
+    return mapping.id || `${mapping._configLocation}#${mapping._mappingIndex}`;
+  }
+
   /**
    * Convert URL pattern to Fastify route format
    */
@@ -532,6 +740,11 @@ class MockServer {
   calculateMappingPriority(mapping) {
     const path = mapping.request.urlPath || mapping.request.urlPathPattern;
     
+    // Priority 50: Resource collections (urlPath plus /:id) - after exact paths, before patterns
+    if (mapping.resource) {
+      return 50;
+    }
+    
     // Priority 1: Exact paths (urlPath)
     if (mapping.request.urlPath) {
       return 1;
@@ -605,19 +818,29 @@ class MockServer {
     // Log incoming request with diagnostic information
     this.requestLogger.logIncomingRequest(request, correlationId, parsedScenario);
     
+    // Disabled mappings stay registered but never match
+    const activeMappings = this.apiMappings.filter(mapping => mapping.enabled !== false);
+    
     // Debug matching session (tests all mappings)
     const matchingSession = this.matcherDebugger.debugMatchingSession(
-      correlationId, request, this.apiMappings, urlPath
+      correlationId, request, activeMappings, urlPath
     );
     
     // Try each mapping in priority order
-    for (const mapping of this.apiMappings) {
-      // Use fast matcher for optimized mappings
-      const matches = mapping._optimized 
-        ? this.fastApiMatcher.matches(request, mapping, urlPath)
-        : await this.apiRequestMatcher.matches(request, mapping.request);
+    for (const mapping of activeMappings) {
+      // Resource mappings match their collection path and /:id; others use the fast matcher when optimized
+      const matches = mapping.resource
+        ? this.resourceStore.matches(request, mapping, urlPath)
+        : mapping._optimized 
+          ? this.fastApiMatcher.matches(request, mapping, urlPath)
+          : await this.apiRequestMatcher.matches(request, mapping.request);
       
       if (matches) {
+        // Mappings bound to a scenario only match in their required state
+        if (!this.scenarioStateManager.isMappingActive(mapping)) {
+          continue;
+        }
+
         // Log successful match with detailed information
         const matchDetails = mapping._optimized 
           ? this.fastApiMatcher.getMatchDetails(request, mapping)
@@ -632,8 +855,24 @@ class MockServer {
         
         this.requestLogger.logMockMatch(correlationId, mapping, matchDetails);
         
-        // Check for dynamic scenario patterns in header
-        let responseConfig = { ...mapping.response };
+        // Move the scenario on before responding so concurrent requests see the new state
+        this.scenarioStateManager.applyTransition(mapping, correlationId);
+        
+        // Resource mappings may still carry a response block for delay; proxied responses answer from upstream
+        const response = mapping.responses
+          ? this.responseSequencer.next(this.getMappingKey(mapping), mapping)
+          : mapping.response;
+        const proxied = !mapping.resource && !!response.proxyBaseUrl;
+        
+        let responseConfig;
+        if (mapping.resource) {
+          responseConfig = { ...response, ...this.resourceStore.handleRequest(request, mapping, urlPath, { request, correlationId }) };
+        } else if (proxied) {
+          responseConfig = await this.forwardUpstream(request, correlationId,
+            () => this.proxyHandler.forwardMapping(request, response));
+        } else {
+          responseConfig = { ...response };
+        }
         
         // Check if scenarios are allowed for this mapping
         if (scenarioHeader && scenarioValidation?.valid && this.isScenarioAllowed(scenarioHeader, mapping)) {
@@ -659,16 +898,35 @@ class MockServer {
         
         // Process response
         const processingTime = Date.now() - startTime;
-        await this.apiResponseHandler.sendResponse(reply, responseConfig, { request, correlationId });
+        const sentResponse = await this.apiResponseHandler.sendResponse(reply, responseConfig, { request, correlationId });
         
         // Log response details
         this.requestLogger.logResponse(correlationId, responseConfig, processingTime);
+        this.requestJournal.record(request, {
+          correlationId,
+          mapping,
+          response: sentResponse,
+          processingTime,
+          proxied
+        });
         
         return true;
       }
     }
     
-    // No match found - check if we have partial matches
+    // No match found - forward to the upstream while recording
+    if (this.proxyHandler.isRecording()) {
+      const responseConfig = await this.forwardUpstream(request, correlationId,
+        () => this.proxyHandler.forwardAndRecord(request));
+      const sentResponse = await this.apiResponseHandler.sendResponse(reply, responseConfig, { request, correlationId });
+      const proxyTime = Date.now() - startTime;
+      
+      this.requestLogger.logResponse(correlationId, responseConfig, proxyTime);
+      this.requestJournal.record(request, { correlationId, response: sentResponse, processingTime: proxyTime, proxied: true });
+      return true;
+    }
+    
+    // Check if we have partial matches
     const processingTime = Date.now() - startTime;
     
     // Check if we had partial matches from the debug session
@@ -693,14 +951,56 @@ class MockServer {
       };
       
       reply.code(400).send(errorResponse);
+      this.requestJournal.record(request, {
+        correlationId,
+        response: { status: 400, headers: {}, body: errorResponse },
+        processingTime
+      });
       return true; // We handled the response
     }
     
-    // No partial matches - truly no match found
+    // No partial matches - truly no match found (the not found handler answers with 404)
     // Logging is already handled by RequestLogger and MockMatcherDebugger
+    this.requestJournal.record(request, {
+      correlationId,
+      response: { status: 404, headers: {}, body: null },
+      processingTime
+    });
     return false;
   }
 
+  /**
+   * Run an upstream forward, answering 502 when the upstream fails
+   * @param {Object} request - Fastify request object
+   * @param {string} correlationId - Request correlation ID
+   * @param {Function} forward - Returns a promise of the response configuration
+   */
+  async forwardUpstream(request, correlationId, forward) {
+    try {
+      const responseConfig = await forward();
+      
+      this.logger.info({
+        correlationId,
+        status: responseConfig.status
+      }, `↪️ [${correlationId}] Proxied ${request.method} ${request.url}`);
+      
+      return responseConfig;
+    } catch (error) {
+      this.logger.error({
+        correlationId,
+        error: error.message
+      }, `Failed to forward ${request.method} ${request.url} to upstream`);
+      
+      return {
+        status: 502,
+        jsonBody: {
+          error: 'Bad Gateway',
+          message: `Upstream request failed: ${error.message}`
+        }
+      };
+    }
+  }
+
   /**
    * Get requirements for an endpoint to show in error messages
    */
@@ -1091,7 +1391,7 @@ class MockServer {
     const methods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
     
     methods.forEach(method => {
-      server[method.toLowerCase()]('/*', async (request, reply) => {
+      server[method.toLowerCase()]('/*', { config: { anyContentType: true } }, async (request, reply) => {
         const matched = await this.matchApiRequest(request, reply);
         if (!matched) {
           // Let it fall through to the not found handler
@@ -1326,7 +1626,7 @@ class MockServer {
     server.get('/timeout/:seconds', async (request, reply) => {
       const seconds = parseInt(request.params.seconds);
       if (seconds >= 0 && seconds <= 60) {
-        await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+        await this.clock.sleep(seconds * 1000);
         reply.send({
           message: `Response after ${seconds} second(s) delay`
         });
@@ -1373,135 +1673,1291 @@ class MockServer {
       }
     });
 
+    // Admin endpoints for runtime control
+    this.registerMappingEndpoints(server);
+    this.registerRequestJournalEndpoints(server);
+    this.registerWsJournalEndpoints(server);
+    this.registerSequenceEndpoints(server);
+    this.registerRecordingEndpoints(server);
+    this.registerScenarioEndpoints(server);
+    this.registerResourceEndpoints(server);
+    this.registerSeedEndpoints(server);
+    this.registerClockEndpoints(server);
+    this.registerSeriesEndpoints(server);
+    this.registerWebSocketAdminEndpoints(server);
+    this.registerFaultEndpoints(server);
+    this.registerSchedulerEndpoints(server);
+    this.registerPluginEndpoints(server);
   }
 
   /**
-   * Handle new WebSocket connection
-   * @param {Object} socket - WebSocket socket object from Fastify
-   * @param {Object} req - HTTP request
-   * @param {Object} config - Server configuration
+   * Register admin endpoints for managing API mappings at runtime (in memory only, never written to disk)
    */
-  handleNewConnection(socket, req, config) {
-    // Register connection
-    const connectionId = this.connectionManager.addConnection(socket, config, {
-      headers: req.headers,
-      query: req.query,
-      ip: req.ip
+  registerMappingEndpoints(server) {
+    const notFound = (reply, id) => reply.code(404).send({
+      error: 'Not Found',
+      message: `Mapping '${id}' not found`
     });
 
-    if (!connectionId) {
-      // Connection was rejected (e.g., limit exceeded)
-      return;
-    }
+    // List all mappings in matching order
+    server.get('/__admin/mappings', async (request, reply) => {
+      return {
+        total: this.apiMappings.length,
+        mappings: this.apiMappings.map(mapping => this.getMappingSummary(mapping))
+      };
+    });
 
-    const connectionInfo = this.connectionManager.getConnection(connectionId);
+    // Get a single mapping
+    server.get('/__admin/mappings/:id', async (request, reply) => {
+      const mapping = this.findApiMapping(request.params.id);
+      if (!mapping) {
+        return notFound(reply, request.params.id);
+      }
 
-    // Send welcome message if configured
-    if (config.connectionBehavior?.onConnect) {
-      setTimeout(() => {
-        const welcomeMessage = this.templateEngine.process(
-          config.connectionBehavior.onConnect.message,
-          { connection: connectionInfo }
-        );
-        this.connectionManager.sendToConnection(connectionId, welcomeMessage);
-      }, config.connectionBehavior.onConnect.delay || 0);
-    }
+      return {
+        ...this.getMappingSummary(mapping),
+        mapping: this.getMappingDefinition(mapping)
+      };
+    });
 
-    // Handle incoming messages
-    socket.on('message', async (rawMessage) => {
-      try {
-        this.connectionManager.recordMessageReceived(connectionId);
-        
-        // Log client interaction
-        let parsedMessage;
-        try {
-          parsedMessage = JSON.parse(rawMessage.toString());
-        } catch {
-          parsedMessage = rawMessage.toString();
-        }
-        
-        // Generate message correlation ID
-        const msgCorrelationId = generateCorrelationId('msg');
-        
-        // Simple WebSocket request log
-        const messagePreview = getMessagePreview(parsedMessage);
-        this.logger.info({ 
-          type: 'ws-request', 
-          connectionId, 
-          correlationId: msgCorrelationId 
-        }, `→ WS [${connectionId}] [${msgCorrelationId}] ${messagePreview}`);
-        
-        this.logger.debug({
-          connectionId,
-          message: parsedMessage
-        }, 'Client message received');
-        
-        const matchedRules = await this.messageHandler.handleIncomingMessage(
-          connectionId,
-          rawMessage,
-          config,
-          connectionInfo,
-          msgCorrelationId
-        );
+    // Create a mapping
+    server.post('/__admin/mappings', async (request, reply) => {
+      const definition = { ...request.body };
+      const errors = this.validateMappingDefinition(definition);
+      if (errors) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid mapping',
+          errors
+        });
+      }
 
-        // Matching info logged at debug level in MessageHandler
-      } catch (error) {
-        this.logger.error({
-          connectionId,
-          error: error.message
-        }, 'Error processing message');
+      definition.id = definition.id || this.templateEngine.generateUUID();
+      if (this.findApiMapping(definition.id)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `Mapping '${definition.id}' already exists`
+        });
       }
+
+      // Negative, decreasing indexes put the newest runtime mapping first among equal priorities
+      this.runtimeMappingCount++;
+      const mapping = this.buildApiMapping(definition, 'admin', 'admin', -this.runtimeMappingCount);
+      this.apiMappings.push(mapping);
+      this.sortApiMappingsByPriority();
+      this.resourceStore.register(mapping);
+
+      this.logger.info({ mappingId: definition.id }, '➕ API mapping created via admin API');
+
+      return reply.code(201).send({
+        ...this.getMappingSummary(mapping),
+        mapping: this.getMappingDefinition(mapping)
+      });
     });
 
-    // Handle disconnection
-    socket.on('close', () => {
-      this.connectionManager.removeConnection(connectionId);
-      this.messageHandler.clearHistory(connectionId);
+    // Replace a mapping (keeps its id and origin)
+    server.put('/__admin/mappings/:id', async (request, reply) => {
+      const existing = this.findApiMapping(request.params.id);
+      if (!existing) {
+        return notFound(reply, request.params.id);
+      }
+
+      const definition = { ...request.body };
+      if (existing.id) {
+        definition.id = existing.id;
+      } else {
+        delete definition.id;
+      }
+
+      const errors = this.validateMappingDefinition(definition);
+      if (errors) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid mapping',
+          errors
+        });
+      }
+
+      const mapping = this.buildApiMapping(definition, existing._configName, existing._configLocation, existing._mappingIndex);
+      this.apiMappings[this.apiMappings.indexOf(existing)] = mapping;
+      this.sortApiMappingsByPriority();
+      this.resourceStore.register(mapping);
+
+      this.responseSequencer.reset(this.getMappingKey(mapping));
+
+      this.logger.info({ mappingId: request.params.id }, '✏️ API mapping updated via admin API');
+
+      return {
+        ...this.getMappingSummary(mapping),
+        mapping: this.getMappingDefinition(mapping)
+      };
     });
 
-    // Handle errors
-    socket.on('error', (error) => {
-      this.logger.error({
-        connectionId,
-        error: error.message
-      }, 'WebSocket error');
+    // Delete a mapping
+    server.delete('/__admin/mappings/:id', async (request, reply) => {
+      const existing = this.findApiMapping(request.params.id);
+      if (!existing) {
+        return notFound(reply, request.params.id);
+      }
+
+      this.apiMappings.splice(this.apiMappings.indexOf(existing), 1);
+      this.sortApiMappingsByPriority();
+
+      this.responseSequencer.reset(request.params.id);
+
+      this.logger.info({ mappingId: request.params.id }, '🗑️ API mapping deleted via admin API');
+
+      return {
+        status: 'success',
+        message: `Mapping '${request.params.id}' deleted`
+      };
+    });
+
+    // Enable or disable a mapping without removing it
+    ['enable', 'disable'].forEach(action => {
+      server.post(`/__admin/mappings/:id/${action}`, async (request, reply) => {
+        const mapping = this.findApiMapping(request.params.id);
+        if (!mapping) {
+          return notFound(reply, request.params.id);
+        }
+
+        mapping.enabled = action === 'enable';
+        this.sortApiMappingsByPriority();
+
+        this.logger.info({ mappingId: request.params.id, enabled: mapping.enabled }, `API mapping ${action}d via admin API`);
+
+        return this.getMappingSummary(mapping);
+      });
     });
   }
 
   /**
-   * Setup event listeners between modules
+   * Register admin endpoints for querying and verifying the request journal
    */
-  setupEventListeners() {
-    // Listen for response ready events from message handler
-    this.messageHandler.on('response:ready', ({ connectionId, message, ruleId, correlationId }) => {
-      const success = this.connectionManager.sendToConnection(connectionId, message);
-      if (success) {
-        // Simple WebSocket response log
-        const messagePreview = getMessagePreview(message);
-        const corrId = correlationId ? ` [${correlationId}]` : '';
-        this.logger.info({ 
-          type: 'ws-response', 
-          connectionId, 
-          correlationId: correlationId || undefined 
-        }, `← WS [${connectionId}]${corrId} ${messagePreview}`);
-        
-        this.logger.debug({
-          connectionId,
-          ruleId,
-          correlationId
-        }, 'Server response sent');
+  registerRequestJournalEndpoints(server) {
+    // List journal entries, optionally filtered by query parameters
+    server.get('/__admin/requests', async (request, reply) => {
+      const { method, urlPath, urlPathPattern, mappingId, matched, limit } = request.query;
+      const criteria = { method, urlPath, urlPathPattern, mappingId };
+      if (matched !== undefined) {
+        criteria.matched = matched === 'true';
       }
-    });
 
-    // Listen for connection events
-    this.connectionManager.on('connection:added', (connectionInfo) => {
-      this.logger.info(`✓ WS Connected [${connectionInfo.id}]`);
-      
-      this.logger.debug({
-        connectionId: connectionInfo.id,
-        configName: connectionInfo.config.name
-      }, 'Client connected details');
-    });
+      let compiled;
+      try {
+        compiled = this.requestJournal.compileCriteria(criteria);
+      } catch (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+
+      const entries = this.requestJournal.find(compiled);
+      const max = parseInt(limit);
+
+      return {
+        total: entries.length,
+        requests: max > 0 ? entries.slice(-max) : entries
+      };
+    });
+
+    // Find entries with full request criteria (headers, query parameters, body patterns)
+    server.post('/__admin/requests/find', async (request, reply) => {
+      let criteria;
+      try {
+        criteria = this.requestJournal.compileCriteria(request.body || {});
+      } catch (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+
+      const requests = this.requestJournal.find(criteria);
+      return {
+        total: requests.length,
+        requests
+      };
+    });
+
+    // Count entries matching request criteria - e.g. "was POST /orders with side=sell called twice?"
+    server.post('/__admin/requests/count', async (request, reply) => {
+      let criteria;
+      try {
+        criteria = this.requestJournal.compileCriteria(request.body || {});
+      } catch (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+
+      return {
+        count: this.requestJournal.count(criteria)
+      };
+    });
+
+    // Get a single entry by correlation ID
+    server.get('/__admin/requests/:id', async (request, reply) => {
+      const entry = this.requestJournal.get(request.params.id);
+      if (!entry) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Request '${request.params.id}' not found in journal`
+        });
+      }
+
+      return entry;
+    });
+
+    // Clear the journal
+    server.delete('/__admin/requests', async (request, reply) => {
+      return {
+        status: 'success',
+        removed: this.requestJournal.clear()
+      };
+    });
+  }
+
+  /**
+   * Register admin endpoints for the WebSocket journal
+   */
+  registerWsJournalEndpoints(server) {
+    // Criteria are checked up front so a typo doesn't silently match nothing
+    const invalidCriteria = criteria => {
+      if (criteria.direction && !WsJournal.DIRECTIONS.includes(criteria.direction)) {
+        return `"direction" must be one of ${WsJournal.DIRECTIONS.join(', ')}`;
+      }
+      if (criteria.jsonPath !== undefined && typeof criteria.jsonPath?.expression !== 'string') {
+        return '"jsonPath" must have an "expression"';
+      }
+      return null;
+    };
+    const badRequest = (reply, message) => reply.code(400).send({ error: 'Bad Request', message });
+
+    // List journal entries, optionally filtered by query parameters
+    server.get('/__admin/ws/journal', async (request, reply) => {
+      const { connectionId, config, direction, type, ruleId, limit } = request.query;
+      const criteria = { connectionId, config, direction, type, ruleId };
+      const error = invalidCriteria(criteria);
+      if (error) {
+        return badRequest(reply, error);
+      }
+
+      const entries = this.wsJournal.find(criteria);
+      const max = parseInt(limit);
+
+      return {
+        total: entries.length,
+        entries: max > 0 ? entries.slice(-max) : entries
+      };
+    });
+
+    // Find entries, including by payload - body: { connectionId, type, jsonPath: { expression, equals }, ... }
+    server.post('/__admin/ws/journal/find', async (request, reply) => {
+      const criteria = request.body || {};
+      const error = invalidCriteria(criteria);
+      if (error) {
+        return badRequest(reply, error);
+      }
+
+      const entries = this.wsJournal.find(criteria);
+      return {
+        total: entries.length,
+        entries
+      };
+    });
+
+    // Count entries matching criteria
+    server.post('/__admin/ws/journal/count', async (request, reply) => {
+      const criteria = request.body || {};
+      const error = invalidCriteria(criteria);
+      if (error) {
+        return badRequest(reply, error);
+      }
+
+      return {
+        count: this.wsJournal.count(criteria)
+      };
+    });
+
+    // Check that entries occur in order - body: { steps: [criteria, ...], connectionId, ... (applied to every step) }
+    server.post('/__admin/ws/journal/verify', async (request, reply) => {
+      const { steps, ...scope } = request.body || {};
+      if (!Array.isArray(steps) || steps.length === 0) {
+        return badRequest(reply, 'Body must contain a non-empty "steps" array');
+      }
+
+      const error = [scope, ...steps].map(invalidCriteria).find(Boolean);
+      if (error) {
+        return badRequest(reply, error);
+      }
+
+      return this.wsJournal.verifyOrder(steps, scope);
+    });
+
+    // Clear the journal
+    server.delete('/__admin/ws/journal', async (request, reply) => {
+      return {
+        status: 'success',
+        removed: this.wsJournal.clear()
+      };
+    });
+  }
+
+  /**
+   * Register admin endpoints for record-and-playback
+   */
+  registerRecordingEndpoints(server) {
+    // Start forwarding unmatched requests to an upstream and recording them
+    server.post('/__admin/recordings/start', async (request, reply) => {
+      if (this.proxyHandler.isRecording()) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `Recording '${this.proxyHandler.getStatus().name}' is already in progress`
+        });
+      }
+
+      try {
+        return this.proxyHandler.startRecording(request.body || {});
+      } catch (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+    });
+
+    // Stop recording and write the mock file
+    server.post('/__admin/recordings/stop', async (request, reply) => {
+      if (!this.proxyHandler.isRecording()) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'No recording in progress'
+        });
+      }
+
+      try {
+        return await this.proxyHandler.stopRecording();
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Failed to write recorded mock file');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: `Could not write recorded mock file: ${error.message}`
+        });
+      }
+    });
+
+    // Current recording status
+    server.get('/__admin/recordings/status', async (request, reply) => {
+      return this.proxyHandler.getStatus();
+    });
+  }
+
+  /**
+   * Find a registered API mapping by id (or location#index)
+   */
+  findApiMapping(id) {
+    return this.apiMappings.find(mapping => this.getMappingKey(mapping) === id);
+  }
+
+  /**
+   * Validate a single mapping definition against the API schema
+   * @returns {Array|null} Validation errors or null if the mapping is valid
+   */
+  validateMappingDefinition(definition) {
+    const validation = this.configManager.validateConfiguration({
+      name: 'admin',
+      type: 'api',
+      mappings: [definition]
+    });
+
+    return validation.isValid ? null : validation.errors;
+  }
+
+  /**
+   * Summarize a mapping for admin listings
+   */
+  getMappingSummary(mapping) {
+    return {
+      id: this.getMappingKey(mapping),
+      configName: mapping._configName,
+      method: mapping._method,
+      path: mapping.request.urlPath || mapping.request.urlPathPattern,
+      priority: this.calculateMappingPriority(mapping),
+      enabled: mapping.enabled !== false
+    };
+  }
+
+  /**
+   * Strip internal (underscore-prefixed) fields from a registered mapping
+   */
+  getMappingDefinition(mapping) {
+    return Object.fromEntries(
+      Object.entries(mapping).filter(([key]) => !key.startsWith('_'))
+    );
+  }
+
+  /**
+   * Register admin endpoints for response sequence counters
+   */
+  registerSequenceEndpoints(server) {
+    const getSequence = (mapping) => {
+      const key = this.getMappingKey(mapping);
+      const calls = this.responseSequencer.getCallCount(key);
+      const mode = mapping.responseMode || ResponseSequencer.DEFAULT_MODE;
+
+      return {
+        id: key,
+        mode,
+        responses: mapping.responses.length,
+        calls,
+        // Index of the response the next call gets (unknown in random mode)
+        nextIndex: mode === 'random' ? null
+          : mode === 'cycle' ? calls % mapping.responses.length
+            : Math.min(calls, mapping.responses.length - 1)
+      };
+    };
+
+    // List mappings with response sequences and their call counters
+    server.get('/__admin/sequences', async (request, reply) => {
+      return {
+        sequences: this.apiMappings.filter(mapping => mapping.responses).map(getSequence)
+      };
+    });
+
+    const resetSequence = (id, reply) => {
+      const mapping = this.findApiMapping(id);
+      if (!mapping || !mapping.responses) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Mapping '${id}' with responses not found`
+        });
+      }
+
+      this.responseSequencer.reset(id);
+      return getSequence(mapping);
+    };
+
+    // Reset all call counters, or one mapping's with {"id": ...} in the body
+    // (the body form also takes location#index keys, which contain a '/' for mock files in subdirectories)
+    server.post('/__admin/sequences/reset', async (request, reply) => {
+      const id = request.body?.id;
+      if (id !== undefined) {
+        return resetSequence(String(id), reply);
+      }
+
+      this.responseSequencer.reset();
+      return {
+        status: 'success',
+        message: 'All response sequences reset'
+      };
+    });
+
+    // Reset the call counter of a single mapping
+    server.post('/__admin/sequences/:id/reset', async (request, reply) => {
+      return resetSequence(request.params.id, reply);
+    });
+  }
+
+  /**
+   * Register admin endpoints for the random seed
+   */
+  registerSeedEndpoints(server) {
+    const getSeed = () => ({
+      seed: this.random.seed,
+      seeded: this.random.seeded
+    });
+
+    // Get the seed in use
+    server.get('/__admin/seed', async (request, reply) => {
+      return getSeed();
+    });
+
+    // Restart random values from a seed (number or string); the same seed replays the same values
+    server.post('/__admin/seed', async (request, reply) => {
+      const seed = request.body?.seed;
+      if (seed === undefined || seed === null || seed === '' || !['number', 'string'].includes(typeof seed)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Body must contain a numeric or string "seed"'
+        });
+      }
+
+      this.random.setSeed(seed);
+      this.logger.info(`🎲 Random seed set to ${this.random.seed}`);
+      return getSeed();
+    });
+  }
+
+  /**
+   * Register admin endpoints for the virtual clock
+   */
+  registerClockEndpoints(server) {
+    const badRequest = (reply, message) => reply.code(400).send({ error: 'Bad Request', message });
+
+    // Get the current virtual time
+    server.get('/__admin/clock', async (request, reply) => {
+      return this.clock.getStatus();
+    });
+
+    // Jump to an absolute time - body: { time: ISO string or epoch ms }
+    server.put('/__admin/clock', async (request, reply) => {
+      const time = VirtualClock.parseTime(request.body?.time);
+      if (time === null) {
+        return badRequest(reply, 'Body must contain "time" as an ISO date or epoch milliseconds');
+      }
+
+      this.clock.set(time);
+      this.logger.info(`🕐 Clock set to ${this.clock.date().toISOString()}`);
+      return this.clock.getStatus();
+    });
+
+    // Stop time, optionally at a given time
+    server.post('/__admin/clock/freeze', async (request, reply) => {
+      let time = null;
+      if (request.body?.time !== undefined) {
+        time = VirtualClock.parseTime(request.body.time);
+        if (time === null) {
+          return badRequest(reply, '"time" must be an ISO date or epoch milliseconds');
+        }
+      }
+
+      this.clock.freeze(time);
+      this.logger.info(`🕐 Clock frozen at ${this.clock.date().toISOString()}`);
+      return this.clock.getStatus();
+    });
+
+    // Let time run again from the frozen time
+    server.post('/__admin/clock/unfreeze', async (request, reply) => {
+      this.clock.unfreeze();
+      return this.clock.getStatus();
+    });
+
+    // Run at a fixed distance from the wall clock - body: { offset: "-2h" or milliseconds }
+    server.post('/__admin/clock/offset', async (request, reply) => {
+      const offset = VirtualClock.parseDuration(request.body?.offset);
+      if (offset === null) {
+        return badRequest(reply, 'Body must contain "offset" as milliseconds or a duration like "90s", "5m", "1h"');
+      }
+
+      this.clock.setOffset(offset);
+      return this.clock.getStatus();
+    });
+
+    // Move time forward, firing due delays and scheduled messages - body: { by: "5m" or milliseconds }
+    server.post('/__admin/clock/advance', async (request, reply) => {
+      const duration = VirtualClock.parseDuration(request.body?.by);
+      if (duration === null || duration < 0) {
+        return badRequest(reply, 'Body must contain "by" as positive milliseconds or a duration like "90s", "5m", "1h"');
+      }
+
+      this.clock.advance(duration);
+      this.logger.info(`⏩ Clock advanced by ${duration}ms to ${this.clock.date().toISOString()}`);
+      return this.clock.getStatus();
+    });
+
+    // Return to the wall clock
+    server.post('/__admin/clock/reset', async (request, reply) => {
+      this.clock.reset();
+      return this.clock.getStatus();
+    });
+  }
+
+  /**
+   * Register admin endpoints for price series
+   */
+  registerSeriesEndpoints(server) {
+    const notFound = (reply, id) => reply.code(404).send({
+      error: 'Not Found',
+      message: `Series '${id}' not found`
+    });
+
+    // List series with their current values
+    server.get('/__admin/series', async (request, reply) => {
+      return {
+        series: this.priceSeries.list()
+      };
+    });
+
+    // Get the current values of a series
+    server.get('/__admin/series/:id', async (request, reply) => {
+      const series = this.priceSeries.get(request.params.id);
+      return series || notFound(reply, request.params.id);
+    });
+
+    // Force the current price of a series - body: { price: 43000 }
+    server.put('/__admin/series/:id', async (request, reply) => {
+      const price = request.body?.price;
+      if (typeof price !== 'number' || !(price > 0)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Body must contain a positive numeric "price"'
+        });
+      }
+
+      const series = this.priceSeries.setPrice(request.params.id, price);
+      return series || notFound(reply, request.params.id);
+    });
+
+    // Restart every series from its start price
+    server.post('/__admin/series/reset', async (request, reply) => {
+      this.priceSeries.reset();
+      return {
+        status: 'success',
+        message: 'All series reset'
+      };
+    });
+
+    // Restart a single series from its start price
+    server.post('/__admin/series/:id/reset', async (request, reply) => {
+      if (!this.priceSeries.reset(request.params.id)) {
+        return notFound(reply, request.params.id);
+      }
+      return this.priceSeries.get(request.params.id);
+    });
+  }
+
+  /**
+   * Register admin endpoints for live WebSocket connections
+   */
+  registerWebSocketAdminEndpoints(server) {
+    const badRequest = (reply, message) => reply.code(400).send({ error: 'Bad Request', message });
+    const notFound = (reply, id) => reply.code(404).send({
+      error: 'Not Found',
+      message: `Connection '${id}' not found`
+    });
+
+    // Render the message for each connection (templates can use {{connection.*}} and {{session.*}})
+    const push = (connections, message) => {
+      const result = { sent: 0, failed: 0, connections: [] };
+
+      connections.forEach(connection => {
+        const rendered = this.templateEngine.process(message, {
+          connection,
+          session: connection.session
+        });
+
+        if (connection.socket.readyState === 1 && this.connectionManager.sendToConnection(connection.id, rendered, { source: 'push' })) {
+          result.sent++;
+          result.connections.push(connection.id);
+          this.logger.info({
+            type: 'ws-push',
+            connectionId: connection.id
+          }, `← WS [${connection.id}] (admin) ${getMessagePreview(rendered)}`);
+        } else {
+          result.failed++;
+        }
+      });
+
+      return result;
+    };
+
+    // List live connections - query: ?config=name&topic=price:BTC/USDT
+    server.get('/__admin/ws/connections', async (request, reply) => {
+      const connections = this.connectionManager.findConnections({
+        configName: request.query.config || null,
+        topic: request.query.topic || null
+      });
+
+      return {
+        connections: connections.map(connection => this.connectionManager.describeConnection(connection)),
+        total: connections.length
+      };
+    });
+
+    // Get a single connection
+    server.get('/__admin/ws/connections/:id', async (request, reply) => {
+      const connection = this.connectionManager.getConnection(request.params.id);
+      return connection
+        ? this.connectionManager.describeConnection(connection)
+        : notFound(reply, request.params.id);
+    });
+
+    // Send a message to one connection - body: { message }
+    server.post('/__admin/ws/connections/:id/send', async (request, reply) => {
+      if (request.body?.message === undefined) {
+        return badRequest(reply, 'Body must contain "message"');
+      }
+
+      const connection = this.connectionManager.getConnection(request.params.id);
+      if (!connection) {
+        return notFound(reply, request.params.id);
+      }
+
+      return push([connection], request.body.message);
+    });
+
+    // Send a message to all connections, optionally of one config or topic - body: { message, config, topic }
+    server.post('/__admin/ws/send', async (request, reply) => {
+      const { message, config = null, topic = null } = request.body || {};
+      if (message === undefined) {
+        return badRequest(reply, 'Body must contain "message"');
+      }
+
+      const connections = this.connectionManager.findConnections({ configName: config, topic });
+      return push(connections, message);
+    });
+
+    // Close a connection - body: { code: 4001, reason: "Session expired" }
+    server.post('/__admin/ws/connections/:id/close', async (request, reply) => {
+      const { code = 1000, reason = '' } = request.body || {};
+
+      const errors = FaultInjector.validateFault({ type: 'close', code, reason });
+      if (errors.length > 0) {
+        return badRequest(reply, errors.join('; '));
+      }
+
+      if (!this.connectionManager.closeConnection(request.params.id, code, reason)) {
+        return notFound(reply, request.params.id);
+      }
+
+      return {
+        status: 'success',
+        connectionId: request.params.id,
+        code,
+        reason
+      };
+    });
+  }
+
+  /**
+   * Register admin endpoints for WebSocket fault injection
+   */
+  registerFaultEndpoints(server) {
+    const badRequest = (reply, errors) => reply.code(400).send({ error: 'Bad Request', message: errors.join('; ') });
+
+    // Runtime faults by configuration ('*' applies to all)
+    server.get('/__admin/ws/faults', async (request, reply) => {
+      return {
+        faults: this.faultInjector.listRuntimeFaults()
+      };
+    });
+
+    // Replace the faults of one configuration or all - body: { config, dropPercentage, disconnect, stall, ... }
+    server.put('/__admin/ws/faults', async (request, reply) => {
+      const { config = null, ...faults } = request.body || {};
+
+      const errors = FaultInjector.validateFaults(faults);
+      if (errors.length > 0) {
+        return badRequest(reply, errors);
+      }
+
+      this.faultInjector.setRuntimeFaults(faults, config);
+      this.logger.info(`💥 WebSocket faults set for ${config || 'all configurations'}`);
+      return {
+        faults: this.faultInjector.listRuntimeFaults()
+      };
+    });
+
+    // Remove runtime faults, restoring configured ones - query: ?config=name
+    server.delete('/__admin/ws/faults', async (request, reply) => {
+      this.faultInjector.clearRuntimeFaults(request.query.config || null);
+      return {
+        faults: this.faultInjector.listRuntimeFaults()
+      };
+    });
+
+    // Trigger a fault on one connection - body: { type: 'close'|'destroy'|'stall', code, reason, duration }
+    server.post('/__admin/ws/connections/:id/fault', async (request, reply) => {
+      const fault = request.body || {};
+      const errors = FaultInjector.validateFault(fault);
+      if (errors.length > 0) {
+        return badRequest(reply, errors);
+      }
+
+      const connection = this.connectionManager.getConnection(request.params.id);
+      if (!connection) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Connection '${request.params.id}' not found`
+        });
+      }
+
+      this.faultInjector.trigger(connection, fault);
+      return {
+        status: 'success',
+        type: fault.type,
+        connections: [connection.id]
+      };
+    });
+
+    // Trigger a fault on every connection, optionally of one config or topic - body: { type, config, topic, ... }
+    server.post('/__admin/ws/faults/trigger', async (request, reply) => {
+      const { config = null, topic = null, ...fault } = request.body || {};
+      const errors = FaultInjector.validateFault(fault);
+      if (errors.length > 0) {
+        return badRequest(reply, errors);
+      }
+
+      const connections = this.connectionManager.findConnections({ configName: config, topic });
+      connections.forEach(connection => this.faultInjector.trigger(connection, fault));
+
+      this.logger.info(`💥 Fault '${fault.type}' triggered on ${connections.length} WebSocket connection(s)`);
+      return {
+        status: 'success',
+        type: fault.type,
+        connections: connections.map(connection => connection.id)
+      };
+    });
+  }
+
+  /**
+   * Register admin endpoints to inspect and control scheduled messages
+   */
+  registerSchedulerEndpoints(server) {
+    const badRequest = (reply, message) => reply.code(400).send({ error: 'Bad Request', message });
+    const notFound = (reply, message) => reply.code(404).send({ error: 'Not Found', message });
+    const taskKey = params => `${params.config}:${params.id}`;
+    const broadcast = (configName, message, options) => this.connectionManager.broadcast(configName, message, options);
+
+    // Check a scheduled message the way its mock file would be checked
+    // Files are read relative to the mock file, so the admin API cannot name them
+    const validate = (configName, scheduledMsg, body = scheduledMsg) => {
+      if (body.binary?.hexFile !== undefined) {
+        return ['binary.hexFile is only available in mock files'];
+      }
+      if (body.replay?.file !== undefined) {
+        return ['replay files are only available in mock files'];
+      }
+      if (!SchedulerService.isServerWide(scheduledMsg)) {
+        return ['per-connection streams (startOn) are only available in mock files'];
+      }
+      const { errors } = this.configManager.validateConfiguration({
+        name: configName,
+        type: 'ws',
+        scheduledMessages: [scheduledMsg]
+      }, true);
+      return errors;
+    };
+
+    // Run an action on one task, or 404
+    const withTask = (action) => async (request, reply) => {
+      const key = taskKey(request.params);
+      if (!this.schedulerService.getTask(key)) {
+        return notFound(reply, `Scheduled message '${key}' not found`);
+      }
+      return action(key, request, reply);
+    };
+
+    // List scheduled messages with their state, execution count and next run - query: ?config=name
+    server.get('/__admin/ws/scheduled', async (request, reply) => {
+      const tasks = this.schedulerService.getStatus(request.query.config || null);
+      return {
+        tasks,
+        total: tasks.length
+      };
+    });
+
+    // Start an ad-hoc scheduled message on a loaded configuration - body: { config, id, interval, message, ... }
+    server.post('/__admin/ws/scheduled', async (request, reply) => {
+      const { config, ...scheduledMsg } = request.body || {};
+      const wsConfig = [...this.wsEndpoints.values()].flat().find(c => c.name === config);
+      if (!wsConfig) {
+        return badRequest(reply, `Body must name a loaded WebSocket configuration in "config"`);
+      }
+
+      const errors = validate(config, scheduledMsg);
+      if (errors.length > 0) {
+        return badRequest(reply, errors.join('; '));
+      }
+      if (this.schedulerService.getTask(`${config}:${scheduledMsg.id}`)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `Scheduled message '${config}:${scheduledMsg.id}' already exists`
+        });
+      }
+
+      this.schedulerService.scheduleMessage(config, scheduledMsg, broadcast, { adhoc: true });
+      const every = scheduledMsg.cron ? `on '${scheduledMsg.cron}'` : `every ${scheduledMsg.interval}ms`;
+      this.logger.info(`↻ WS Scheduled [${scheduledMsg.id}] started on ${config} ${every}`);
+      return reply.code(201).send(this.schedulerService.getTask(`${config}:${scheduledMsg.id}`));
+    });
+
+    // Get one task with its recent executions
+    server.get('/__admin/ws/scheduled/:config/:id', withTask((key, request) => ({
+      ...this.schedulerService.getTask(key),
+      history: this.schedulerService.getHistory(key, parseInt(request.query.limit) || 10)
+    })));
+
+    // Change interval, cron, message, topic or start delay live - body: { interval, cron, message, jitter, burst, ... } (null removes an option)
+    server.patch('/__admin/ws/scheduled/:config/:id', withTask((key, request, reply) => {
+      const updates = request.body || {};
+      if ('id' in updates) {
+        return badRequest(reply, 'The id of a scheduled message cannot be changed');
+      }
+
+      const current = this.schedulerService.scheduledTasks.get(key).scheduledMsg;
+      const errors = validate(request.params.config, SchedulerService.applyUpdates(current, updates), updates);
+      if (errors.length > 0) {
+        return badRequest(reply, errors.join('; '));
+      }
+
+      this.schedulerService.updateTask(key, updates);
+      this.logger.info(`↻ WS Scheduled [${request.params.id}] updated: ${Object.keys(updates).join(', ')}`);
+      return this.schedulerService.getTask(key);
+    }));
+
+    // Stop sending until resumed
+    server.post('/__admin/ws/scheduled/:config/:id/pause', withTask((key, request) => {
+      this.schedulerService.pauseTask(key);
+      this.logger.info(`⏸ WS Scheduled [${request.params.id}] paused`);
+      return this.schedulerService.getTask(key);
+    }));
+
+    // Resume sending on the task's interval
+    server.post('/__admin/ws/scheduled/:config/:id/resume', withTask((key, request) => {
+      this.schedulerService.resumeTask(key);
+      this.logger.info(`▶ WS Scheduled [${request.params.id}] resumed`);
+      return this.schedulerService.getTask(key);
+    }));
+
+    // Send the message once now (also while paused)
+    server.post('/__admin/ws/scheduled/:config/:id/trigger', withTask((key) => {
+      const before = this.schedulerService.getExecutionCount(key);
+      this.schedulerService.triggerTask(key);
+      const [execution] = this.schedulerService.getHistory(key, 1);
+      return {
+        status: this.schedulerService.getExecutionCount(key) > before ? 'success' : 'error',
+        sent: execution?.result?.successful || 0,
+        ...(execution?.error && { error: execution.error })
+      };
+    }));
+
+    // Stop a task; configured tasks start again on reload
+    server.delete('/__admin/ws/scheduled/:config/:id', withTask((key) => {
+      this.schedulerService.stopTask(key);
+      return {
+        status: 'success',
+        taskKey: key
+      };
+    }));
+  }
+
+  /**
+   * Register admin endpoints for plugins
+   */
+  registerPluginEndpoints(server) {
+    // Loaded plugins with the matchers, helpers and transformers they register
+    server.get('/__admin/plugins', async (request, reply) => {
+      return this.plugins.list();
+    });
+  }
+
+  /**
+   * Register admin endpoints for in-memory resource collections
+   */
+  registerResourceEndpoints(server) {
+    // List collections with record counts
+    server.get('/__admin/resources', async (request, reply) => {
+      return {
+        resources: this.resourceStore.getCollections()
+      };
+    });
+
+    // Get all records of a collection
+    server.get('/__admin/resources/:name', async (request, reply) => {
+      const records = this.resourceStore.getRecords(request.params.name);
+      if (!records) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Resource collection '${request.params.name}' not found`
+        });
+      }
+
+      return {
+        name: request.params.name,
+        count: records.length,
+        records
+      };
+    });
+
+    // Reset all collections to their seed records
+    server.delete('/__admin/resources', async (request, reply) => {
+      this.resourceStore.reset();
+      return {
+        status: 'success',
+        message: 'All resource collections reset'
+      };
+    });
+
+    // Reset a single collection to its seed records
+    server.delete('/__admin/resources/:name', async (request, reply) => {
+      if (!this.resourceStore.reset(request.params.name)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Resource collection '${request.params.name}' not found`
+        });
+      }
+
+      return {
+        status: 'success',
+        message: `Resource collection '${request.params.name}' reset`
+      };
+    });
+  }
+
+  /**
+   * Register admin endpoints for stateful scenarios
+   */
+  registerScenarioEndpoints(server) {
+    // List all scenarios with their current state
+    server.get('/__admin/scenarios', async (request, reply) => {
+      return {
+        scenarios: this.scenarioStateManager.getScenarios(this.apiMappings)
+      };
+    });
+
+    // Get a single scenario
+    server.get('/__admin/scenarios/:name', async (request, reply) => {
+      const scenario = this.scenarioStateManager.getScenarios(this.apiMappings)
+        .find(s => s.name === request.params.name);
+
+      if (!scenario) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Scenario '${request.params.name}' not found`
+        });
+      }
+
+      return scenario;
+    });
+
+    // Force a scenario into a specific state
+    server.put('/__admin/scenarios/:name/state', async (request, reply) => {
+      const state = request.body?.state;
+      if (typeof state !== 'string' || state.length === 0) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: "Body must contain a non-empty 'state' string"
+        });
+      }
+
+      this.scenarioStateManager.setState(request.params.name, state);
+      return {
+        name: request.params.name,
+        state
+      };
+    });
+
+    // Reset all scenarios to 'Started'
+    server.post('/__admin/scenarios/reset', async (request, reply) => {
+      this.scenarioStateManager.reset();
+      return {
+        status: 'success',
+        message: 'All scenarios reset'
+      };
+    });
+
+    // Reset a single scenario to 'Started'
+    server.post('/__admin/scenarios/:name/reset', async (request, reply) => {
+      this.scenarioStateManager.reset(request.params.name);
+      return {
+        name: request.params.name,
+        state: this.scenarioStateManager.getState(request.params.name)
+      };
+    });
+  }
+
+  /**
+   * Handle new WebSocket connection
+   * @param {Object} socket - WebSocket socket object from Fastify
+   * @param {Object} req - HTTP request
+   * @param {Object} config - Server configuration
+   */
+  handleNewConnection(socket, req, config) {
+    // Register connection
+    const connectionId = this.connectionManager.addConnection(socket, config, {
+      headers: req.headers,
+      query: req.query,
+      ip: req.ip,
+      path: this.configManager.getWebSocketPath(config),
+      protocol: socket.protocol || null
+    });
+
+    if (!connectionId) {
+      // Connection was rejected (e.g., limit exceeded)
+      return;
+    }
+
+    const connectionInfo = this.connectionManager.getConnection(connectionId);
+    this.wsJournal.record({
+      direction: 'event',
+      type: 'connect',
+      connection: connectionInfo,
+      query: req.query,
+      protocol: connectionInfo.metadata.protocol
+    });
+
+    // Start timed faults (forced disconnects, stalls)
+    this.faultInjector.attach(connectionInfo);
+
+    // Start the streams this connection gets from the moment it opens
+    this.startStreams(connectionInfo, msg => msg.startOn === 'connect');
+
+    // Send welcome message if configured
+    if (config.connectionBehavior?.onConnect) {
+      this.clock.setTimeout(() => {
+        const welcomeMessage = this.templateEngine.process(
+          config.connectionBehavior.onConnect.message,
+          { connection: connectionInfo, session: connectionInfo.session }
+        );
+        this.connectionManager.sendToConnection(connectionId, welcomeMessage, { source: 'welcome' });
+      }, config.connectionBehavior.onConnect.delay || 0);
+    }
+
+    // Handle incoming messages
+    socket.on('message', async (rawMessage) => {
+      try {
+        this.connectionManager.recordMessageReceived(connectionId);
+        
+        // Log client interaction
+        const { parsed: parsedMessage } = this.messageHandler.parseMessage(rawMessage);
+        
+        // Generate message correlation ID
+        const msgCorrelationId = generateCorrelationId('msg');
+        const journalEntry = this.wsJournal.record({
+          direction: 'in',
+          type: 'message',
+          connection: connectionInfo,
+          payload: parsedMessage,
+          correlationId: msgCorrelationId
+        });
+        
+        // Simple WebSocket request log
+        const messagePreview = getMessagePreview(parsedMessage);
+        this.logger.info({ 
+          type: 'ws-request', 
+          connectionId, 
+          correlationId: msgCorrelationId 
+        }, `→ WS [${connectionId}] [${msgCorrelationId}] ${messagePreview}`);
+        
+        this.logger.debug({
+          connectionId,
+          message: parsedMessage
+        }, 'Client message received');
+        
+        const matchedRules = await this.messageHandler.handleIncomingMessage(
+          connectionId,
+          rawMessage,
+          config,
+          connectionInfo,
+          msgCorrelationId
+        );
+        journalEntry.ruleIds = matchedRules.map(({ rule }) => rule.id);
+
+        // Rules can start and stop per-connection streams
+        for (const { rule, matchResult } of matchedRules) {
+          if (rule.stopStreams) {
+            this.schedulerService.stopStreams(connectionId, { ids: rule.stopStreams });
+          }
+          if (rule.startStreams) {
+            this.startStreams(connectionInfo, msg => msg.startOn === 'rule' && rule.startStreams.includes(msg.id), {
+              request: matchResult.decoded !== undefined ? matchResult.decoded : parsedMessage
+            });
+          }
+        }
+
+        // Matching info logged at debug level in MessageHandler
+      } catch (error) {
+        this.logger.error({
+          connectionId,
+          error: error.message
+        }, 'Error processing message');
+      }
+    });
+
+    // Handle disconnection
+    socket.on('close', (code, reason) => {
+      this.wsJournal.record({
+        direction: 'event',
+        type: 'disconnect',
+        connection: connectionInfo,
+        code,
+        reason: reason?.toString() || ''
+      });
+      this.faultInjector.detach(connectionInfo);
+      this.schedulerService.stopStreams(connectionId);
+      this.connectionManager.removeConnection(connectionId);
+      this.messageHandler.clearHistory(connectionId);
+    });
+
+    // Handle errors
+    socket.on('error', (error) => {
+      this.logger.error({
+        connectionId,
+        error: error.message
+      }, 'WebSocket error');
+    });
+  }
+
+  /**
+   * Start the per-connection streams of a connection
+   * @param {Object} connectionInfo - Connection the streams send to
+   * @param {Function} select - Picks the scheduled messages to start
+   * @param {Object} options - { topic } or { request }, passed to the streams' templates
+   */
+  startStreams(connectionInfo, select, options = {}) {
+    const streams = (connectionInfo.config.scheduledMessages || []).filter(select);
+    if (streams.length === 0) return;
+
+    const send = (configName, message, details) => {
+      const sent = this.connectionManager.sendToConnection(connectionInfo.id, message, details);
+      return { attempted: 1, successful: sent ? 1 : 0 };
+    };
+
+    for (const scheduledMsg of streams) {
+      this.schedulerService.startStream(connectionInfo, scheduledMsg, send, options);
+    }
+  }
+
+  /**
+   * Setup event listeners between modules
+   */
+  setupEventListeners() {
+    // Listen for response ready events from message handler
+    this.messageHandler.on('response:ready', ({ connectionId, message, ruleId, correlationId, source }) => {
+      const success = this.connectionManager.sendToConnection(connectionId, message, { source, ruleId, correlationId });
+      if (success) {
+        // Simple WebSocket response log
+        const messagePreview = getMessagePreview(message);
+        const corrId = correlationId ? ` [${correlationId}]` : '';
+        this.logger.info({ 
+          type: 'ws-response', 
+          connectionId, 
+          correlationId: correlationId || undefined 
+        }, `← WS [${connectionId}]${corrId} ${messagePreview}`);
+        
+        this.logger.debug({
+          connectionId,
+          ruleId,
+          correlationId
+        }, 'Server response sent');
+      }
+    });
+
+    // Subscribing starts the matching per-connection streams, unsubscribing stops them
+    this.messageHandler.on('subscription:changed', ({ connectionId, action, topic }) => {
+      const connectionInfo = this.connectionManager.getConnection(connectionId);
+      if (!connectionInfo) return;
+
+      if (action === 'subscribe') {
+        this.startStreams(connectionInfo, msg => msg.startOn === 'subscribe' && MessageHandler.topicMatches(topic, msg.topic), { topic });
+      } else {
+        this.schedulerService.stopStreams(connectionId, { topic });
+      }
+    });
+
+    // Listen for connection events
+    this.connectionManager.on('connection:added', (connectionInfo) => {
+      this.logger.info(`✓ WS Connected [${connectionInfo.id}]`);
+      
+      this.logger.debug({
+        connectionId: connectionInfo.id,
+        configName: connectionInfo.config.name
+      }, 'Client connected details');
+    });
 
     this.connectionManager.on('connection:removed', (connectionInfo) => {
       const duration = Math.round((Date.now() - connectionInfo.connectedAt.getTime()) / 1000);
@@ -1514,16 +2970,23 @@ class MockServer {
     });
 
     // Listen for message sent events from connection manager
-    this.connectionManager.on('message:sent', ({ connectionId, message }) => {
+    this.connectionManager.on('message:sent', ({ connection, message, source, ...details }) => {
+      this.wsJournal.record({
+        direction: 'out',
+        type: source || 'message',
+        connection,
+        payload: message,
+        ...details
+      });
+
       this.logger.debug({
-        connectionId
+        connectionId: connection.id
       }, 'Server message sent');
     });
 
     // Listen for scheduler events
-    this.schedulerService.on('message:executed', ({ taskKey, result }) => {
+    this.schedulerService.on('message:executed', ({ taskKey, messageId, result }) => {
       if (result.successful > 0) {
-        const [configName, messageId] = taskKey.split('::');
         this.logger.info(`↻ WS Scheduled [${messageId}] sent to ${result.successful} client(s)`);
         
         this.logger.debug({
@@ -1691,7 +3154,14 @@ class MockServer {
       this.apiMappings = [];
       this.registeredApiRoutes.clear();
 
-      // Step 3: Reload configurations from disk (reuse same logic as initialize)
+      // Mappings may have changed, so every scenario, resource collection, response sequence and price series starts over
+      this.scenarioStateManager.reset();
+      this.resourceStore.clear();
+      this.responseSequencer.reset();
+      this.priceSeries.clear();
+
+      // Step 3: Reload plugins and configurations from disk (reuse same logic as initialize)
+      this.loadPlugins();
       this.logger.info('Reloading configurations from disk...');
       const loadResults = await this.configManager.loadConfigurations('mocks', {
         stopOnError: false,
@@ -1715,45 +3185,21 @@ class MockServer {
         this.organizeFailedMocks(loadResults.summary.errors);
       }
 
-      // Step 5: Re-process API mappings using the same logic as registerApiHandlers
+      // Step 5: Re-process API mappings (runtime mappings added via /__admin/mappings are discarded)
       const configs = this.configManager.getAllConfigurations();
       for (const config of configs) {
-        if (config.type === 'api' && config.mappings) {
-          config.mappings.forEach((mapping, index) => {
-            if (mapping.enabled !== false) { // Default to enabled
-              const method = (mapping.request.method || 'GET').toUpperCase();
-              const path = mapping.request.urlPath || mapping.request.urlPathPattern;
-
-              if (!path) {
-                this.logger.warn({
-                  config: config.name,
-                  mappingIndex: index
-                }, 'API mapping missing URL path');
-                return;
-              }
-
-              // Store mapping with config info and priority (same as registerApiHandlers)
-              const enrichedMapping = {
-                ...mapping,
-                _configName: config.name,
-                _configLocation: config._location || config.name,
-                _mappingIndex: index,
-                _priority: this.calculateMappingPriority(mapping)
-              };
-
-              // Optimize the mapping for fast matching
-              const optimizedMapping = optimizeMapping(enrichedMapping);
-
-              // Add to global mappings list
-              this.apiMappings.push(optimizedMapping);
-            }
-          });
+        this.priceSeries.register(config);
+        if (config.type === 'api') {
+          this.registerApiHandlers(null, config);
         }
       }
 
       // Sort API mappings by priority after all are registered (same as startAll)
       this.sortApiMappingsByPriority();
 
+      // New WebSocket clients get the reloaded configuration of their path
+      this.refreshWebSocketEndpoints(configs);
+
       // Step 6: Restart scheduled messages for WebSocket configs (same as startAll)
       this.logger.info('Restarting scheduled messages...');
       configs.filter(c => c.type === 'ws').forEach(config => {
@@ -1762,16 +3208,15 @@ class MockServer {
         });
       });
 
-      // Step 7: Update connection handlers with new configurations
-      // Note: Existing WebSocket connections will use the new rules automatically
-      // since they reference the config by name through connectionManager
+      // Step 7: Connections opened before the reload keep the configuration they connected with;
+      // new connections get the reloaded configuration of their path (see refreshWebSocketEndpoints)
 
       this.logger.info({
         loaded: loadResults.summary.loaded,
         failed: loadResults.summary.failed,
         wsConfigs: configs.filter(c => c.type === 'ws').length,
         apiConfigs: configs.filter(c => c.type === 'api').length,
-        activeMappings: this.apiMappings.length
+        activeMappings: this.apiMappings.filter(mapping => mapping.enabled !== false).length
       }, 'Configuration reload completed');
 
       return loadResults;
@@ -12,7 +12,8 @@ async function main() {
     
     // Initialize the mock server system
     await mockServer.initialize({
-      configDir: process.env.MOCKS_DIR || 'mocks'
+      configDir: process.env.MOCKS_DIR || 'mocks',
+      pluginsDir: process.env.PLUGINS_DIR || 'plugins'
     });
 
     // Start all configured servers
@@ -1,8 +1,9 @@
 const jsonpath = require('jsonpath');
 
 class ApiRequestMatcher {
-  constructor(logger) {
+  constructor(logger, plugins = null) {
     this.logger = logger.child({ module: 'ApiRequestMatcher' });
+    this.plugins = plugins; // Custom body matchers
   }
 
   /**
@@ -13,8 +14,8 @@ class ApiRequestMatcher {
    */
   async matches(request, criteria) {
     try {
-      // Check method
-      if (criteria.method && request.method !== criteria.method) {
+      // Check method (ANY matches every method)
+      if (criteria.method && criteria.method !== 'ANY' && request.method !== criteria.method) {
         this.logger.warn({
           expected: criteria.method,
           actual: request.method
@@ -105,10 +106,10 @@ class ApiRequestMatcher {
         }
       }
 
-      // Check body patterns
-      if (criteria.bodyPatterns && request.body) {
+      // Check body patterns (a request without a body fails them unless a custom matcher accepts it)
+      if (criteria.bodyPatterns) {
         for (const pattern of criteria.bodyPatterns) {
-          if (!this.matchBodyPattern(request.body, pattern)) {
+          if (!this.matchBodyPattern(request.body, pattern, request)) {
             this.logger.warn({
               pattern
             }, 'Body pattern mismatch');
@@ -161,10 +162,24 @@ class ApiRequestMatcher {
    * Match request body against a pattern
    * @param {*} body - Request body
    * @param {Object} pattern - Body pattern to match
+   * @param {Object} request - Request the body belongs to, for custom matchers
    * @returns {boolean} True if body matches pattern
    */
-  matchBodyPattern(body, pattern) {
+  matchBodyPattern(body, pattern, request = null) {
     try {
+      // Matcher registered by a plugin
+      if (pattern.custom !== undefined) {
+        if (!this.plugins) {
+          return false;
+        }
+        return this.plugins.match(pattern.custom, body, pattern.options, { request }).matches;
+      }
+
+      // Built-in patterns need a body
+      if (body === undefined || body === null) {
+        return false;
+      }
+
       // String contains
       if (pattern.contains !== undefined) {
         const bodyStr = typeof body === 'string' ? body : JSON.stringify(body);
@@ -1,7 +1,11 @@
+const VirtualClock = require('./VirtualClock');
+
 class ApiResponseHandler {
-  constructor(logger, templateEngine) {
+  constructor(logger, templateEngine, clock = new VirtualClock(logger), plugins = null) {
     this.logger = logger.child({ module: 'ApiResponseHandler' });
     this.templateEngine = templateEngine;
+    this.clock = clock; // Delays wait on virtual time
+    this.plugins = plugins; // Response transformers
   }
 
   /**
@@ -9,49 +13,58 @@ class ApiResponseHandler {
    * @param {Object} reply - Fastify reply object
    * @param {Object} responseConfig - Response configuration
    * @param {Object} context - Template context
+   * @returns {Object} Sent response ({ status, headers, body }) for the request journal
    */
   async sendResponse(reply, responseConfig, context = {}) {
     try {
       // Apply delay if configured
       if (responseConfig.delay && responseConfig.delay > 0) {
-        await new Promise(resolve => setTimeout(resolve, responseConfig.delay));
+        await this.clock.sleep(responseConfig.delay);
+      }
+
+      let response = {
+        status: responseConfig.status || 200,
+        headers: responseConfig.headers || {},
+        body: this.renderBody(responseConfig, context)
+      };
+
+      // Plugin transformers get the rendered response and may change any part of it
+      if (responseConfig.transformers) {
+        response = await this.plugins.transform(
+          responseConfig.transformers,
+          { ...response, headers: { ...response.headers } },
+          context
+        );
       }
 
       // Set status code
-      reply.code(responseConfig.status || 200);
+      reply.code(response.status);
 
       // Set headers
-      if (responseConfig.headers) {
-        for (const [name, value] of Object.entries(responseConfig.headers)) {
-          reply.header(name, value);
-        }
+      for (const [name, value] of Object.entries(response.headers || {})) {
+        reply.header(name, value);
       }
 
-      // Send body
+      // Send body (base64 bodies are sent decoded)
       if (responseConfig.jsonBody !== undefined) {
-        // Process templates in JSON body
-        const processedBody = this.processTemplatesInObject(responseConfig.jsonBody, context);
-        reply.type('application/json').send(processedBody);
-      } else if (responseConfig.body !== undefined) {
-        // Process templates in string body
-        const processedBody = this.templateEngine.process(responseConfig.body, context);
-        reply.send(processedBody);
-      } else if (responseConfig.base64Body !== undefined) {
-        // Decode base64 and send
-        const buffer = Buffer.from(responseConfig.base64Body, 'base64');
-        reply.send(buffer);
-      } else {
-        // No body
-        reply.send();
+        reply.type('application/json');
       }
+      reply.send(response.body);
 
       this.logger.debug({
-        status: responseConfig.status || 200,
-        headers: responseConfig.headers,
-        hasBody: !!(responseConfig.jsonBody || responseConfig.body || responseConfig.base64Body),
-        delay: responseConfig.delay
+        status: response.status,
+        headers: response.headers,
+        hasBody: response.body !== undefined,
+        delay: responseConfig.delay,
+        transformers: responseConfig.transformers
       }, 'API response sent');
 
+      return {
+        status: response.status,
+        headers: response.headers || {},
+        body: Buffer.isBuffer(response.body) ? response.body.toString('base64') : response.body
+      };
+
     } catch (error) {
       this.logger.error({
         error: error.message,
@@ -62,7 +75,34 @@ class ApiResponseHandler {
         error: 'Internal Server Error',
         message: 'Failed to send mock response'
       });
+
+      return {
+        status: 500,
+        headers: {},
+        body: { error: 'Internal Server Error', message: 'Failed to send mock response' }
+      };
+    }
+  }
+
+  /**
+   * Render the body of a response configuration
+   * @param {Object} responseConfig - Response configuration
+   * @param {Object} context - Template context
+   * @returns {*} JSON value, string, Buffer (base64Body) or undefined when there is no body
+   */
+  renderBody(responseConfig, context) {
+    if (responseConfig.jsonBody !== undefined) {
+      // Process templates in JSON body
+      return this.processTemplatesInObject(responseConfig.jsonBody, context);
+    }
+    if (responseConfig.body !== undefined) {
+      // Process templates in string body
+      return this.templateEngine.process(responseConfig.body, context);
+    }
+    if (responseConfig.base64Body !== undefined) {
+      return Buffer.from(responseConfig.base64Body, 'base64');
     }
+    return undefined;
   }
 
   /**
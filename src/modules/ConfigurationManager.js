@@ -3,10 +3,24 @@ const path = require('path');
 const glob = require('glob');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const FaultInjector = require('./FaultInjector');
+const HandshakeRouter = require('./HandshakeRouter');
+const PluginRegistry = require('./PluginRegistry');
+const SchedulerService = require('./SchedulerService');
+const { validateFrame, parseHex } = require('../utils/binaryFrames');
+const { parseCapture } = require('../utils/replayCapture');
+
+// WebSocket configs without a path are merged onto this endpoint
+const DEFAULT_WS_PATH = '/ws';
+
+// Built-in routes (see MockServer.registerBuiltInEndpoints) a WebSocket path may not take over
+const BUILT_IN_PATHS = ['/health', '/status', '/reload', '/debug/schemas', '/schema/ws', '/schema/api'];
+const BUILT_IN_PREFIXES = ['/__admin', '/raw/', '/public/', '/status/', '/timeout/'];
 
 class ConfigurationManager {
-  constructor(logger) {
+  constructor(logger, plugins = null) {
     this.logger = logger;
+    this.plugins = plugins; // Plugin names used in mock files are checked when set
     this.ajv = new Ajv({ strict: false, allErrors: true });
     addFormats(this.ajv);
     this.configs = new Map();
@@ -86,6 +100,7 @@ class ConfigurationManager {
       // Group configurations by type
       const wsConfigs = [];
       const apiConfigs = [];
+      const wsPaths = new Map(); // key: explicit WebSocket path, value: file accepting every upgrade on it
 
       // Load and merge all configurations
       for (const file of files) {
@@ -94,15 +109,29 @@ class ConfigurationManager {
         try {
           const config = await this.loadSingleConfiguration(filePath, file, true, true);
           
-          if (config && !config.isError) {
+          const wsPath = config && !config.isError && config.type === 'ws' ? this.getWebSocketPath(config) : null;
+          // Configurations can share a path when a handshake routes upgrades between them
+          if (wsPath && wsPath !== DEFAULT_WS_PATH && !config.handshake && wsPaths.has(wsPath)) {
+            const errors = [`WebSocket path '${wsPath}' is already used by ${wsPaths.get(wsPath)}`];
+            this.logger.error({ file, status: 'failed', type: 'ws', errors }, `✗ Failed: ${file}`);
+            results.summary.failed++;
+            results.summary.errors.push({ file, type: 'ws', errors });
+
+            if (stopOnError) {
+              break;
+            }
+          } else if (config && !config.isError) {
             // Determine prefix based on file location
             const prefix = file.includes('/') ? path.dirname(file) : 'root';
             
             // Group by type
             if (config.type === 'ws') {
-              wsConfigs.push({ config, prefix });
+              if (wsPath !== DEFAULT_WS_PATH && !config.handshake) {
+                wsPaths.set(wsPath, file);
+              }
+              wsConfigs.push({ config, prefix, file });
             } else if (config.type === 'api') {
-              apiConfigs.push({ config, prefix });
+              apiConfigs.push({ config, prefix, file });
             }
             
             results.summary.loaded++;
@@ -147,21 +176,64 @@ class ConfigurationManager {
         }
       }
 
-      // Create merged WebSocket configuration if any
-      if (wsConfigs.length > 0) {
+      // A WebSocket path would take GET requests away from an API mapping on the same path
+      const apiGetPaths = new Map(); // key: urlPath, value: mapping description
+      for (const { config, file } of apiConfigs) {
+        (config.mappings || []).forEach((mapping, index) => {
+          // Mappings without a method answer GET
+          const method = (mapping.request.method || 'GET').toUpperCase();
+          if (mapping.request.urlPath && ['GET', 'ANY'].includes(method) && !apiGetPaths.has(mapping.request.urlPath)) {
+            apiGetPaths.set(mapping.request.urlPath, `API mapping '${mapping.id || index}' in ${file}`);
+          }
+        });
+      }
+
+      for (const entry of [...wsConfigs]) {
+        const wsPath = this.getWebSocketPath(entry.config);
+        if (wsPath === DEFAULT_WS_PATH || !apiGetPaths.has(wsPath)) continue;
+
+        const errors = [`WebSocket path '${wsPath}' is already used by ${apiGetPaths.get(wsPath)}`];
+        this.logger.error({ file: entry.file, status: 'failed', type: 'ws', errors }, `✗ Failed: ${entry.file}`);
+        results.summary.loaded--;
+        results.summary.failed++;
+        results.summary.errors.push({ file: entry.file, type: 'ws', errors });
+        wsConfigs.splice(wsConfigs.indexOf(entry), 1);
+      }
+
+      // WebSocket configs with their own path or a handshake get their own endpoint
+      const defaultWsConfigs = [];
+      for (const { config, prefix } of wsConfigs) {
+        const wsPath = this.getWebSocketPath(config);
+        if (wsPath === DEFAULT_WS_PATH && !config.handshake) {
+          defaultWsConfigs.push({ config, prefix });
+          continue;
+        }
+
+        config.path = wsPath;
+        config._location = prefix === 'root' ? config.name : `${prefix}/${config.name}`;
+
+        if (!validateOnly) {
+          this.configs.set(config.name, config);
+        }
+        results.configurations.push(config);
+      }
+
+      // Create merged WebSocket configuration on the default path for configs without a path
+      if (defaultWsConfigs.length > 0) {
         const mergedWsConfig = {
           name: 'merged-websocket-server',
           type: 'ws',
+          path: DEFAULT_WS_PATH,
           description: 'Merged WebSocket configuration from all sources',
           scheduledMessages: [],
           responseRules: [],
           connectionBehavior: null,
           _mergedConfigs: [],
-          _sources: wsConfigs.map(c => c.config._metadata.fileName)
+          _sources: defaultWsConfigs.map(c => c.config._metadata.fileName)
         };
         
         // Merge all WS configs
-        for (const { config, prefix } of wsConfigs) {
+        for (const { config, prefix } of defaultWsConfigs) {
           this.mergeConfigIntoMaster(mergedWsConfig, config, prefix);
         }
         
@@ -193,6 +265,17 @@ class ConfigurationManager {
     }
   }
 
+  /**
+   * Get the normalized WebSocket path of a configuration (default: /ws)
+   * @param {Object} config - WebSocket configuration
+   * @returns {string} Path without trailing slash
+   */
+  getWebSocketPath(config) {
+    if (!config.path) return DEFAULT_WS_PATH;
+    const normalized = config.path.replace(/\/+$/, '');
+    return normalized || DEFAULT_WS_PATH;
+  }
+
   /**
    * Load a single configuration file
    * @param {string} filePath - Full path to the configuration file
@@ -208,6 +291,11 @@ class ConfigurationManager {
 
       // Validate configuration
       const validationResult = this.validateConfiguration(config, skipPortConflictCheck);
+      if (validationResult.isValid && config.type === 'ws') {
+        validationResult.errors.push(...await this.loadBinaryFiles(config, path.dirname(filePath)));
+        validationResult.errors.push(...await this.loadReplayFiles(config, path.dirname(filePath)));
+        validationResult.isValid = validationResult.errors.length === 0;
+      }
       if (!validationResult.isValid) {
         if (returnErrors) {
           return {
@@ -245,6 +333,49 @@ class ConfigurationManager {
     }
   }
 
+  /**
+   * Read the hex files referenced by binary frames (binary.hexFile) into binary._hex
+   * @param {Object} config - WebSocket configuration
+   * @param {string} baseDir - Directory of the configuration file
+   * @returns {Array} Error messages
+   */
+  async loadBinaryFiles(config, baseDir) {
+    const frames = [
+      ...(config.responseRules || []).map(rule => rule.response?.binary),
+      ...(config.scheduledMessages || []).map(msg => msg.binary)
+    ].filter(binary => binary?.hexFile);
+
+    const errors = [];
+    for (const binary of frames) {
+      try {
+        binary._hex = await fs.readFile(path.resolve(baseDir, binary.hexFile), 'utf8');
+        parseHex(binary._hex);
+      } catch (error) {
+        errors.push(`Binary file '${binary.hexFile}': ${error.code === 'ENOENT' ? 'not found' : error.message}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Read the captures replayed by scheduled messages (replay.file) into replay._frames
+   * @param {Object} config - WebSocket configuration
+   * @param {string} baseDir - Directory of the configuration file
+   * @returns {Array} Error messages
+   */
+  async loadReplayFiles(config, baseDir) {
+    const errors = [];
+    for (const msg of (config.scheduledMessages || []).filter(msg => msg.replay)) {
+      try {
+        const content = await fs.readFile(path.resolve(baseDir, msg.replay.file), 'utf8');
+        msg.replay._frames = parseCapture(content, msg.replay);
+      } catch (error) {
+        errors.push(`Replay file '${msg.replay.file}': ${error.code === 'ENOENT' ? 'not found' : error.message}`);
+      }
+    }
+    return errors;
+  }
+
   /**
    * Validate a configuration against the schema
    * @param {Object} config - Configuration to validate
@@ -319,10 +450,77 @@ class ConfigurationManager {
       }
     }
 
+    // Validate price series bounds
+    if (config.series) {
+      for (const [id, series] of Object.entries(config.series)) {
+        if (series.min !== undefined && series.max !== undefined && series.min >= series.max) {
+          errors.push(`Series ${id}: min must be lower than max`);
+        }
+        if ((series.min !== undefined && series.start < series.min) || (series.max !== undefined && series.start > series.max)) {
+          errors.push(`Series ${id}: start must be within min and max`);
+        }
+      }
+    }
+
     // Port conflict check is no longer needed since we use single port
 
     // Type-specific validation
     if (config.type === 'ws') {
+      const wsPath = this.getWebSocketPath(config);
+      if (wsPath.startsWith('/__admin')) {
+        errors.push(`WebSocket path '${config.path}' is reserved for admin endpoints`);
+      } else if (BUILT_IN_PATHS.includes(wsPath) || BUILT_IN_PREFIXES.some(prefix => wsPath.startsWith(prefix))) {
+        errors.push(`WebSocket path '${config.path}' is reserved for a built-in endpoint`);
+      }
+
+      if (config.faults) {
+        errors.push(...FaultInjector.validateFaults(config.faults).map(error => `Faults: ${error}`));
+      }
+
+      if (config.handshake) {
+        errors.push(...HandshakeRouter.validateHandshake(config.handshake).map(error => `Handshake: ${error}`));
+      }
+
+      // Binary frames and matchers
+      (config.responseRules || []).forEach(rule => {
+        if (rule.response?.binary) {
+          errors.push(...validateFrame(rule.response.binary).map(error => `Rule ${rule.id}: binary ${error}`));
+        }
+        if (rule.matcher?.type === 'binaryPrefix') {
+          try {
+            parseHex(rule.matcher.value);
+          } catch {
+            errors.push(`Rule ${rule.id}: binaryPrefix value must be hex bytes`);
+          }
+        }
+      });
+      (config.scheduledMessages || []).forEach(msg => {
+        if (msg.binary) {
+          errors.push(...validateFrame(msg.binary).map(error => `Scheduled message ${msg.id}: binary ${error}`));
+        }
+        errors.push(...SchedulerService.validateSchedule(msg).map(error => `Scheduled message ${msg.id}: ${error}`));
+        if (msg.startOn === 'subscribe' && (!msg.topic || !config.subscriptions)) {
+          errors.push(`Scheduled message ${msg.id}: startOn 'subscribe' requires a topic and a subscriptions block`);
+        }
+      });
+
+      // Streams started and stopped by rules
+      const streams = new Map((config.scheduledMessages || []).map(msg => [msg.id, msg]));
+      (config.responseRules || []).forEach(rule => {
+        (rule.startStreams || []).forEach(id => {
+          if (!streams.has(id)) {
+            errors.push(`Rule ${rule.id}: unknown stream '${id}'`);
+          } else if (streams.get(id).startOn !== 'rule') {
+            errors.push(`Rule ${rule.id}: stream '${id}' must have startOn 'rule'`);
+          }
+        });
+        (rule.stopStreams || []).forEach(id => {
+          if (!streams.has(id) || SchedulerService.isServerWide(streams.get(id))) {
+            errors.push(`Rule ${rule.id}: '${id}' is not a per-connection stream`);
+          }
+        });
+      });
+
       // Validate JSONPath expressions for WebSocket
       if (config.responseRules) {
         config.responseRules.forEach(rule => {
@@ -352,12 +550,77 @@ class ConfigurationManager {
           if (mapping.allowedScenarios && mapping.forbiddenScenarios) {
             errors.push(`Mapping ${mapping.id || index}: Cannot define both allowedScenarios and forbiddenScenarios. Use only one.`);
           }
+
+          if ((mapping.requiredScenarioState || mapping.newScenarioState) && !mapping.scenarioName) {
+            errors.push(`Mapping ${mapping.id || index}: requiredScenarioState and newScenarioState require scenarioName`);
+          }
+
+          if (mapping.resource && !mapping.request?.urlPath) {
+            errors.push(`Mapping ${mapping.id || index}: resource mappings require request.urlPath (the collection path)`);
+          }
+
+          if (mapping.responses && (mapping.response || mapping.resource)) {
+            errors.push(`Mapping ${mapping.id || index}: Cannot combine responses with response or resource`);
+          }
+
+          if (mapping.responseMode && !mapping.responses) {
+            errors.push(`Mapping ${mapping.id || index}: responseMode requires responses`);
+          }
         });
         
         // Schema validation handles urlPath/urlPathPattern constraints via oneOf
       }
     }
 
+    if (this.plugins) {
+      errors.push(...this.validatePluginReferences(config));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that the matchers and transformers a configuration names are registered by plugins
+   * @param {Object} config - Configuration to validate
+   * @returns {Array} Array of error messages
+   */
+  validatePluginReferences(config) {
+    const errors = [];
+    const checkTransformers = (label, response) => {
+      PluginRegistry.transformerNames(response?.transformers)
+        .filter(name => !this.plugins.hasTransformer(name))
+        .forEach(name => errors.push(`${label}: unknown response transformer '${name}'`));
+    };
+
+    if (config.type === 'ws') {
+      const matchers = [
+        ...(config.responseRules || []).map(rule => [`Rule ${rule.id}`, rule.matcher]),
+        ...['subscribe', 'unsubscribe']
+          .filter(action => config.subscriptions?.[action])
+          .map(action => [`Subscriptions ${action}`, config.subscriptions[action].matcher])
+      ];
+      matchers
+        .filter(([, matcher]) => matcher?.type === 'custom')
+        .forEach(([label, matcher]) => {
+          if (!matcher.function) {
+            errors.push(`${label}: custom matchers require function`);
+          } else if (!this.plugins.hasMatcher(matcher.function)) {
+            errors.push(`${label}: unknown custom matcher '${matcher.function}'`);
+          }
+        });
+
+      (config.responseRules || []).forEach(rule => checkTransformers(`Rule ${rule.id}`, rule.response));
+    } else if (config.type === 'api') {
+      (config.mappings || []).forEach((mapping, index) => {
+        const label = `Mapping ${mapping.id || index}`;
+        (mapping.request?.bodyPatterns || [])
+          .filter(pattern => pattern.custom !== undefined && !this.plugins.hasMatcher(pattern.custom))
+          .forEach(pattern => errors.push(`${label}: unknown custom matcher '${pattern.custom}'`));
+
+        [mapping.response, ...(mapping.responses || [])].forEach(response => checkTransformers(label, response));
+      });
+    }
+
     return errors;
   }
 
@@ -370,10 +633,14 @@ class ConfigurationManager {
     let details = [];
     
     if (config.type === 'ws') {
+      if (config.path) {
+        details.push(`path:${config.path}`);
+      }
       // Add WebSocket operations
       if (config.scheduledMessages) {
         config.scheduledMessages.forEach(msg => {
-          details.push(`scheduled:${msg.id}@${msg.interval}ms`);
+          const timing = msg.replay ? `replay(${msg.replay.file})` : msg.cron ? `cron(${msg.cron})` : `${msg.interval}ms`;
+          details.push(`scheduled:${msg.id}@${timing}`);
         });
       }
       if (config.responseRules) {
@@ -507,11 +774,26 @@ class ConfigurationManager {
       });
     }
 
+    // Merge price series (the first definition of an id wins)
+    if (config.series) {
+      masterConfig.series = { ...config.series, ...masterConfig.series };
+    }
+
     // Use first connection behavior found
     if (config.connectionBehavior && !masterConfig.connectionBehavior) {
       masterConfig.connectionBehavior = config.connectionBehavior;
     }
 
+    // Use first subscriptions block found
+    if (config.subscriptions && !masterConfig.subscriptions) {
+      masterConfig.subscriptions = config.subscriptions;
+    }
+
+    // Use first faults block found
+    if (config.faults && !masterConfig.faults) {
+      masterConfig.faults = config.faults;
+    }
+
     // Track merged configurations
     masterConfig._mergedConfigs.push(`${subdirName}/${config.name}`);
 
@@ -618,4 +900,6 @@ class ConfigurationManager {
   }
 }
 
+ConfigurationManager.DEFAULT_WS_PATH = DEFAULT_WS_PATH;
+
 module.exports = ConfigurationManager;
\ No newline at end of file
@@ -1,9 +1,19 @@
 const { EventEmitter } = require('events');
 
+/**
+ * Strings and binary payloads are sent as-is (text and binary frames), anything else as JSON
+ */
+const serialize = message => typeof message === 'string' || Buffer.isBuffer(message) ? message : JSON.stringify(message);
+
 class ConnectionManager extends EventEmitter {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Pino logger
+   * @param {FaultInjector} faultInjector - Optional; applies network faults to outgoing messages
+   */
+  constructor(logger, faultInjector = null) {
     super();
     this.logger = logger;
+    this.faultInjector = faultInjector;
     this.connections = new Map();
     this.connectionsByConfig = new Map();
     this.connectionStats = new Map();
@@ -33,7 +43,9 @@ class ConnectionManager extends EventEmitter {
       messageCount: {
         sent: 0,
         received: 0
-      }
+      },
+      subscriptions: new Map(), // Topics this connection subscribed to, compiled for * wildcards
+      session: structuredClone(config.connectionBehavior?.session || {}) // Variables read and written by response rules
     };
 
     // Store connection
@@ -136,15 +148,88 @@ class ConnectionManager extends EventEmitter {
       .filter(Boolean);
   }
 
+  /**
+   * Find connections, optionally only those of a config or subscribed to a topic
+   * @param {Object} filters - { configName, topic }
+   * @returns {Array} Array of connections
+   */
+  findConnections({ configName = null, topic = null } = {}) {
+    const connections = configName
+      ? this.getConnectionsByConfig(configName)
+      : Array.from(this.connections.values());
+
+    return topic ? connections.filter(conn => this.isSubscribed(conn, topic)) : connections;
+  }
+
+  /**
+   * Check if a connection subscribed to a topic, directly or through a * wildcard subscription
+   * @param {Object} connection - Connection info
+   * @param {string} topic - Topic
+   * @returns {boolean} True if subscribed
+   */
+  isSubscribed(connection, topic) {
+    if (connection.subscriptions.has(topic)) return true;
+
+    for (const pattern of connection.subscriptions.values()) {
+      if (pattern.test(topic)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get a serializable view of a connection for the admin API
+   * @param {Object} connection - Connection info
+   * @returns {Object} Connection summary
+   */
+  describeConnection(connection) {
+    return {
+      id: connection.id,
+      configName: connection.config.name,
+      path: connection.metadata.path,
+      protocol: connection.metadata.protocol || null,
+      connectedAt: connection.connectedAt.toISOString(),
+      lastActivity: connection.lastActivity.toISOString(),
+      remoteAddress: connection.metadata.remoteAddress,
+      userAgent: connection.metadata.userAgent,
+      messageCount: { ...connection.messageCount },
+      subscriptions: Array.from(connection.subscriptions.keys()),
+      session: connection.session
+    };
+  }
+
+  /**
+   * Close a single connection (it is removed once the socket reports the close)
+   * @param {string} connectionId - Connection ID
+   * @param {number} code - WebSocket close code
+   * @param {string} reason - Close reason
+   * @returns {boolean} False if the connection does not exist
+   */
+  closeConnection(connectionId, code = 1000, reason = '') {
+    const connection = this.connections.get(connectionId);
+    if (!connection) return false;
+
+    connection.socket.close(code, reason);
+
+    this.logger.info({
+      connectionId,
+      code,
+      reason
+    }, 'Connection closed by server');
+
+    return true;
+  }
+
   /**
    * Broadcast message to all connections of a specific config
    * @param {string} configName - Configuration name
    * @param {any} message - Message to send
-   * @param {Object} options - Broadcast options
+   * @param {Object} options - Broadcast options ({ topic } sends only to subscribers of the topic;
+   *   source and messageId are passed on to message:sent once the message is written)
    * @returns {Object} Broadcast result
    */
   broadcast(configName, message, options = {}) {
-    const connections = this.getConnectionsByConfig(configName);
+    const connections = this.getConnectionsByConfig(configName)
+      .filter(conn => !options.topic || this.isSubscribed(conn, options.topic));
     const results = {
       attempted: connections.length,
       successful: 0,
@@ -152,14 +237,18 @@ class ConnectionManager extends EventEmitter {
       errors: []
     };
 
-    const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
+    const messageStr = serialize(message);
 
     connections.forEach(conn => {
       try {
         if (conn.socket.readyState === 1) { // WebSocket.OPEN
-          conn.socket.send(messageStr);
-          conn.messageCount.sent++;
-          conn.lastActivity = new Date();
+          this.transmit(conn, messageStr, () => this.emit('message:sent', {
+            connection: conn,
+            message,
+            source: options.source,
+            messageId: options.messageId,
+            topic: options.topic
+          }));
           results.successful++;
         } else {
           results.failed++;
@@ -185,6 +274,7 @@ class ConnectionManager extends EventEmitter {
 
     this.logger.debug({
       configName,
+      topic: options.topic,
       ...results
     }, 'Broadcast completed');
 
@@ -195,9 +285,11 @@ class ConnectionManager extends EventEmitter {
    * Send message to specific connection
    * @param {string} connectionId - Connection ID
    * @param {any} message - Message to send
+   * @param {Object} details - Passed on to message:sent once the message is written
+   *   (e.g. { source: 'response', ruleId, correlationId })
    * @returns {boolean} Success status
    */
-  sendToConnection(connectionId, message) {
+  sendToConnection(connectionId, message, details = {}) {
     const connection = this.connections.get(connectionId);
     if (!connection) {
       this.logger.warn({ connectionId }, 'Connection not found');
@@ -205,15 +297,12 @@ class ConnectionManager extends EventEmitter {
     }
 
     try {
-      const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
-      connection.socket.send(messageStr);
-      connection.messageCount.sent++;
-      connection.lastActivity = new Date();
-      
-      this.emit('message:sent', {
-        connectionId,
-        message: messageStr
-      });
+      const messageStr = serialize(message);
+      this.transmit(connection, messageStr, () => this.emit('message:sent', {
+        connection,
+        message,
+        ...details
+      }));
       
       return true;
     } catch (error) {
@@ -225,6 +314,28 @@ class ConnectionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Write a serialized message to a connection, through the fault injector when there is one
+   * @param {Object} connection - Connection info
+   * @param {string|Buffer} messageStr - Serialized message or binary payload
+   * @param {Function} onWrite - Called each time the message is actually written (never for dropped
+   *   messages, later for held or reordered ones, twice for duplicated ones)
+   */
+  transmit(connection, messageStr, onWrite = () => {}) {
+    const write = data => {
+      connection.socket.send(data);
+      connection.messageCount.sent++;
+      connection.lastActivity = new Date();
+      onWrite();
+    };
+
+    if (this.faultInjector) {
+      this.faultInjector.send(connection, messageStr, write);
+    } else {
+      write(messageStr);
+    }
+  }
+
   /**
    * Update message received count
    * @param {string} connectionId - Connection ID
@@ -4,11 +4,15 @@
  * Key optimizations:
  * - Direct object traversal instead of string manipulation
  * - Cached regex patterns
- * - Native crypto.randomUUID when available
+ * - Native crypto.randomUUID when no seed is set
  * - Pre-computed date components
+ * - Handlebars-style blocks and helpers only parsed when a template uses them
  */
 
-const crypto = require('crypto');
+const { renderValue } = require('../utils/templateParser');
+const { helpers } = require('../utils/templateHelpers');
+const { createFakeHelpers } = require('../utils/fakeData');
+const SeededRandom = require('../utils/seededRandom');
 
 // Pre-compiled regex patterns
 const TEMPLATE_PATTERNS = {
@@ -16,6 +20,7 @@ const TEMPLATE_PATTERNS = {
   request: /\{\{request\.([.\w]+)\}\}/g,
   message: /\{\{message\.([.\w]+)\}\}/g,
   connection: /\{\{connection\.([.\w]+)\}\}/g,
+  contextData: /\{\{(\w+)\.([.\w]+)\}\}/g,
   randomUuid: /\{\{random\.uuid\}\}/g,
   randomNumber: /\{\{random\.number\((\d+),(\d+)\)\}\}/g,
   dateNow: /\{\{date\.now\}\}/g,
@@ -25,12 +30,32 @@ const TEMPLATE_PATTERNS = {
 // Check if string contains any template
 const QUICK_CHECK = /\{\{[^}]+\}\}/;
 
+// Whole-value data placeholders keep the type of the source value
+const WHOLE_VALUE = /^\{\{(\w+)\.([.\w]+)\}\}$/;
+
+// Roots with their own placeholders; any other root is looked up in the context ({{subscription.topic}})
+const RESERVED_ROOTS = new Set(['request', 'message', 'connection', 'random', 'date']);
+
+// Check if string needs the full template language (blocks, comments, helper calls or fake.* generators)
+const ADVANCED_CHECK = /\{\{\s*(?:[#\/!]|fake\.|else\s*\}\}|[@\w.\/-]+\s+[^\s}])|\{\{\s*(?:this|@[\w.]+|\.\.\/[\w.\/]+)\s*\}\}/;
+
 class FastTemplateEngine {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Pino logger
+   * @param {Object} options - { random: SeededRandom, clock: VirtualClock } shared with other modules
+   */
+  constructor(logger, { random = new SeededRandom(), clock = null } = {}) {
     this.logger = logger;
     
-    // Use native UUID if available (Node 14.17+)
-    this.generateUUID = crypto.randomUUID || this.fallbackUUID.bind(this);
+    // Time source for date placeholders (virtual clock when provided)
+    this.now = clock ? () => clock.now() : () => Date.now();
+    
+    // Seedable source for random.* placeholders and fake.* generators
+    this.random = random;
+    this.generateUUID = () => this.random.uuid();
+    // Helpers shipped with the server; plugin helpers are layered on top and replaced on reload
+    this.builtInHelpers = { ...helpers, ...createFakeHelpers(this.random, this.now) };
+    this.helpers = { ...this.builtInHelpers };
     
     // Cache for date formatting
     this.dateCache = new Map();
@@ -74,44 +99,73 @@ class FastTemplateEngine {
       return str;
     }
 
+    if (ADVANCED_CHECK.test(str)) {
+      return this.renderAdvanced(str, context);
+    }
+
     // Special case: if the string is ONLY a number template, return as number
     const numberOnlyMatch = str.match(/^\{\{random\.number\((\d+),(\d+)\)\}\}$/);
     if (numberOnlyMatch) {
       const min = parseInt(numberOnlyMatch[1]);
       const max = parseInt(numberOnlyMatch[2]);
-      return Math.floor(Math.random() * (max - min + 1)) + min;
+      return this.random.int(min, max);
+    }
+
+    if (str === '{{date.now}}') {
+      return this.now();
+    }
+
+    // Whole-value placeholders return the source value (number, boolean, object, array)
+    const wholeValueMatch = str.match(WHOLE_VALUE);
+    if (wholeValueMatch) {
+      const source = this.getContextRoot(context, wholeValueMatch[1]);
+      const value = source ? this.getNestedValue(source, wholeValueMatch[2]) : undefined;
+      if (value !== undefined) {
+        return value;
+      }
     }
 
     let result = str;
 
     // Process templates in order of frequency
     if (TEMPLATE_PATTERNS.timestamp.test(result)) {
-      result = result.replace(TEMPLATE_PATTERNS.timestamp, new Date().toISOString());
+      result = result.replace(TEMPLATE_PATTERNS.timestamp, new Date(this.now()).toISOString());
     }
 
     if (context.request && TEMPLATE_PATTERNS.request.test(result)) {
       result = result.replace(TEMPLATE_PATTERNS.request, (match, field) => {
         const value = this.getNestedValue(context.request, field);
-        return value !== undefined ? String(value) : match;
+        return value !== undefined ? this.stringify(value) : match;
       });
     }
 
     if (context.request && TEMPLATE_PATTERNS.message.test(result)) {
       result = result.replace(TEMPLATE_PATTERNS.message, (match, field) => {
         const value = this.getNestedValue(context.request, field);
-        return value !== undefined ? String(value) : match;
+        return value !== undefined ? this.stringify(value) : match;
       });
     }
 
     if (context.connection && TEMPLATE_PATTERNS.connection.test(result)) {
       result = result.replace(TEMPLATE_PATTERNS.connection, (match, field) => {
         const value = this.getNestedValue(context.connection, field);
-        return value !== undefined ? String(value) : match;
+        return value !== undefined ? this.stringify(value) : match;
+      });
+    }
+
+    TEMPLATE_PATTERNS.contextData.lastIndex = 0;
+    if (TEMPLATE_PATTERNS.contextData.test(result)) {
+      TEMPLATE_PATTERNS.contextData.lastIndex = 0;
+      result = result.replace(TEMPLATE_PATTERNS.contextData, (match, root, field) => {
+        if (RESERVED_ROOTS.has(root)) return match;
+        const source = this.getContextRoot(context, root);
+        const value = source ? this.getNestedValue(source, field) : undefined;
+        return value !== undefined ? this.stringify(value) : match;
       });
     }
 
     if (TEMPLATE_PATTERNS.dateNow.test(result)) {
-      result = result.replace(TEMPLATE_PATTERNS.dateNow, Date.now());
+      result = result.replace(TEMPLATE_PATTERNS.dateNow, this.now());
     }
 
     if (TEMPLATE_PATTERNS.randomUuid.test(result)) {
@@ -125,19 +179,55 @@ class FastTemplateEngine {
       result = result.replace(TEMPLATE_PATTERNS.randomNumber, (match, min, max) => {
         const minNum = parseInt(min);
         const maxNum = parseInt(max);
-        return Math.floor(Math.random() * (maxNum - minNum + 1)) + minNum;
+        return this.random.int(minNum, maxNum);
       });
     }
 
     if (TEMPLATE_PATTERNS.dateFormat.test(result)) {
       result = result.replace(TEMPLATE_PATTERNS.dateFormat, (match, pattern) => {
-        return this.formatDate(new Date(), pattern.replace(/['"]/g, ''));
+        return this.formatDate(new Date(this.now()), pattern.replace(/['"]/g, ''));
       });
     }
 
     return result;
   }
 
+  /**
+   * Add helpers provided by other modules (e.g. {{series}})
+   * @param {Object} extraHelpers - Helper functions by name
+   */
+  registerHelpers(extraHelpers) {
+    this.builtInHelpers = { ...this.builtInHelpers, ...extraHelpers };
+    this.helpers = { ...this.helpers, ...extraHelpers };
+  }
+
+  /**
+   * Replace the plugin helpers; built-in helpers they shadowed come back when they go away
+   * @param {Object} pluginHelpers - Helper functions by name
+   */
+  setPluginHelpers(pluginHelpers) {
+    this.helpers = { ...this.builtInHelpers, ...pluginHelpers };
+  }
+
+  /**
+   * Render a template using blocks and helpers
+   * A template that is a single helper call returns the helper's value with its type
+   * Original placeholders such as {{random.uuid}} keep their existing behavior
+   */
+  renderAdvanced(str, context) {
+    // WebSocket templates refer to the incoming message as {{message.*}}
+    const rootContext = context.message === undefined && context.request !== undefined
+      ? { ...context, message: context.request }
+      : context;
+
+    try {
+      return renderValue(str, rootContext, this.helpers, source => this.processString(source, context));
+    } catch (error) {
+      this.logger.warn({ error: error.message, template: str }, 'Template rendering failed');
+      return str;
+    }
+  }
+
   /**
    * Process object without JSON.stringify
    */
@@ -164,6 +254,23 @@ class FastTemplateEngine {
     return processed;
   }
 
+  /**
+   * Convert a value embedded in a larger string (objects as JSON)
+   */
+  stringify(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Get the context object a placeholder root refers to ({{message.*}} reads the request)
+   */
+  getContextRoot(context, root) {
+    if (root === 'request' || root === 'message') return context.request;
+    if (root === 'connection') return context.connection;
+    if (RESERVED_ROOTS.has(root) || !Object.prototype.hasOwnProperty.call(context, root)) return undefined;
+    return context[root];
+  }
+
   /**
    * Get nested value from object using dot notation
    */
@@ -182,17 +289,6 @@ class FastTemplateEngine {
     return current;
   }
 
-  /**
-   * Fallback UUID for older Node versions
-   */
-  fallbackUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c === 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
-    });
-  }
-
   /**
    * Fast date formatter with caching
    */
@@ -0,0 +1,337 @@
+/**
+ * Fault Injector - Network failure modes for WebSocket connections
+ *
+ * Faults come from a configuration's `faults` block or are set at runtime through
+ * the admin API (runtime faults replace the configured ones until cleared):
+ * - dropPercentage:      outgoing messages silently discarded
+ * - duplicatePercentage: outgoing messages delivered twice
+ * - reorderPercentage:   outgoing messages held back and delivered after the next one
+ * - disconnect:          connections closed (or destroyed) a fixed time after connecting, or
+ *                        all together every fixed period so reconnected clients drop again
+ * - stall:               periods where no data flows in either direction (incoming frames are
+ *                        paused with ws's WebSocket#pause, outgoing messages are held)
+ *
+ * Single faults (close with a code, destroy, stall) can also be triggered on demand.
+ * All timing runs on the virtual clock and all randomness on the shared SeededRandom.
+ */
+
+const VirtualClock = require('./VirtualClock');
+
+// A reordered message is delivered on its own if nothing else is sent within this window
+const REORDER_WINDOW = 1000;
+
+const DEFAULT_CLOSE = { code: 1001, reason: 'Server going away' };
+
+const FAULT_TYPES = ['close', 'destroy', 'stall'];
+const PERCENTAGES = ['dropPercentage', 'duplicatePercentage', 'reorderPercentage'];
+
+/**
+ * Close codes a server may send: 1000-1014 except the reserved 1004-1006, and 3000-4999 for applications
+ */
+function isValidCloseCode(code) {
+  return Number.isInteger(code) &&
+    ((code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999));
+}
+
+const isPositiveDuration = value => {
+  const duration = VirtualClock.parseDuration(value);
+  return duration !== null && duration > 0;
+};
+
+/**
+ * Validate a single fault
+ * @param {Object} fault - { type, code, reason, duration }
+ * @returns {Array} Error messages
+ */
+function validateFault(fault) {
+  const errors = [];
+  if (!fault || !FAULT_TYPES.includes(fault.type)) {
+    errors.push(`"type" must be one of ${FAULT_TYPES.join(', ')}`);
+    return errors;
+  }
+  if (fault.type === 'close') {
+    if (fault.code !== undefined && !isValidCloseCode(fault.code)) {
+      errors.push('"code" must be a valid close code (1000-1014 except 1004-1006, or 3000-4999)');
+    }
+    if (fault.reason !== undefined && (typeof fault.reason !== 'string' || Buffer.byteLength(fault.reason) > 123)) {
+      errors.push('"reason" must be a string of at most 123 bytes');
+    }
+  }
+  if (fault.type === 'stall' && !isPositiveDuration(fault.duration)) {
+    errors.push('"duration" must be positive milliseconds or a duration like "5s"');
+  }
+  return errors;
+}
+
+/**
+ * Validate a faults block (configuration or runtime)
+ * @param {Object} faults - Faults block
+ * @returns {Array} Error messages
+ */
+function validateFaults(faults) {
+  const errors = [];
+
+  PERCENTAGES.forEach(key => {
+    if (faults[key] !== undefined && !(typeof faults[key] === 'number' && faults[key] >= 0 && faults[key] <= 100)) {
+      errors.push(`"${key}" must be a number between 0 and 100`);
+    }
+  });
+
+  if (faults.disconnect) {
+    const { after, every } = faults.disconnect;
+    if ((after === undefined) === (every === undefined)) {
+      errors.push('"disconnect" must have exactly one of "after" or "every"');
+    } else if (after !== undefined && !isPositiveDuration(after)) {
+      errors.push('"disconnect.after" must be positive milliseconds or a duration like "30s"');
+    } else if (every !== undefined && !isPositiveDuration(every)) {
+      errors.push('"disconnect.every" must be positive milliseconds or a duration like "1m"');
+    }
+    if (faults.disconnect.type !== undefined && !['close', 'destroy'].includes(faults.disconnect.type)) {
+      errors.push('"disconnect.type" must be close or destroy');
+    }
+    errors.push(...validateFault({ ...faults.disconnect, type: 'close' }).map(error => `disconnect: ${error}`));
+  }
+
+  if (faults.stall) {
+    if (!isPositiveDuration(faults.stall.every)) {
+      errors.push('"stall.every" must be positive milliseconds or a duration like "60s"');
+    }
+    if (!isPositiveDuration(faults.stall.duration)) {
+      errors.push('"stall.duration" must be positive milliseconds or a duration like "5s"');
+    }
+  }
+
+  return errors;
+}
+
+class FaultInjector {
+  /**
+   * @param {Object} logger - Pino logger
+   * @param {VirtualClock} clock - Time source for disconnects and stalls
+   * @param {SeededRandom} random - Source for drop, duplicate and reorder decisions
+   */
+  constructor(logger, clock, random) {
+    this.logger = logger.child({ module: 'FaultInjector' });
+    this.clock = clock;
+    this.random = random;
+    this.runtimeFaults = new Map(); // key: config name or '*', value: faults
+  }
+
+  /**
+   * Get the faults in effect for a configuration
+   * @param {Object} config - WebSocket configuration
+   * @returns {Object} Faults (empty object when none)
+   */
+  getFaults(config) {
+    return this.runtimeFaults.get(config.name) || this.runtimeFaults.get('*') || config.faults || {};
+  }
+
+  /**
+   * Replace the faults of one configuration (or all) until cleared
+   * Timed faults (disconnect, stall) apply to connections opened afterwards
+   * @param {Object} faults - Same shape as the configuration `faults` block
+   * @param {string} configName - Configuration name, or null for all
+   */
+  setRuntimeFaults(faults, configName = null) {
+    this.runtimeFaults.set(configName || '*', faults);
+    this.logger.info({ config: configName || 'all', faults }, 'Runtime faults set');
+  }
+
+  /**
+   * Remove runtime faults of one configuration (or all), restoring configured faults
+   * @returns {boolean} False if there was nothing to clear
+   */
+  clearRuntimeFaults(configName = null) {
+    if (configName) {
+      return this.runtimeFaults.delete(configName);
+    }
+
+    const cleared = this.runtimeFaults.size > 0;
+    this.runtimeFaults.clear();
+    return cleared;
+  }
+
+  /**
+   * List runtime faults for the admin API
+   */
+  listRuntimeFaults() {
+    return Object.fromEntries(this.runtimeFaults);
+  }
+
+  /**
+   * Start the timed faults of a new connection
+   * @param {Object} connection - Connection info
+   */
+  attach(connection) {
+    const { disconnect, stall } = this.getFaults(connection.config);
+    connection.faults = { timers: [], stalledUntil: null, held: [], reordered: null };
+
+    if (disconnect) {
+      // With `every`, connections drop together at each multiple of it on the clock,
+      // so a client that reconnected is disconnected again at the next one
+      const every = VirtualClock.parseDuration(disconnect.every);
+      const delay = every !== null
+        ? every - (this.clock.now() % every)
+        : VirtualClock.parseDuration(disconnect.after);
+
+      connection.faults.timers.push(this.clock.setTimeout(() => {
+        this.trigger(connection, { type: disconnect.type || 'close', code: disconnect.code, reason: disconnect.reason });
+      }, delay));
+    }
+
+    if (stall) {
+      const every = VirtualClock.parseDuration(stall.every);
+      connection.faults.timers.push(this.clock.setInterval(() => {
+        this.trigger(connection, { type: 'stall', duration: stall.duration });
+      }, every));
+    }
+  }
+
+  /**
+   * Stop the timed faults of a closed connection
+   * @param {Object} connection - Connection info
+   */
+  detach(connection) {
+    if (!connection.faults) return;
+
+    connection.faults.timers.forEach(timer => this.clock.clearTimeout(timer));
+    connection.faults.timers = [];
+    connection.faults.held = [];
+    if (connection.faults.reordered) {
+      this.clock.clearTimeout(connection.faults.reordered.timer);
+      connection.faults.reordered = null;
+    }
+  }
+
+  /**
+   * Deliver an outgoing message, applying drop, duplicate, reorder and stall faults
+   * @param {Object} connection - Connection info
+   * @param {string} data - Serialized message
+   * @param {Function} write - Writes data to the socket
+   * @returns {string} What happened: sent, dropped, duplicated, reordered or held
+   */
+  send(connection, data, write) {
+    const state = connection.faults;
+    if (!state) {
+      write(data);
+      return 'sent';
+    }
+
+    const { dropPercentage = 0, duplicatePercentage = 0, reorderPercentage = 0 } = this.getFaults(connection.config);
+
+    if (this.chance(dropPercentage)) {
+      this.logger.debug({ connectionId: connection.id }, 'Message dropped');
+      return 'dropped';
+    }
+
+    const copies = this.chance(duplicatePercentage) ? [data, data] : [data];
+
+    // Hold one message back and release it after the next one
+    if (!state.reordered && this.chance(reorderPercentage)) {
+      state.reordered = {
+        data,
+        timer: this.clock.setTimeout(() => this.releaseReordered(connection, write), REORDER_WINDOW)
+      };
+      return 'reordered';
+    }
+
+    const outgoing = [...copies];
+    if (state.reordered) {
+      this.clock.clearTimeout(state.reordered.timer);
+      outgoing.push(state.reordered.data);
+      state.reordered = null;
+    }
+
+    if (state.stalledUntil !== null) {
+      state.held.push(...outgoing.map(message => () => write(message)));
+      return 'held';
+    }
+
+    outgoing.forEach(write);
+    return copies.length > 1 ? 'duplicated' : 'sent';
+  }
+
+  /**
+   * Trigger a single fault on a connection
+   * @param {Object} connection - Connection info
+   * @param {Object} fault - { type: 'close'|'destroy'|'stall', code, reason, duration }
+   * @returns {boolean} False for an unknown fault type
+   */
+  trigger(connection, fault) {
+    const { socket } = connection;
+
+    switch (fault.type) {
+      case 'close': {
+        const code = fault.code || DEFAULT_CLOSE.code;
+        const reason = fault.reason !== undefined ? fault.reason : DEFAULT_CLOSE.reason;
+        this.logger.info({ connectionId: connection.id, code, reason }, 'Fault: close');
+        socket.close(code, reason);
+        return true;
+      }
+
+      case 'destroy':
+        // No close frame: clients see an abnormal closure (1006)
+        this.logger.info({ connectionId: connection.id }, 'Fault: destroy');
+        socket.terminate();
+        return true;
+
+      case 'stall':
+        this.stall(connection, VirtualClock.parseDuration(fault.duration));
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Stop data in both directions for a duration, then deliver what was held
+   */
+  stall(connection, duration) {
+    const state = connection.faults;
+    if (!state || state.stalledUntil !== null) return;
+
+    state.stalledUntil = this.clock.now() + duration;
+    // Stop reading incoming frames with ws's public pause(); without it only outgoing messages are held
+    connection.socket.pause?.();
+    this.logger.info({ connectionId: connection.id, duration }, 'Fault: stall');
+
+    const timerId = this.clock.setTimeout(() => {
+      state.timers = state.timers.filter(id => id !== timerId);
+      state.stalledUntil = null;
+      connection.socket.resume?.();
+
+      const held = state.held.splice(0);
+      if (connection.socket.readyState === 1) {
+        held.forEach(deliver => deliver());
+      }
+      this.logger.debug({ connectionId: connection.id, released: held.length }, 'Stall ended');
+    }, duration);
+    state.timers.push(timerId);
+  }
+
+  releaseReordered(connection, write) {
+    const state = connection.faults;
+    if (!state || !state.reordered) return;
+
+    const { data } = state.reordered;
+    state.reordered = null;
+    if (state.stalledUntil !== null) {
+      state.held.push(() => write(data));
+    } else if (connection.socket.readyState === 1) {
+      write(data);
+    }
+  }
+
+  chance(percentage) {
+    return percentage > 0 && this.random.next() * 100 < percentage;
+  }
+}
+
+FaultInjector.isValidCloseCode = isValidCloseCode;
+FaultInjector.validateFault = validateFault;
+FaultInjector.validateFaults = validateFaults;
+
+module.exports = FaultInjector;
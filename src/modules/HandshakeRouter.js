@@ -0,0 +1,170 @@
+/**
+ * Handshake Router - Checks WebSocket upgrades before they are accepted
+ *
+ * A configuration's `handshake` block declares what an upgrade request must carry:
+ * - query:        required query parameters (e.g. ?token=...)
+ * - headers:      required headers (e.g. X-Api-Key)
+ * - subprotocols: supported subprotocols, one of which the client must offer
+ * - reject:       reject upgrades that meet the requirements anyway (e.g. 429 for a throttled key)
+ *
+ * Several configurations can share a path; each upgrade goes to the first one whose
+ * requirements it meets. Configurations without a handshake accept every upgrade.
+ */
+
+const http = require('http');
+
+const DEFAULT_STATUS = 401;
+const DEFAULT_SUBPROTOCOL_STATUS = 400;
+const DEFAULT_REJECT_STATUS = 403;
+
+/**
+ * Validate a handshake block beyond the schema
+ * @param {Object} handshake - Handshake block
+ * @returns {Array} Error messages
+ */
+function validateHandshake(handshake) {
+  const errors = [];
+
+  for (const source of ['query', 'headers']) {
+    for (const [name, requirement] of Object.entries(handshake[source] || {})) {
+      if (requirement.matches === undefined) continue;
+      try {
+        new RegExp(requirement.matches);
+      } catch (error) {
+        errors.push(`${source}.${name}: invalid regex "${requirement.matches}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Subprotocols offered by the client, in order of preference
+ */
+function offeredSubprotocols(request) {
+  const header = request.headers['sec-websocket-protocol'];
+  if (!header) return [];
+  return header.split(',').map(protocol => protocol.trim()).filter(Boolean);
+}
+
+/**
+ * Check a value against a requirement
+ */
+function meetsRequirement(value, requirement) {
+  if (requirement.absent === true) {
+    return value === undefined;
+  }
+  if (value === undefined) {
+    return false;
+  }
+  if (requirement.equals !== undefined) {
+    return value === requirement.equals;
+  }
+  if (requirement.matches !== undefined) {
+    return new RegExp(requirement.matches).test(value);
+  }
+  return true;
+}
+
+class HandshakeRouter {
+  constructor(logger) {
+    this.logger = logger.child({ module: 'HandshakeRouter' });
+  }
+
+  /**
+   * Pick the configuration for an upgrade request
+   * @param {Array} configs - Configurations on the requested path, tried in order
+   * @param {Object} request - Fastify request (headers, query)
+   * @returns {Object} { config, protocol } when accepted, { rejection } otherwise
+   */
+  route(configs, request) {
+    let firstRejection = null;
+
+    for (const config of configs) {
+      const result = this.check(config, request);
+      if (!result.rejection) {
+        return { config, protocol: result.protocol };
+      }
+      // A configuration that rejects on purpose wins over a missing credential elsewhere
+      if (result.rejection.matched) {
+        return result;
+      }
+      firstRejection = firstRejection || result;
+    }
+
+    return firstRejection;
+  }
+
+  /**
+   * Check an upgrade request against one configuration's handshake
+   * @param {Object} config - WebSocket configuration
+   * @param {Object} request - Fastify request (headers, query)
+   * @returns {Object} { protocol } when accepted, { rejection: { status, message, headers, config } } otherwise
+   */
+  check(config, request) {
+    const handshake = config.handshake;
+    if (!handshake) {
+      return { protocol: null };
+    }
+
+    const reject = (status, message, extra = {}) => ({
+      rejection: { status, message, headers: {}, config: config.name, ...extra }
+    });
+
+    const sources = {
+      query: { values: request.query || {}, label: 'query parameter', key: name => name },
+      headers: { values: request.headers, label: 'header', key: name => name.toLowerCase() }
+    };
+
+    for (const [source, { values, label, key }] of Object.entries(sources)) {
+      for (const [name, requirement] of Object.entries(handshake[source] || {})) {
+        const value = values[key(name)];
+        if (meetsRequirement(value, requirement)) continue;
+
+        const message = requirement.message || handshake.message ||
+          (value === undefined ? `Missing ${label} '${name}'` : `Invalid ${label} '${name}'`);
+        return reject(requirement.status || handshake.status || DEFAULT_STATUS, message);
+      }
+    }
+
+    let protocol = null;
+    if (handshake.subprotocols) {
+      protocol = offeredSubprotocols(request).find(offered => handshake.subprotocols.includes(offered));
+      if (!protocol) {
+        const message = handshake.message || `Unsupported subprotocol, expected one of: ${handshake.subprotocols.join(', ')}`;
+        return reject(handshake.status || DEFAULT_SUBPROTOCOL_STATUS, message);
+      }
+    }
+
+    if (handshake.reject) {
+      const status = handshake.reject.status || DEFAULT_REJECT_STATUS;
+      return reject(status, handshake.reject.message || http.STATUS_CODES[status], {
+        headers: handshake.reject.headers || {},
+        matched: true
+      });
+    }
+
+    return { protocol };
+  }
+
+  /**
+   * Send a rejection as the HTTP response to the upgrade request
+   * @param {Object} reply - Fastify reply
+   * @param {Object} rejection - From route()
+   */
+  reject(reply, rejection) {
+    return reply
+      .code(rejection.status)
+      .headers(rejection.headers)
+      .send({
+        error: http.STATUS_CODES[rejection.status] || 'Error',
+        message: rejection.message
+      });
+  }
+}
+
+HandshakeRouter.validateHandshake = validateHandshake;
+HandshakeRouter.offeredSubprotocols = offeredSubprotocols;
+
+module.exports = HandshakeRouter;
@@ -1,11 +1,24 @@
 const jp = require('jsonpath');
 const { EventEmitter } = require('events');
+const { isUtf8 } = require('buffer');
+const VirtualClock = require('./VirtualClock');
+const { encodeFrame, decodeFrame, startsWithBytes } = require('../utils/binaryFrames');
+const { compileTopicPattern, topicMatches } = require('../utils/topicPattern');
+
+// Replies used when a subscriptions block does not define its own
+const DEFAULT_SUBSCRIPTION_REPLIES = {
+  subscribe: { type: 'subscribed', topic: '{{subscription.topic}}' },
+  unsubscribe: { type: 'unsubscribed', topic: '{{subscription.topic}}' },
+  error: { type: 'error', code: '{{error.code}}', message: '{{error.message}}', topic: '{{subscription.topic}}' }
+};
 
 class MessageHandler extends EventEmitter {
-  constructor(logger, templateEngine) {
+  constructor(logger, templateEngine, clock = new VirtualClock(logger), plugins = null) {
     super();
     this.logger = logger;
     this.templateEngine = templateEngine;
+    this.clock = clock; // Response delays wait on virtual time
+    this.plugins = plugins; // Custom matchers and response transformers
     this.messageHistory = new Map(); // Store recent messages per connection
     this.ruleExecutionCount = new Map(); // Track rule executions
   }
@@ -40,16 +53,25 @@ class MessageHandler extends EventEmitter {
         configName: config.name
       }, 'Processing incoming message');
 
+      // Subscription requests are acknowledged first; response rules still run (e.g. to send a snapshot)
+      if (config.subscriptions) {
+        await this.handleSubscription(connectionId, parsed, config, connectionInfo, correlationId, rawMessage);
+      }
+
       // Process response rules
       const matchedRules = [];
       
       if (config.responseRules && config.responseRules.length > 0) {
         for (const rule of config.responseRules) {
           if (rule.enabled === false) continue;
+          if (!this.sessionMatches(rule.requiredSession, connectionInfo.session)) continue;
 
-          const matchResult = await this.evaluateRule(parsed, rule, connectionId);
+          const matchResult = await this.evaluateRule(parsed, rule, connectionId, rawMessage, connectionInfo);
           
           if (matchResult.matches) {
+            // Rules matching decoded binary content see the decoded message in templates
+            const request = matchResult.decoded !== undefined ? matchResult.decoded : parsed;
+
             matchedRules.push({
               rule,
               matchResult,
@@ -66,9 +88,14 @@ class MessageHandler extends EventEmitter {
             // Track rule execution
             this.incrementRuleExecution(config.name, rule.id);
 
+            // Session changes apply before the response is rendered or delayed
+            if (rule.setSession) {
+              this.applySession(rule.setSession, request, connectionInfo);
+            }
+
             // Schedule response if needed
             if (rule.response) {
-              this.scheduleResponse(connectionId, rule, parsed, connectionInfo, correlationId);
+              this.scheduleResponse(connectionId, rule, request, connectionInfo, correlationId);
             }
 
             // Stop processing if rule doesn't allow multiple matches
@@ -111,15 +138,157 @@ class MessageHandler extends EventEmitter {
     }
   }
 
+  /**
+   * Handle subscribe/unsubscribe requests declared in config.subscriptions
+   * Topics are kept in connectionInfo.subscriptions; replies are emitted as response:ready
+   * @param {string} connectionId - Connection ID
+   * @param {any} message - Parsed incoming message
+   * @param {Object} config - Configuration for this connection
+   * @param {Object} connectionInfo - Connection information
+   * @param {string} correlationId - Correlation ID for this message
+   * @param {Buffer|string} rawMessage - Raw message, for binary matchers
+   * @returns {boolean} True if the message was a subscription request
+   */
+  async handleSubscription(connectionId, message, config, connectionInfo, correlationId, rawMessage = null) {
+    const { subscriptions } = config;
+
+    for (const action of ['subscribe', 'unsubscribe']) {
+      const request = subscriptions[action];
+      if (!request || !this.sessionMatches(request.requiredSession, connectionInfo.session)) continue;
+
+      const matchResult = await this.evaluateRule(message, { id: action, matcher: request.matcher }, connectionId, rawMessage, connectionInfo);
+      if (!matchResult.matches) continue;
+
+      const requestMessage = matchResult.decoded !== undefined ? matchResult.decoded : message;
+      const context = { request: requestMessage, connection: connectionInfo, session: connectionInfo.session };
+      const rendered = this.templateEngine.process(request.topic, context);
+      const topics = Array.isArray(rendered) ? rendered : [rendered];
+
+      for (const topic of topics) {
+        const error = this.applySubscription(action, topic, subscriptions, connectionInfo);
+        const reply = error
+          ? subscriptions.error || DEFAULT_SUBSCRIPTION_REPLIES.error
+          : request.ack || DEFAULT_SUBSCRIPTION_REPLIES[action];
+
+        const response = this.templateEngine.process(reply, {
+          ...context,
+          subscription: { action, topic, topics: Array.from(connectionInfo.subscriptions.keys()) },
+          ...(error && { error })
+        });
+
+        this.addToHistory(connectionId, {
+          direction: 'outgoing',
+          message: response,
+          type: 'subscription',
+          timestamp: new Date()
+        });
+
+        this.emit('response:ready', {
+          connectionId,
+          message: response,
+          ruleId: action,
+          correlationId,
+          source: 'subscription'
+        });
+
+        // Per-connection streams start and stop with subscriptions
+        if (!error) {
+          this.emit('subscription:changed', { connectionId, action, topic });
+        }
+      }
+
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Add or remove a topic for a connection
+   * @returns {Object|null} Error { code, message } or null if applied
+   */
+  applySubscription(action, topic, subscriptions, connectionInfo) {
+    if (typeof topic !== 'string' || topic === '' || topic.includes('{{')) {
+      return { code: 'INVALID_TOPIC', message: 'Subscription request does not name a topic' };
+    }
+
+    if (subscriptions.topics && !subscriptions.topics.some(pattern => topicMatches(topic, pattern))) {
+      return { code: 'UNKNOWN_TOPIC', message: `Unknown topic ${topic}` };
+    }
+
+    if (action === 'unsubscribe') {
+      if (!connectionInfo.subscriptions.delete(topic)) {
+        return { code: 'NOT_SUBSCRIBED', message: `Not subscribed to ${topic}` };
+      }
+    } else {
+      connectionInfo.subscriptions.set(topic, compileTopicPattern(topic));
+    }
+
+    this.logger.debug({
+      connectionId: connectionInfo.id,
+      action,
+      topic,
+      subscriptions: connectionInfo.subscriptions.size
+    }, 'Subscription updated');
+
+    return null;
+  }
+
+  /**
+   * Check a rule's requiredSession against the connection's session
+   * @param {Object} required - Variables and the values they must have (null matches an unset variable)
+   * @param {Object} session - Session variables of the connection
+   * @returns {boolean} True if every required variable has its value
+   */
+  sessionMatches(required, session) {
+    if (!required) return true;
+
+    return Object.entries(required).every(([key, value]) => {
+      const current = session[key] === undefined ? null : session[key];
+      return JSON.stringify(current) === JSON.stringify(value);
+    });
+  }
+
+  /**
+   * Set session variables from a rule's setSession (values are templates, null removes a variable)
+   * @param {Object} updates - Variables to set
+   * @param {any} message - Incoming message
+   * @param {Object} connectionInfo - Connection information
+   */
+  applySession(updates, message, connectionInfo) {
+    const context = { request: message, connection: connectionInfo, session: connectionInfo.session };
+    const values = this.templateEngine.process(updates, context);
+
+    for (const [key, value] of Object.entries(values)) {
+      // A placeholder that did not resolve (e.g. missing message field) leaves the variable unchanged
+      if (typeof value === 'string' && value === updates[key] && value.includes('{{')) continue;
+
+      if (value === null) {
+        delete connectionInfo.session[key];
+      } else {
+        connectionInfo.session[key] = value;
+      }
+    }
+
+    this.logger.debug({
+      connectionId: connectionInfo.id,
+      session: connectionInfo.session
+    }, 'Session updated');
+  }
+
   /**
    * Parse incoming message
    * @param {Buffer|string} rawMessage - Raw message
-   * @returns {Object} Parsed message and type
+   * @returns {Object} Parsed message and type (binary payloads stay a Buffer)
    */
   parseMessage(rawMessage) {
     let parsed;
     let type;
 
+    if (Buffer.isBuffer(rawMessage) && !isUtf8(rawMessage)) {
+      return { parsed: rawMessage, type: 'binary' };
+    }
+
     try {
       const messageStr = rawMessage.toString();
       parsed = JSON.parse(messageStr);
@@ -138,15 +307,34 @@ class MessageHandler extends EventEmitter {
    * @param {any} message - Message to evaluate
    * @param {Object} rule - Rule to match against
    * @param {string} connectionId - Connection ID for context
-   * @returns {Object} Match result
+   * @param {Buffer|string} rawMessage - Raw message, for binaryPrefix and decode
+   * @param {Object} connectionInfo - Connection information, for custom matchers
+   * @returns {Object} Match result (with the decoded message when the matcher decodes)
    */
-  async evaluateRule(message, rule, connectionId) {
+  async evaluateRule(message, rule, connectionId, rawMessage = null, connectionInfo = null) {
     const startTime = Date.now();
     
     try {
       const matcher = rule.matcher;
+      const payload = rawMessage !== null ? rawMessage : message;
       let matches = false;
       let extractedData = {};
+      let decoded;
+
+      // Match the decoded content of binary payloads
+      if (matcher.decode) {
+        try {
+          decoded = decodeFrame(Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload)), matcher.decode);
+          message = decoded;
+        } catch (error) {
+          this.logger.debug({
+            ruleId: rule.id,
+            decode: matcher.decode,
+            error: error.message
+          }, 'Message could not be decoded');
+          return { matches: false, matcherType: matcher.type, extractedData, evaluationTime: Date.now() - startTime };
+        }
+      }
 
       switch (matcher.type) {
         case 'exact':
@@ -169,10 +357,15 @@ class MessageHandler extends EventEmitter {
           extractedData = jsonPathResult.extracted || {};
           break;
 
+        case 'binaryPrefix':
+          matches = startsWithBytes(payload, matcher.value);
+          break;
+
         case 'custom':
-          // Placeholder for custom matcher support
           if (matcher.function) {
-            matches = await this.evaluateCustomMatcher(message, matcher.function, connectionId);
+            const customResult = await this.evaluateCustomMatcher(message, matcher, connectionId, payload, connectionInfo);
+            matches = customResult.matches;
+            extractedData = customResult.extracted;
           }
           break;
 
@@ -187,6 +380,7 @@ class MessageHandler extends EventEmitter {
         matches,
         matcherType: matcher.type,
         extractedData,
+        ...(decoded !== undefined && { decoded }),
         evaluationTime: Date.now() - startTime
       };
     } catch (error) {
@@ -340,22 +534,26 @@ class MessageHandler extends EventEmitter {
   scheduleResponse(connectionId, rule, originalMessage, connectionInfo, correlationId) {
     const delay = rule.response.delay || 0;
     
-    setTimeout(() => {
+    this.clock.setTimeout(async () => {
       try {
         // Process template with context
         const context = {
           request: originalMessage,
           connection: connectionInfo,
+          session: connectionInfo.session,
           rule: {
             id: rule.id,
-            matchedAt: new Date().toISOString()
+            matchedAt: this.clock.date().toISOString()
           }
         };
 
-        const responseMessage = this.templateEngine.process(
-          rule.response.message,
-          context
-        );
+        let responseMessage = rule.response.binary
+          ? encodeFrame(rule.response.binary, value => this.templateEngine.process(value, context))
+          : this.templateEngine.process(rule.response.message, context);
+
+        if (rule.response.transformers) {
+          responseMessage = await this.plugins.transform(rule.response.transformers, responseMessage, context);
+        }
 
         // Store in history
         this.addToHistory(connectionId, {
@@ -370,7 +568,8 @@ class MessageHandler extends EventEmitter {
           connectionId,
           message: responseMessage,
           ruleId: rule.id,
-          correlationId
+          correlationId,
+          source: 'response'
         });
 
         this.logger.debug({
@@ -465,22 +664,32 @@ class MessageHandler extends EventEmitter {
   }
 
   /**
-   * Evaluate custom matcher function
-   * @param {any} message - Message to evaluate
-   * @param {string} functionName - Custom function name
+   * Evaluate a matcher registered by a plugin
+   * @param {any} message - Message to evaluate (decoded when the matcher decodes)
+   * @param {Object} matcher - Matcher config ({ function, options })
    * @param {string} connectionId - Connection ID
-   * @returns {boolean} Match result
+   * @param {Buffer|string} raw - Raw message
+   * @param {Object} connectionInfo - Connection information
+   * @returns {Object} { matches, extracted }
    */
-  async evaluateCustomMatcher(message, functionName, connectionId) {
-    // This is a placeholder for custom matcher support
-    // In a real implementation, you might load custom functions from a registry
-    this.logger.warn({
-      functionName,
-      connectionId
-    }, 'Custom matcher not implemented');
-    
-    return false;
+  async evaluateCustomMatcher(message, matcher, connectionId, raw, connectionInfo) {
+    if (!this.plugins) {
+      this.logger.warn({
+        functionName: matcher.function,
+        connectionId
+      }, 'Custom matchers need plugins');
+      return { matches: false, extracted: {} };
+    }
+
+    return this.plugins.match(matcher.function, message, matcher.options, {
+      raw,
+      connectionId,
+      connection: connectionInfo,
+      session: connectionInfo?.session
+    });
   }
 }
 
+MessageHandler.topicMatches = topicMatches;
+
 module.exports = MessageHandler;
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Plugin Registry - Named matchers, template helpers and response transformers from JS modules
+ *
+ * Every .js file at the top of the plugins directory is a plugin. It exports a function
+ * (or an object with a `register` function) that receives the plugin API:
+ * - registerMatcher(name, fn):     fn(value, options, context) => boolean | { matches, extracted }
+ * - registerHelper(name, fn):      template helper, used as {{name arg1 arg2}}
+ * - registerTransformer(name, fn): fn(response, options, context) => response (may be async)
+ * - logger:                        logger for the plugin
+ *
+ * Mock files refer to them by name: WebSocket matchers `{ type: 'custom', function: name }`,
+ * REST body patterns `{ custom: name }` and `transformers` on WebSocket and REST responses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PluginRegistry {
+  constructor(logger, templateEngine = null) {
+    this.logger = logger.child({ module: 'PluginRegistry' });
+    this.templateEngine = templateEngine;
+    this.directory = null;
+    this.clear();
+  }
+
+  /**
+   * Forget every registered plugin
+   */
+  clear() {
+    this.plugins = []; // { name, file, matchers, helpers, transformers }
+    this.failed = []; // { file, error }
+    this.matchers = new Map();
+    this.helpers = new Map();
+    this.transformers = new Map();
+    this.templateEngine?.setPluginHelpers({});
+  }
+
+  /**
+   * Load every plugin in a directory, replacing the ones loaded before
+   * A missing directory means no plugins; a plugin that fails to load is skipped
+   * @param {string} directory - Plugins directory, relative to the working directory
+   * @returns {Object} { loaded, failed }
+   */
+  loadPlugins(directory) {
+    this.clear();
+    this.directory = path.resolve(process.cwd(), directory);
+
+    if (!fs.existsSync(this.directory)) {
+      this.logger.debug({ directory: this.directory }, 'No plugins directory');
+      return { loaded: 0, failed: 0 };
+    }
+
+    const files = fs.readdirSync(this.directory)
+      .filter(file => /\.(c?js)$/.test(file))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      try {
+        // Reloading picks up edited plugins
+        delete require.cache[require.resolve(filePath)];
+        this.register(path.basename(file, path.extname(file)), require(filePath), file);
+      } catch (error) {
+        this.failed.push({ file, error: error.message });
+        this.logger.error({ file, error: error.message }, 'Failed to load plugin');
+      }
+    }
+
+    this.logger.info({
+      directory: this.directory,
+      loaded: this.plugins.length,
+      failed: this.failed.length
+    }, 'Plugins loaded');
+
+    return { loaded: this.plugins.length, failed: this.failed.length };
+  }
+
+  /**
+   * Register a plugin module
+   * @param {string} name - Plugin name (defaults to the file name)
+   * @param {Function|Object} plugin - Register function, or an object with `register` (and optional `name`)
+   * @param {string} file - Source file, for listings
+   */
+  register(name, plugin, file = null) {
+    const registerFn = typeof plugin === 'function' ? plugin : plugin?.register;
+    if (typeof registerFn !== 'function') {
+      throw new Error('Plugin must export a function or an object with a register function');
+    }
+
+    const entry = {
+      name: typeof plugin !== 'function' && plugin.name ? plugin.name : name,
+      file,
+      matchers: [],
+      helpers: [],
+      transformers: []
+    };
+
+    // Registrations are staged and only take effect once register returns,
+    // so a plugin that throws partway leaves nothing behind
+    const staged = { matchers: new Map(), helpers: new Map(), transformers: new Map() };
+
+    const add = (kind, registry, stage, names) => (itemName, fn) => {
+      if (typeof itemName !== 'string' || !itemName || typeof fn !== 'function') {
+        throw new Error(`${kind} needs a name and a function`);
+      }
+      if (registry.has(itemName) || stage.has(itemName)) {
+        this.logger.warn({ plugin: entry.name, name: itemName }, `${kind} registered again, replacing it`);
+      }
+      stage.set(itemName, fn);
+      names.push(itemName);
+    };
+
+    registerFn({
+      registerMatcher: add('Matcher', this.matchers, staged.matchers, entry.matchers),
+      registerHelper: add('Helper', this.helpers, staged.helpers, entry.helpers),
+      registerTransformer: add('Transformer', this.transformers, staged.transformers, entry.transformers),
+      logger: this.logger.child({ plugin: entry.name })
+    });
+
+    staged.matchers.forEach((fn, itemName) => this.matchers.set(itemName, fn));
+    staged.helpers.forEach((fn, itemName) => this.helpers.set(itemName, fn));
+    staged.transformers.forEach((fn, itemName) => this.transformers.set(itemName, fn));
+    this.templateEngine?.setPluginHelpers(Object.fromEntries(this.helpers));
+
+    this.plugins.push(entry);
+  }
+
+  hasMatcher(name) {
+    return this.matchers.has(name);
+  }
+
+  hasHelper(name) {
+    return this.helpers.has(name);
+  }
+
+  hasTransformer(name) {
+    return this.transformers.has(name);
+  }
+
+  /**
+   * Run a named matcher
+   * @param {string} name - Matcher name
+   * @param {any} value - Value to match (request body or WebSocket message)
+   * @param {Object} options - Options from the mock file
+   * @param {Object} context - Request or connection details
+   * @returns {Object} { matches, extracted }
+   */
+  match(name, value, options = {}, context = {}) {
+    const matcher = this.matchers.get(name);
+    if (!matcher) {
+      this.logger.warn({ matcher: name }, 'Unknown custom matcher');
+      return { matches: false, extracted: {} };
+    }
+
+    const result = matcher(value, options || {}, context);
+    if (result && typeof result === 'object') {
+      return { matches: result.matches === true, extracted: result.extracted || {} };
+    }
+    return { matches: result === true, extracted: {} };
+  }
+
+  /**
+   * Apply response transformers in order
+   * @param {Array} transformers - Transformer names or { name, options }
+   * @param {any} response - Response to transform
+   * @param {Object} context - Template context of the response
+   * @returns {Promise<any>} Transformed response
+   */
+  async transform(transformers, response, context = {}) {
+    let result = response;
+
+    for (const item of transformers || []) {
+      const { name, options } = typeof item === 'string' ? { name: item, options: {} } : item;
+      const transformer = this.transformers.get(name);
+      if (!transformer) {
+        throw new Error(`Unknown response transformer '${name}'`);
+      }
+      const transformed = await transformer(result, options || {}, context);
+      // Transformers that change the response in place may return nothing
+      if (transformed !== undefined) {
+        result = transformed;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Loaded plugins and what they register, for the admin API
+   */
+  list() {
+    return {
+      directory: this.directory,
+      plugins: this.plugins,
+      failed: this.failed
+    };
+  }
+}
+
+/**
+ * Names of the transformers a response uses
+ */
+PluginRegistry.transformerNames = transformers =>
+  (transformers || []).map(item => typeof item === 'string' ? item : item.name);
+
+module.exports = PluginRegistry;
@@ -0,0 +1,254 @@
+/**
+ * Price Series - Shared random-walk price paths for market data mocks
+ *
+ * Series are declared in a configuration's `series` block and read from templates
+ * with {{series 'btc-usdt'}}. A series moves one step per `interval` of virtual time,
+ * so every consumer (scheduled messages, WebSocket responses, REST mappings) reading
+ * at the same moment sees the same price, and advancing the virtual clock moves it.
+ *
+ * Each step applies: price * (1 + drift + volatility * N(0,1)), reflected into
+ * [min, max] and rounded to tickSize.
+ */
+
+const SeededRandom = require('../utils/seededRandom');
+
+const DEFAULTS = {
+  drift: 0,
+  volatility: 0.001,
+  tickSize: 0.01,
+  interval: 1000
+};
+
+// Steps generated in one read after a large clock jump; older steps are skipped
+const MAX_CATCH_UP = 100000;
+
+const FIELDS = ['price', 'open', 'high', 'low', 'change', 'changePercent', 'steps'];
+
+class PriceSeries {
+  /**
+   * @param {Object} logger - Pino logger
+   * @param {VirtualClock} clock - Time source for steps
+   * @param {SeededRandom} random - Source of per-series seeds when none is configured
+   */
+  constructor(logger, clock, random) {
+    this.logger = logger.child({ module: 'PriceSeries' });
+    this.clock = clock;
+    this.random = random;
+    this.series = new Map(); // key: series id, value: series state
+  }
+
+  /**
+   * Register the series declared by a configuration
+   * @param {Object} config - WebSocket or API configuration
+   */
+  register(config) {
+    if (!config.series) return;
+
+    for (const [id, definition] of Object.entries(config.series)) {
+      const existing = this.series.get(id);
+      if (existing && existing.owner !== config.name) {
+        this.logger.warn({
+          series: id,
+          config: config.name,
+          definedBy: existing.owner
+        }, 'Series already defined by another configuration, keeping the first definition');
+        continue;
+      }
+
+      this.define(id, definition, config.name);
+    }
+  }
+
+  /**
+   * Define (or redefine) a series
+   * @param {string} id - Series id
+   * @param {Object} definition - { start, drift, volatility, tickSize, min, max, seed, interval }
+   * @param {string} owner - Configuration name
+   */
+  define(id, definition, owner = null) {
+    const seed = definition.seed !== undefined ? definition.seed : this.random.int(0, 0xffffffff);
+    const state = {
+      id,
+      owner,
+      definition: { ...DEFAULTS, ...definition },
+      seed
+    };
+
+    this.restart(state);
+    this.series.set(id, state);
+
+    this.logger.debug({ series: id, owner, start: definition.start }, 'Series defined');
+    return state;
+  }
+
+  has(id) {
+    return this.series.has(id);
+  }
+
+  /**
+   * Get the current values of a series
+   * @param {string} id - Series id
+   * @returns {Object|null} { id, price, open, high, low, change, changePercent, steps, at } or null
+   */
+  get(id) {
+    const state = this.series.get(id);
+    if (!state) return null;
+
+    this.catchUp(state);
+    return this.snapshot(state);
+  }
+
+  /**
+   * List all series with their current values
+   */
+  list() {
+    return Array.from(this.series.keys()).map(id => ({
+      ...this.get(id),
+      owner: this.series.get(id).owner,
+      definition: this.series.get(id).definition
+    }));
+  }
+
+  /**
+   * Restart one series (or all) from its start price and seed
+   * @returns {boolean} False if the series does not exist
+   */
+  reset(id = null) {
+    if (id) {
+      const state = this.series.get(id);
+      if (!state) return false;
+      this.restart(state);
+    } else {
+      this.series.forEach(state => this.restart(state));
+    }
+
+    this.logger.info({ series: id || 'all' }, 'Series reset');
+    return true;
+  }
+
+  /**
+   * Force the current price; the walk continues from it
+   * @returns {Object|null} Snapshot or null if the series does not exist
+   */
+  setPrice(id, price) {
+    const state = this.series.get(id);
+    if (!state) return null;
+
+    this.catchUp(state);
+    state.price = this.roundToTick(price, state.definition.tickSize);
+    state.high = Math.max(state.high, state.price);
+    state.low = Math.min(state.low, state.price);
+
+    this.logger.info({ series: id, price: state.price }, 'Series price set');
+    return this.snapshot(state);
+  }
+
+  /**
+   * Remove all series (configuration reload)
+   */
+  clear() {
+    this.series.clear();
+  }
+
+  /**
+   * Template helpers: {{series 'id'}} and {{series 'id' 'changePercent'}}
+   */
+  createHelpers() {
+    return {
+      series: (id, ...rest) => {
+        const field = rest.length > 1 ? rest[0] : 'price';
+        if (!FIELDS.includes(field)) {
+          throw new Error(`Unknown series field "${field}" (expected one of ${FIELDS.join(', ')})`);
+        }
+
+        const values = this.get(id);
+        if (!values) {
+          throw new Error(`Unknown series "${id}"`);
+        }
+        return values[field];
+      }
+    };
+  }
+
+  // Private helper methods
+
+  restart(state) {
+    const { start, tickSize } = state.definition;
+    state.rng = new SeededRandom(state.seed);
+    state.price = this.roundToTick(start, tickSize);
+    state.open = state.price;
+    state.high = state.price;
+    state.low = state.price;
+    state.steps = 0;
+    state.startedAt = this.clock.now();
+  }
+
+  /**
+   * Generate the steps elapsed since the series started
+   */
+  catchUp(state) {
+    const elapsed = this.clock.now() - state.startedAt;
+    if (elapsed <= 0) return;
+
+    const target = Math.floor(elapsed / state.definition.interval);
+    if (target - state.steps > MAX_CATCH_UP) {
+      const skipped = target - state.steps - MAX_CATCH_UP;
+      state.steps += skipped;
+      this.logger.warn({ series: state.id, skipped }, 'Series steps skipped after a large clock jump');
+    }
+
+    while (state.steps < target) {
+      this.step(state);
+    }
+  }
+
+  step(state) {
+    const { drift, volatility, tickSize, min, max } = state.definition;
+    let next = state.price * (1 + drift + volatility * this.gaussian(state.rng));
+
+    // Reflect off the bounds so the path stays continuous
+    if (min !== undefined && next < min) next = Math.min(min + (min - next), max !== undefined ? max : Infinity);
+    if (max !== undefined && next > max) next = Math.max(max - (next - max), min !== undefined ? min : -Infinity);
+
+    next = this.roundToTick(next, tickSize);
+    if (next <= 0) next = tickSize;
+
+    state.price = next;
+    state.high = Math.max(state.high, next);
+    state.low = Math.min(state.low, next);
+    state.steps++;
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian(rng) {
+    const u = 1 - rng.next();
+    const v = rng.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  roundToTick(value, tickSize) {
+    // Read the decimals from exponent form so ticks like 1e-8 keep all of theirs
+    const [mantissa, exponent] = tickSize.toExponential().split('e');
+    const decimals = Math.max(0, (mantissa.split('.')[1] || '').length - Number(exponent));
+    return Number((Math.round(value / tickSize) * tickSize).toFixed(decimals));
+  }
+
+  snapshot(state) {
+    const change = this.roundToTick(state.price - state.open, state.definition.tickSize);
+    return {
+      id: state.id,
+      price: state.price,
+      open: state.open,
+      high: state.high,
+      low: state.low,
+      change,
+      changePercent: state.open ? Number(((change / state.open) * 100).toFixed(2)) : 0,
+      steps: state.steps,
+      at: new Date(state.startedAt + state.steps * state.definition.interval).toISOString()
+    };
+  }
+}
+
+PriceSeries.DEFAULTS = DEFAULTS;
+
+module.exports = PriceSeries;
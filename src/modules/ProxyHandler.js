@@ -0,0 +1,389 @@
+/**
+ * Proxy Handler - Forwards requests to an upstream API and records them as mocks
+ *
+ * Mappings with `response.proxyBaseUrl` are forwarded upstream with their
+ * response fields applied as overrides.
+ *
+ * While a recording is active, requests that match no mapping are forwarded to
+ * the recording's target base URL. Each request/response pair is kept and, when
+ * the recording stops, written out as a `type: "api"` mock file that passes
+ * schema/api-mock-schema.json validation.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_OUTPUT_DIR = 'mocks/recorded';
+
+// Recording names become file names, so they may not contain path separators
+const RECORDING_NAME_PATTERN = /^[\w.-]+$/;
+
+// Headers that describe a single hop and must not be forwarded or recorded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'host',
+  'content-length'
+];
+
+// Response headers that no longer apply once fetch has decoded the body
+const DECODED_RESPONSE_HEADERS = ['content-encoding', 'content-length'];
+
+class ProxyHandler {
+  constructor(logger, configManager, options = {}) {
+    this.logger = logger.child({ module: 'ProxyHandler' });
+    this.configManager = configManager;
+    this.rootDir = options.rootDir || process.cwd();
+    this.recording = null;
+  }
+
+  /**
+   * Forward a request to an upstream base URL
+   * @param {Object} request - Fastify request object
+   * @param {string} targetBaseUrl - Upstream base URL (e.g. https://api.ripio.com)
+   * @param {Object} options - { timeout, headers } where headers override forwarded ones
+   * @returns {Promise<Object>} Upstream response ({ status, headers, body, bodyType })
+   */
+  async forward(request, targetBaseUrl, options = {}) {
+    // Append the full request URL so a base path on the target is kept
+    const url = new URL(`${targetBaseUrl.replace(/\/+$/, '')}${request.url}`);
+
+    const headers = {};
+    for (const [name, value] of Object.entries(request.headers)) {
+      if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+        headers[name] = value;
+      }
+    }
+    Object.assign(headers, options.headers || {});
+
+    const method = request.method.toUpperCase();
+    const hasBody = !['GET', 'HEAD'].includes(method) && request.body !== undefined && request.body !== null;
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: hasBody ? this.serializeBody(request.body) : undefined,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(options.timeout || DEFAULT_TIMEOUT)
+    });
+
+    const responseHeaders = {};
+    response.headers.forEach((value, name) => {
+      if (!HOP_BY_HOP_HEADERS.includes(name) && !DECODED_RESPONSE_HEADERS.includes(name)) {
+        responseHeaders[name] = value;
+      }
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const { body, bodyType } = this.decodeBody(buffer, responseHeaders['content-type']);
+
+    this.logger.debug({
+      method,
+      url: url.toString(),
+      status: response.status
+    }, 'Request forwarded to upstream');
+
+    return {
+      status: response.status,
+      headers: responseHeaders,
+      body,
+      bodyType
+    };
+  }
+
+  /**
+   * Convert an upstream response into a response configuration for ApiResponseHandler
+   * @param {Object} upstream - Result of forward()
+   * @returns {Object} Response configuration
+   */
+  toResponseConfig(upstream) {
+    const responseConfig = {
+      status: upstream.status,
+      headers: upstream.headers
+    };
+
+    if (upstream.bodyType === 'json') {
+      responseConfig.jsonBody = upstream.body;
+    } else if (upstream.bodyType === 'text') {
+      responseConfig.body = upstream.body;
+    } else if (upstream.bodyType === 'base64') {
+      responseConfig.base64Body = upstream.body;
+    }
+
+    return responseConfig;
+  }
+
+  /**
+   * Forward a request for a mapping with `response.proxyBaseUrl` and apply the mapping's overrides
+   * @param {Object} request - Fastify request object
+   * @param {Object} response - Mapping response block
+   * @returns {Promise<Object>} Response configuration to send
+   */
+  async forwardMapping(request, response) {
+    const { proxyBaseUrl, ...overrides } = response;
+    const upstream = await this.forward(request, proxyBaseUrl);
+    return this.applyResponseOverrides(this.toResponseConfig(upstream), overrides);
+  }
+
+  /**
+   * Apply mapping overrides on top of an upstream response
+   * Headers are merged, a JSON object body is deep-merged into a JSON object upstream body,
+   * and any other body or status replaces the upstream one; the remaining fields
+   * (transformers, templates...) are carried through as they are
+   * @param {Object} responseConfig - Upstream response configuration
+   * @param {Object} overrides - Mapping response fields other than proxyBaseUrl
+   * @returns {Object} Response configuration
+   */
+  applyResponseOverrides(responseConfig, overrides) {
+    const { headers, jsonBody, body, base64Body, ...rest } = overrides;
+    const result = {
+      ...responseConfig,
+      headers: { ...responseConfig.headers, ...(headers || {}) }
+    };
+
+    Object.entries(rest).forEach(([field, value]) => {
+      if (value !== undefined) result[field] = value;
+    });
+
+    const bodyFields = ['jsonBody', 'body', 'base64Body'];
+    const overrideField = bodyFields.find(field => overrides[field] !== undefined);
+
+    if (overrideField === 'jsonBody' && this.isPlainObject(overrides.jsonBody) && this.isPlainObject(result.jsonBody)) {
+      result.jsonBody = this.deepMerge(result.jsonBody, overrides.jsonBody);
+    } else if (overrideField) {
+      bodyFields.forEach(field => delete result[field]);
+      result[overrideField] = overrides[overrideField];
+    }
+
+    return result;
+  }
+
+  /**
+   * Start recording unmatched requests
+   * @param {Object} options - { targetBaseUrl, name, outputDir, timeout }
+   * @returns {Object} Recording status
+   */
+  startRecording(options = {}) {
+    if (!options.targetBaseUrl) {
+      throw new Error('targetBaseUrl is required');
+    }
+
+    // Validate the URL early so a typo is reported on start, not on the first request
+    new URL(options.targetBaseUrl);
+
+    if (this.recording) {
+      throw new Error(`Recording '${this.recording.name}' is already in progress`);
+    }
+
+    if (options.name !== undefined && (typeof options.name !== 'string' || !RECORDING_NAME_PATTERN.test(options.name))) {
+      throw new Error('name may only contain letters, digits, underscores, dots and hyphens');
+    }
+
+    this.recording = {
+      name: options.name || `recorded-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      targetBaseUrl: options.targetBaseUrl,
+      outputDir: this.resolveOutputDir(options.outputDir || DEFAULT_OUTPUT_DIR),
+      timeout: options.timeout || DEFAULT_TIMEOUT,
+      startedAt: new Date().toISOString(),
+      mappings: []
+    };
+
+    this.logger.info({
+      name: this.recording.name,
+      targetBaseUrl: this.recording.targetBaseUrl
+    }, '⏺️ Recording started');
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stop recording and write the recorded mappings to a mock file.
+   * If the file cannot be written the recording stays active so nothing is lost.
+   * @returns {Promise<Object>} { name, file, mappings, valid, errors }
+   */
+  async stopRecording() {
+    if (!this.recording) {
+      throw new Error('No recording in progress');
+    }
+
+    const recording = this.recording;
+
+    const config = {
+      name: recording.name,
+      type: 'api',
+      description: `Recorded from ${recording.targetBaseUrl} on ${recording.startedAt}`,
+      mappings: recording.mappings
+    };
+
+    const validation = this.configManager.validateConfiguration(config, true);
+    if (!validation.isValid) {
+      this.logger.warn({ name: recording.name, errors: validation.errors }, 'Recorded mock file does not pass schema validation');
+    }
+
+    const file = recording.mappings.length > 0 ? await this.writeMockFile(recording.outputDir, config) : null;
+
+    this.recording = null;
+
+    this.logger.info({
+      name: config.name,
+      file,
+      mappings: recording.mappings.length
+    }, '⏹️ Recording stopped');
+
+    return {
+      name: config.name,
+      file: file ? path.relative(this.rootDir, file) : null,
+      mappings: recording.mappings.length,
+      valid: validation.isValid,
+      errors: validation.errors
+    };
+  }
+
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Forward an unmatched request to the recording target and record the pair
+   * @param {Object} request - Fastify request object
+   * @returns {Promise<Object>} Response configuration to send
+   */
+  async forwardAndRecord(request) {
+    const { targetBaseUrl, timeout } = this.recording;
+    const upstream = await this.forward(request, targetBaseUrl, { timeout });
+
+    // The recording may have been stopped while the upstream call was in flight
+    if (this.recording) {
+      this.recording.mappings.push(this.buildMapping(request, upstream, this.recording.mappings.length));
+    }
+
+    return this.toResponseConfig(upstream);
+  }
+
+  /**
+   * Build a schema-valid mapping from a request/response pair
+   */
+  buildMapping(request, upstream, index) {
+    const urlPath = request.url.split('?')[0];
+    const method = request.method.toUpperCase();
+    const slug = urlPath.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+
+    const mappingRequest = { method, urlPath };
+
+    const query = Object.entries(request.query || {}).filter(([, value]) => typeof value === 'string');
+    if (query.length > 0) {
+      mappingRequest.queryParameters = Object.fromEntries(
+        query.map(([name, value]) => [name, { equals: value }])
+      );
+    }
+
+    if (request.body !== undefined && request.body !== null && !['GET', 'HEAD'].includes(method)) {
+      mappingRequest.bodyPatterns = [
+        typeof request.body === 'object'
+          ? { equalToJson: request.body }
+          : { contains: String(request.body) }
+      ];
+    }
+
+    return {
+      id: `${method.toLowerCase()}-${slug}-${index + 1}`,
+      request: mappingRequest,
+      response: this.toResponseConfig(upstream)
+    };
+  }
+
+  /**
+   * Get the current recording status
+   */
+  getStatus() {
+    if (!this.recording) {
+      return { recording: false };
+    }
+
+    return {
+      recording: true,
+      name: this.recording.name,
+      targetBaseUrl: this.recording.targetBaseUrl,
+      outputDir: path.relative(this.rootDir, this.recording.outputDir),
+      startedAt: this.recording.startedAt,
+      mappings: this.recording.mappings.length
+    };
+  }
+
+  // Private helper methods
+
+  // Never replaces a file from an earlier session: the name (of the file and the config) gets -2, -3... instead
+  async writeMockFile(outputDir, config) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const baseName = config.name;
+    for (let suffix = 1; ; suffix++) {
+      config.name = suffix === 1 ? baseName : `${baseName}-${suffix}`;
+      const file = path.join(outputDir, `${config.name}.json`);
+      try {
+        await fs.writeFile(file, `${JSON.stringify(config, null, 2)}\n`, { flag: 'wx' });
+        return file;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+
+  resolveOutputDir(outputDir) {
+    const resolved = path.resolve(this.rootDir, outputDir);
+    if (resolved !== this.rootDir && !resolved.startsWith(`${this.rootDir}${path.sep}`)) {
+      throw new Error('outputDir must be inside the project directory');
+    }
+    return resolved;
+  }
+
+  deepMerge(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+      merged[key] = this.isPlainObject(value) && this.isPlainObject(merged[key])
+        ? this.deepMerge(merged[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  serializeBody(body) {
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      return body;
+    }
+    return JSON.stringify(body);
+  }
+
+  decodeBody(buffer, contentType = '') {
+    if (buffer.length === 0) {
+      return { body: undefined, bodyType: 'empty' };
+    }
+
+    if (/json/i.test(contentType)) {
+      try {
+        return { body: JSON.parse(buffer.toString('utf8')), bodyType: 'json' };
+      } catch (error) {
+        // Invalid JSON is kept as text
+      }
+    }
+
+    if (/^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(contentType)) {
+      return { body: buffer.toString('utf8'), bodyType: 'text' };
+    }
+
+    return { body: buffer.toString('base64'), bodyType: 'base64' };
+  }
+}
+
+module.exports = ProxyHandler;
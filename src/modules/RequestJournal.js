@@ -0,0 +1,205 @@
+/**
+ * Request Journal - Bounded in-memory record of REST mock traffic
+ *
+ * Every request handled by the API matcher is stored with its response,
+ * the matched mapping and the correlation ID, so tests can verify what a
+ * client actually sent. The oldest entries are dropped once maxEntries is reached.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+class RequestJournal {
+  constructor(logger, requestMatcher, options = {}) {
+    this.logger = logger.child({ module: 'RequestJournal' });
+    this.requestMatcher = requestMatcher;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+
+    // Stamp entries on the virtual clock when provided, so they agree with {{date.now}}
+    this.now = options.clock ? () => options.clock.now() : () => Date.now();
+  }
+
+  /**
+   * Record a handled request
+   * @param {Object} request - Fastify request object
+   * @param {Object} details - { correlationId, mapping, response: { status, headers, body }, processingTime, proxied }
+   * @returns {Object} Journal entry
+   */
+  record(request, details) {
+    const { correlationId, mapping = null, response, processingTime, proxied = false } = details;
+    const queryIndex = request.url.indexOf('?');
+
+    const entry = {
+      id: correlationId,
+      timestamp: new Date(this.now()).toISOString(),
+      request: {
+        method: request.method,
+        url: request.url,
+        path: queryIndex === -1 ? request.url : request.url.substring(0, queryIndex),
+        query: { ...(request.query || {}) },
+        headers: { ...request.headers },
+        body: request.body
+      },
+      response,
+      matched: !!mapping,
+      mappingId: mapping ? (mapping.id || `${mapping._configLocation}#${mapping._mappingIndex}`) : null,
+      configName: mapping ? mapping._configName : null,
+      proxied,
+      processingTime
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find journal entries matching request criteria
+   * @param {Object} criteria - Same shape as a mapping request block, plus optional `matched` and `mappingId`
+   * @returns {Array} Matching entries, oldest first
+   */
+  find(criteria = {}) {
+    const compiled = this.compileCriteria(criteria);
+    return this.entries.filter(entry => this.matchesCriteria(entry, compiled));
+  }
+
+  /**
+   * Compile the regular expressions in request criteria once per query
+   * @param {Object} criteria - Request criteria
+   * @returns {Object} Criteria with urlPathPattern as a RegExp
+   * @throws {Error} If urlPathPattern or a header / query parameter `matches` is not a valid regular expression
+   */
+  compileCriteria(criteria = {}) {
+    const compile = (pattern, field) => {
+      if (pattern instanceof RegExp) return pattern;
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid ${field}: ${error.message}`);
+      }
+    };
+
+    for (const block of ['headers', 'queryParameters']) {
+      for (const [name, valueCriteria] of Object.entries(criteria[block] || {})) {
+        if (valueCriteria && valueCriteria.matches !== undefined) {
+          compile(valueCriteria.matches, `${block}.${name}.matches`);
+        }
+      }
+    }
+
+    return criteria.urlPathPattern
+      ? { ...criteria, urlPathPattern: compile(criteria.urlPathPattern, 'urlPathPattern') }
+      : criteria;
+  }
+
+  /**
+   * Count journal entries matching request criteria
+   * @param {Object} criteria - Request criteria
+   * @returns {number} Number of matching entries
+   */
+  count(criteria = {}) {
+    return this.find(criteria).length;
+  }
+
+  /**
+   * Get a single entry by correlation ID
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Get all entries, oldest first
+   */
+  getAll() {
+    return [...this.entries];
+  }
+
+  /**
+   * Remove all entries
+   * @returns {number} Number of removed entries
+   */
+  clear() {
+    const removed = this.entries.length;
+    this.entries = [];
+    this.logger.info({ removed }, 'Request journal cleared');
+    return removed;
+  }
+
+  /**
+   * Check a journal entry against criteria from compileCriteria
+   * Unlike mapping matching, body patterns never match a request without a body
+   */
+  matchesCriteria(entry, criteria) {
+    const { request } = entry;
+
+    if (criteria.method && request.method !== criteria.method.toUpperCase()) {
+      return false;
+    }
+
+    if (criteria.urlPath && request.path !== criteria.urlPath) {
+      return false;
+    }
+
+    if (criteria.urlPathPattern && !criteria.urlPathPattern.test(request.path)) {
+      return false;
+    }
+
+    if (criteria.matched !== undefined && entry.matched !== criteria.matched) {
+      return false;
+    }
+
+    if (criteria.mappingId && entry.mappingId !== criteria.mappingId) {
+      return false;
+    }
+
+    if (criteria.headers) {
+      for (const [headerName, headerCriteria] of Object.entries(criteria.headers)) {
+        const headerValue = request.headers[headerName.toLowerCase()];
+
+        if (headerCriteria.absent === true) {
+          if (headerValue !== undefined) return false;
+          continue;
+        }
+
+        if (headerValue === undefined || !this.requestMatcher.matchValue(headerValue, headerCriteria)) {
+          return false;
+        }
+      }
+    }
+
+    if (criteria.queryParameters) {
+      for (const [paramName, paramCriteria] of Object.entries(criteria.queryParameters)) {
+        const paramValue = request.query[paramName];
+
+        if (paramCriteria.absent === true) {
+          if (paramValue !== undefined) return false;
+          continue;
+        }
+
+        if (paramValue === undefined || !this.requestMatcher.matchValue(paramValue, paramCriteria)) {
+          return false;
+        }
+      }
+    }
+
+    if (criteria.bodyPatterns) {
+      if (request.body === undefined || request.body === null) {
+        return false;
+      }
+
+      return criteria.bodyPatterns.every(pattern =>
+        this.requestMatcher.matchBodyPattern(request.body, pattern, request)
+      );
+    }
+
+    return true;
+  }
+}
+
+RequestJournal.DEFAULT_MAX_ENTRIES = DEFAULT_MAX_ENTRIES;
+
+module.exports = RequestJournal;
@@ -0,0 +1,355 @@
+/**
+ * Resource Store - In-memory CRUD collections backing REST mappings
+ *
+ * A mapping with a `resource` block turns its urlPath into a collection:
+ * - GET    /path         list records (query filters + limit/offset pagination)
+ * - POST   /path         create a record with a generated id
+ * - GET    /path/:id     read a record
+ * - PUT    /path/:id     replace a record
+ * - PATCH  /path/:id     merge fields into a record
+ * - DELETE /path/:id     remove a record
+ * Other methods on these paths get 405 with an Allow header.
+ *
+ * Handlers return a response configuration so scenarios, delays and logging
+ * work exactly like static mappings.
+ */
+
+const DEFAULT_ID_TEMPLATE = '{{random.uuid}}';
+const COLLECTION_METHODS = ['GET', 'POST'];
+const RECORD_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_PAGINATION = {
+  limitParam: 'limit',
+  offsetParam: 'offset',
+  defaultLimit: 50,
+  maxLimit: 1000
+};
+
+class ResourceStore {
+  constructor(logger, templateEngine) {
+    this.logger = logger.child({ module: 'ResourceStore' });
+    this.templateEngine = templateEngine;
+    this.collections = new Map(); // key: collection name, value: { records, resource }
+  }
+
+  /**
+   * Get the collection name backing a mapping
+   * @param {Object} mapping - API mapping with a resource block
+   * @returns {string} Collection name
+   */
+  getCollectionName(mapping) {
+    return mapping.resource.name || mapping.id || `${mapping._configLocation}#${mapping._mappingIndex}`;
+  }
+
+  /**
+   * Create and seed the collection of a mapping when it is registered
+   * @param {Object} mapping - API mapping (ignored without a resource block)
+   */
+  register(mapping) {
+    if (!mapping.resource) return;
+    this.ensureCollection(mapping);
+  }
+
+  /**
+   * Check if a request targets the collection or one of its records
+   * @param {Object} request - Fastify request object
+   * @param {Object} mapping - API mapping with a resource block
+   * @param {string} urlPath - Pre-extracted URL path (no query string)
+   * @returns {boolean} True if the request path is the collection or one of its records
+   */
+  matches(request, mapping, urlPath) {
+    // Every method is handled, so unsupported ones get 405 instead of falling through
+    return this.parseTarget(mapping.request.urlPath, urlPath) !== null;
+  }
+
+  /**
+   * Split a request path into collection and record id
+   * @param {string} basePath - Collection path from the mapping
+   * @param {string} urlPath - Request path
+   * @returns {Object|null} { id } (id is null for the collection) or null if unrelated or malformed
+   */
+  parseTarget(basePath, urlPath) {
+    const base = basePath.replace(/\/+$/, '');
+    const path = urlPath.replace(/\/+$/, '');
+
+    if (path === base) {
+      return { id: null };
+    }
+
+    if (path.startsWith(`${base}/`)) {
+      const id = path.substring(base.length + 1);
+      if (id.length > 0 && !id.includes('/')) {
+        try {
+          return { id: decodeURIComponent(id) };
+        } catch {
+          // A malformed escape cannot name a record
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a CRUD request and build the response configuration
+   * @param {Object} request - Fastify request object
+   * @param {Object} mapping - API mapping with a resource block
+   * @param {string} urlPath - Pre-extracted URL path
+   * @param {Object} context - Template context
+   * @returns {Object} Response configuration ({ status, headers, jsonBody })
+   */
+  handleRequest(request, mapping, urlPath, context = {}) {
+    const collection = this.ensureCollection(mapping);
+    const { id } = this.parseTarget(mapping.request.urlPath, urlPath);
+    const method = request.method.toUpperCase();
+
+    if (id === null) {
+      if (method === 'GET') return this.listRecords(collection, request.query || {});
+      if (method === 'POST') return this.createRecord(collection, request.body, context);
+      return this.methodNotAllowed(collection, method, COLLECTION_METHODS, 'collection');
+    }
+
+    if (!RECORD_METHODS.includes(method)) {
+      return this.methodNotAllowed(collection, method, RECORD_METHODS, 'records');
+    }
+
+    if (!collection.records.has(id)) {
+      return this.errorResponse(404, 'Not Found', `Resource '${id}' not found in ${collection.name}`);
+    }
+
+    switch (method) {
+      case 'GET':
+        return this.itemResponse(collection, 200, collection.records.get(id));
+      case 'PUT':
+        return this.replaceRecord(collection, id, request.body);
+      case 'PATCH':
+        return this.updateRecord(collection, id, request.body);
+      case 'DELETE':
+        collection.records.delete(id);
+        this.logger.debug({ collection: collection.name, id }, 'Resource deleted');
+        return { status: 204 };
+    }
+  }
+
+  /**
+   * Get the collection of a mapping, creating it with its seed records if needed
+   */
+  ensureCollection(mapping) {
+    const name = this.getCollectionName(mapping);
+    let collection = this.collections.get(name);
+
+    if (!collection) {
+      collection = {
+        name,
+        resource: mapping.resource,
+        records: new Map()
+      };
+      this.collections.set(name, collection);
+      this.seedCollection(collection);
+    }
+
+    return collection;
+  }
+
+  /**
+   * Load seed records into a collection
+   */
+  seedCollection(collection) {
+    collection.records.clear();
+    const idField = collection.resource.idField || 'id';
+    const seed = collection.resource.seed || [];
+
+    seed.forEach(record => {
+      const processed = this.templateEngine.process(record, {});
+      const id = processed[idField] !== undefined
+        ? String(processed[idField])
+        : String(this.templateEngine.process(collection.resource.idTemplate || DEFAULT_ID_TEMPLATE, {}));
+      collection.records.set(id, { ...processed, [idField]: processed[idField] ?? id });
+    });
+  }
+
+  listRecords(collection, query) {
+    const pagination = { ...DEFAULT_PAGINATION, ...(collection.resource.pagination || {}) };
+    const limit = Math.min(
+      this.parseNonNegativeInt(query[pagination.limitParam], pagination.defaultLimit),
+      pagination.maxLimit
+    );
+    const offset = this.parseNonNegativeInt(query[pagination.offsetParam], 0);
+
+    // Every other query parameter filters on the record field with the same name
+    const filters = Object.entries(query)
+      .filter(([name]) => name !== pagination.limitParam && name !== pagination.offsetParam);
+
+    const filtered = Array.from(collection.records.values()).filter(record =>
+      filters.every(([field, expected]) => {
+        const actual = this.getFieldValue(record, field);
+        const values = Array.isArray(expected) ? expected : [expected];
+        return actual !== undefined && actual !== null && values.includes(String(actual));
+      })
+    );
+
+    const items = filtered.slice(offset, offset + limit);
+    const headers = { 'X-Total-Count': String(filtered.length) };
+    const envelope = collection.resource.envelope;
+
+    if (!envelope) {
+      return { status: 200, headers, jsonBody: items };
+    }
+
+    return {
+      status: 200,
+      headers,
+      jsonBody: {
+        ...(collection.resource.envelopeFields || {}),
+        [envelope]: items,
+        pagination: {
+          total: filtered.length,
+          limit,
+          offset
+        }
+      }
+    };
+  }
+
+  createRecord(collection, body, context) {
+    if (!this.isPlainObject(body)) {
+      return this.errorResponse(400, 'Bad Request', 'Request body must be a JSON object');
+    }
+
+    const idField = collection.resource.idField || 'id';
+    const defaults = collection.resource.defaults
+      ? this.templateEngine.process(collection.resource.defaults, context)
+      : {};
+
+    let id;
+    if (body[idField] !== undefined && body[idField] !== null) {
+      id = String(body[idField]);
+      if (collection.records.has(id)) {
+        return this.errorResponse(409, 'Conflict', `Resource '${id}' already exists in ${collection.name}`);
+      }
+    } else {
+      id = String(this.templateEngine.process(collection.resource.idTemplate || DEFAULT_ID_TEMPLATE, context));
+    }
+
+    const record = { ...defaults, ...body, [idField]: body[idField] ?? id };
+    collection.records.set(id, record);
+
+    this.logger.debug({ collection: collection.name, id }, 'Resource created');
+    return this.itemResponse(collection, 201, record);
+  }
+
+  replaceRecord(collection, id, body) {
+    if (!this.isPlainObject(body)) {
+      return this.errorResponse(400, 'Bad Request', 'Request body must be a JSON object');
+    }
+
+    const idField = collection.resource.idField || 'id';
+    const record = { ...body, [idField]: collection.records.get(id)[idField] };
+    collection.records.set(id, record);
+
+    this.logger.debug({ collection: collection.name, id }, 'Resource replaced');
+    return this.itemResponse(collection, 200, record);
+  }
+
+  updateRecord(collection, id, body) {
+    if (!this.isPlainObject(body)) {
+      return this.errorResponse(400, 'Bad Request', 'Request body must be a JSON object');
+    }
+
+    const idField = collection.resource.idField || 'id';
+    const existing = collection.records.get(id);
+    const record = { ...existing, ...body, [idField]: existing[idField] };
+    collection.records.set(id, record);
+
+    this.logger.debug({ collection: collection.name, id }, 'Resource updated');
+    return this.itemResponse(collection, 200, record);
+  }
+
+  itemResponse(collection, status, record) {
+    const envelope = collection.resource.envelope;
+    return {
+      status,
+      jsonBody: envelope
+        ? { ...(collection.resource.envelopeFields || {}), [envelope]: record }
+        : record
+    };
+  }
+
+  methodNotAllowed(collection, method, allowed, target) {
+    return {
+      ...this.errorResponse(405, 'Method Not Allowed', `${method} is not supported on the ${collection.name} ${target}`),
+      headers: { Allow: allowed.join(', ') }
+    };
+  }
+
+  errorResponse(status, error, message) {
+    return {
+      status,
+      jsonBody: { error, message }
+    };
+  }
+
+  /**
+   * Reset one collection (or all) back to its seed records
+   * @param {string} name - Optional collection name
+   * @returns {boolean} False if the named collection does not exist
+   */
+  reset(name = null) {
+    if (name) {
+      const collection = this.collections.get(name);
+      if (!collection) return false;
+      this.seedCollection(collection);
+    } else {
+      this.collections.forEach(collection => this.seedCollection(collection));
+    }
+
+    this.logger.info({ collection: name || 'all' }, 'Resource store reset');
+    return true;
+  }
+
+  /**
+   * Remove all collections (configuration reload)
+   */
+  clear() {
+    this.collections.clear();
+  }
+
+  /**
+   * Get a summary of all collections
+   * @returns {Array} Collection names and record counts
+   */
+  getCollections() {
+    return Array.from(this.collections.values()).map(collection => ({
+      name: collection.name,
+      count: collection.records.size
+    }));
+  }
+
+  /**
+   * Get all records of a collection
+   * @param {string} name - Collection name
+   * @returns {Array|null} Records or null if the collection does not exist
+   */
+  getRecords(name) {
+    const collection = this.collections.get(name);
+    return collection ? Array.from(collection.records.values()) : null;
+  }
+
+  // Private helper methods
+
+  parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  }
+
+  getFieldValue(record, fieldPath) {
+    return fieldPath.split('.').reduce((current, part) =>
+      current && typeof current === 'object' ? current[part] : undefined, record);
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = ResourceStore;
@@ -0,0 +1,92 @@
+/**
+ * Response Sequencer - Selects one of a mapping's `responses` per call
+ *
+ * Modes:
+ * - sequence: return responses in order and keep returning the last one
+ * - cycle:    return responses in order and start over after the last one
+ * - random:   pick a response at random, honoring optional `weight` fields
+ *
+ * Call counters are kept per mapping so "first call 500, second call 200"
+ * retry flows can be replayed after a reset.
+ */
+
+const SeededRandom = require('../utils/seededRandom');
+
+const DEFAULT_MODE = 'sequence';
+
+class ResponseSequencer {
+  constructor(logger, random = new SeededRandom()) {
+    this.logger = logger.child({ module: 'ResponseSequencer' });
+    this.random = random; // Seedable source for random mode
+    this.counters = new Map(); // key: mapping key, value: number of calls served
+  }
+
+  /**
+   * Select the response for the next call of a mapping
+   * @param {string} key - Mapping key (id or location#index)
+   * @param {Object} mapping - API mapping with a responses array
+   * @returns {Object} Selected response (without its weight)
+   */
+  next(key, mapping) {
+    const responses = mapping.responses;
+    const mode = mapping.responseMode || DEFAULT_MODE;
+    const call = this.counters.get(key) || 0;
+    this.counters.set(key, call + 1);
+
+    let index;
+    if (mode === 'cycle') {
+      index = call % responses.length;
+    } else if (mode === 'random') {
+      index = this.pickWeighted(responses);
+    } else {
+      index = Math.min(call, responses.length - 1);
+    }
+
+    this.logger.debug({ mapping: key, mode, call: call + 1, index }, 'Response selected from sequence');
+
+    const { weight, ...response } = responses[index];
+    return response;
+  }
+
+  /**
+   * Reset call counters for one mapping (or all)
+   * @param {string} key - Optional mapping key
+   * @returns {boolean} False if the mapping has no counter
+   */
+  reset(key = null) {
+    if (key) {
+      if (!this.counters.has(key)) return false;
+      this.counters.delete(key);
+    } else {
+      this.counters.clear();
+    }
+
+    this.logger.info({ mapping: key || 'all' }, 'Response sequence reset');
+    return true;
+  }
+
+  /**
+   * Get the number of calls served for a mapping
+   */
+  getCallCount(key) {
+    return this.counters.get(key) || 0;
+  }
+
+  // Private helper methods
+
+  pickWeighted(responses) {
+    const weights = responses.map(response => response.weight || 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = this.random.next() * total;
+
+    for (let i = 0; i < weights.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return i;
+    }
+    return weights.length - 1;
+  }
+}
+
+ResponseSequencer.DEFAULT_MODE = DEFAULT_MODE;
+
+module.exports = ResponseSequencer;
@@ -0,0 +1,138 @@
+/**
+ * Scenario State Manager - Named state machines for REST mappings
+ *
+ * Mappings opt in with WireMock-style fields:
+ * - scenarioName: state machine the mapping belongs to
+ * - requiredScenarioState: mapping only matches while the scenario is in this state
+ * - newScenarioState: state the scenario moves to after the mapping matches
+ *
+ * Every scenario starts in the 'Started' state and can be reset at runtime.
+ */
+
+const STARTED_STATE = 'Started';
+
+class ScenarioStateManager {
+  constructor(logger) {
+    this.logger = logger.child({ module: 'ScenarioStateManager' });
+    this.states = new Map(); // key: scenario name, value: current state
+  }
+
+  /**
+   * Get the current state of a scenario
+   * @param {string} scenarioName - Scenario name
+   * @returns {string} Current state ('Started' if never transitioned)
+   */
+  getState(scenarioName) {
+    return this.states.get(scenarioName) || STARTED_STATE;
+  }
+
+  /**
+   * Set the current state of a scenario
+   * @param {string} scenarioName - Scenario name
+   * @param {string} state - New state
+   */
+  setState(scenarioName, state) {
+    const previousState = this.getState(scenarioName);
+    this.states.set(scenarioName, state);
+
+    this.logger.debug({
+      scenarioName,
+      previousState,
+      state
+    }, `Scenario '${scenarioName}' moved from '${previousState}' to '${state}'`);
+  }
+
+  /**
+   * Check if a mapping can match given the current scenario state
+   * @param {Object} mapping - API mapping
+   * @returns {boolean} True if the mapping has no scenario or its required state is current
+   */
+  isMappingActive(mapping) {
+    if (!mapping.scenarioName || !mapping.requiredScenarioState) {
+      return true;
+    }
+
+    return this.getState(mapping.scenarioName) === mapping.requiredScenarioState;
+  }
+
+  /**
+   * Apply the state transition declared by a matched mapping
+   * @param {Object} mapping - Matched API mapping
+   * @param {string} correlationId - Request correlation ID
+   * @returns {Object|null} Transition details or null if the mapping has no transition
+   */
+  applyTransition(mapping, correlationId) {
+    if (!mapping.scenarioName || !mapping.newScenarioState) {
+      return null;
+    }
+
+    const from = this.getState(mapping.scenarioName);
+    this.setState(mapping.scenarioName, mapping.newScenarioState);
+
+    this.logger.info({
+      correlationId,
+      scenarioName: mapping.scenarioName,
+      from,
+      to: mapping.newScenarioState
+    }, `🔀 [${correlationId}] Scenario ${mapping.scenarioName}: ${from} → ${mapping.newScenarioState}`);
+
+    return { scenarioName: mapping.scenarioName, from, to: mapping.newScenarioState };
+  }
+
+  /**
+   * Reset one scenario or all scenarios back to 'Started'
+   * @param {string} scenarioName - Optional scenario name
+   */
+  reset(scenarioName = null) {
+    if (scenarioName) {
+      this.states.delete(scenarioName);
+    } else {
+      this.states.clear();
+    }
+
+    this.logger.info({ scenarioName: scenarioName || 'all' }, 'Scenario state reset');
+  }
+
+  /**
+   * Describe all scenarios referenced by the given mappings
+   * @param {Array} mappings - API mappings
+   * @returns {Array} Scenario descriptions with current and possible states
+   */
+  getScenarios(mappings) {
+    const scenarios = new Map();
+
+    mappings.forEach(mapping => {
+      if (!mapping.scenarioName) return;
+
+      if (!scenarios.has(mapping.scenarioName)) {
+        scenarios.set(mapping.scenarioName, {
+          name: mapping.scenarioName,
+          state: this.getState(mapping.scenarioName),
+          possibleStates: new Set([STARTED_STATE]),
+          mappings: []
+        });
+      }
+
+      const scenario = scenarios.get(mapping.scenarioName);
+      if (mapping.requiredScenarioState) scenario.possibleStates.add(mapping.requiredScenarioState);
+      if (mapping.newScenarioState) scenario.possibleStates.add(mapping.newScenarioState);
+      scenario.mappings.push(mapping.id || `${mapping._configLocation}#${mapping._mappingIndex}`);
+    });
+
+    // Include scenarios set at runtime that no mapping references
+    for (const [name, state] of this.states) {
+      if (!scenarios.has(name)) {
+        scenarios.set(name, { name, state, possibleStates: new Set([STARTED_STATE, state]), mappings: [] });
+      }
+    }
+
+    return Array.from(scenarios.values()).map(scenario => ({
+      ...scenario,
+      possibleStates: Array.from(scenario.possibleStates)
+    }));
+  }
+}
+
+ScenarioStateManager.STARTED_STATE = STARTED_STATE;
+
+module.exports = ScenarioStateManager;
@@ -1,10 +1,124 @@
 const { EventEmitter } = require('events');
+const VirtualClock = require('./VirtualClock');
+const SeededRandom = require('../utils/seededRandom');
+const { encodeFrame } = require('../utils/binaryFrames');
+const { parseCron, nextCronTime } = require('../utils/cronExpression');
+const { DEFAULT_GAP } = require('../utils/replayCapture');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// What starts a scheduled message: server start, or a connection event for per-connection streams
+const START_ON = ['server', 'connect', 'subscribe', 'rule'];
+
+/**
+ * Check whether a scheduled message runs once for the server (not per connection)
+ */
+const isServerWide = scheduledMsg => !scheduledMsg.startOn || scheduledMsg.startOn === 'server';
+
+/**
+ * Minutes since midnight of a "HH:MM" time
+ */
+function parseTimeOfDay(text) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check whether a time falls in one of the send windows (UTC)
+ * A window whose end is before its start runs past midnight
+ * @param {Array} windows - [{ start: 'HH:MM', end: 'HH:MM', days: ['mon', ...] }]
+ * @param {number} time - Epoch milliseconds
+ */
+function isWithinWindows(windows, time) {
+  const date = new Date(time);
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+  const day = WEEKDAYS[date.getUTCDay()];
+
+  return windows.some(window => {
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+    const inside = start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    return inside && (!window.days || window.days.includes(day));
+  });
+}
+
+/**
+ * Validate the timing options of a scheduled message
+ * @param {Object} scheduledMsg - Scheduled message configuration
+ * @returns {Array} Error messages
+ */
+function validateSchedule(scheduledMsg) {
+  const errors = [];
+
+  if (scheduledMsg.cron !== undefined && scheduledMsg.interval !== undefined) {
+    errors.push('use either interval or cron, not both');
+  }
+  if (scheduledMsg.cron !== undefined) {
+    try {
+      parseCron(scheduledMsg.cron);
+    } catch (error) {
+      errors.push(`cron ${error.message}`);
+    }
+  }
+
+  if (scheduledMsg.replay) {
+    const conflicting = ['interval', 'cron', 'jitter', 'sendOnStart'].filter(key => scheduledMsg[key] !== undefined);
+    if (conflicting.length > 0) {
+      errors.push(`replay sets its own timing and cannot be combined with ${conflicting.join(', ')}`);
+    }
+    const startOffset = VirtualClock.parseDuration(scheduledMsg.replay.startOffset ?? 0);
+    if (startOffset === null || startOffset < 0) {
+      errors.push('replay startOffset must be a duration of 0 or more');
+    }
+  }
+
+  const { jitter } = scheduledMsg;
+  if (jitter && typeof jitter === 'object' && (jitter.min || 0) > jitter.max) {
+    errors.push('jitter min must not be greater than max');
+  }
+
+  (scheduledMsg.windows || []).forEach((window, index) => {
+    if (window.start === window.end) {
+      errors.push(`window ${index} start and end must differ`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply live updates to a scheduled message
+ * message and binary replace each other, as do interval and cron; replay options are merged; null removes an option
+ * @param {Object} scheduledMsg - Current scheduled message
+ * @param {Object} updates - Properties to change
+ * @returns {Object} Updated scheduled message
+ */
+function applyUpdates(scheduledMsg, updates) {
+  const updated = { ...scheduledMsg, ...updates };
+
+  if (updates.message !== undefined) delete updated.binary;
+  if (updates.binary !== undefined) delete updated.message;
+  if (updates.interval !== undefined) delete updated.cron;
+  if (updates.cron !== undefined) delete updated.interval;
+  // Replay options change the loaded capture's playback
+  if (updates.replay && scheduledMsg.replay) updated.replay = { ...scheduledMsg.replay, ...updates.replay };
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === null) delete updated[key];
+  }
+
+  return updated;
+}
 
 class SchedulerService extends EventEmitter {
-  constructor(logger, templateEngine) {
+  constructor(logger, templateEngine, clock = new VirtualClock(logger), random = new SeededRandom()) {
     super();
     this.logger = logger;
     this.templateEngine = templateEngine;
+    this.clock = clock; // Intervals run on virtual time
+    this.random = random; // Jitter follows the server seed
     this.scheduledTasks = new Map();
     this.taskExecutionCount = new Map();
     this.taskExecutionHistory = new Map();
@@ -22,6 +136,9 @@ class SchedulerService extends EventEmitter {
     }
 
     config.scheduledMessages.forEach(scheduledMsg => {
+      // Per-connection streams are started by their connections
+      if (!isServerWide(scheduledMsg)) return;
+
       if (scheduledMsg.enabled === false) {
         this.logger.debug({
           configName: config.name,
@@ -38,12 +155,14 @@ class SchedulerService extends EventEmitter {
 
   /**
    * Schedule a single message
+   * The task is listed (and can be paused or stopped) while it waits for its start delay
    * @param {string} configName - Configuration name
    * @param {Object} scheduledMsg - Scheduled message configuration
    * @param {Function} broadcastFn - Broadcast function
+   * @param {Object} options - { adhoc: true } for tasks created at runtime; { taskKey, connectionId, topic, context } for streams
    */
-  scheduleMessage(configName, scheduledMsg, broadcastFn) {
-    const taskKey = `${configName}:${scheduledMsg.id}`;
+  scheduleMessage(configName, scheduledMsg, broadcastFn, options = {}) {
+    const taskKey = options.taskKey || `${configName}:${scheduledMsg.id}`;
     
     // Clear existing task if any
     this.stopTask(taskKey);
@@ -61,34 +180,92 @@ class SchedulerService extends EventEmitter {
       return;
     }
 
+    let cron = null;
+    if (scheduledMsg.cron !== undefined) {
+      try {
+        cron = parseCron(scheduledMsg.cron);
+      } catch (error) {
+        this.logger.warn({
+          configName,
+          messageId: scheduledMsg.id,
+          error: error.message
+        }, 'Invalid cron expression');
+        return;
+      }
+    } else if (interval === undefined && !scheduledMsg.replay) {
+      this.logger.warn({ configName, messageId: scheduledMsg.id }, 'Scheduled message needs an interval or a cron expression');
+      return;
+    }
+
+    let replay = null;
+    if (scheduledMsg.replay) {
+      const frames = scheduledMsg.replay._frames;
+      if (!frames) {
+        this.logger.warn({ configName, messageId: scheduledMsg.id }, 'Replay capture was not loaded with the configuration');
+        return;
+      }
+      const startOffset = VirtualClock.parseDuration(scheduledMsg.replay.startOffset ?? 0) || 0;
+      const startIndex = frames.findIndex(frame => frame.offset >= startOffset);
+      replay = {
+        frames,
+        startOffset,
+        startIndex: startIndex === -1 ? frames.length : startIndex,
+        position: startIndex === -1 ? frames.length : startIndex, // Next frame to send
+        previousOffset: startOffset, // Capture time of the frame sent last
+        loops: 0
+      };
+    }
+
+    const task = {
+      taskKey,
+      timeoutId: null,
+      intervalId: null, // Interval, or the timeout of the next run for cron and jittered tasks
+      burstTimers: [],
+      configName,
+      scheduledMsg,
+      broadcastFn,
+      adhoc: options.adhoc === true,
+      connectionId: options.connectionId || null, // Set for per-connection streams
+      streamTopic: options.topic || null, // Subscribed topic of a stream started by subscribe
+      context: options.context || {}, // Extra template context of a stream
+      startedAt: null,
+      interval,
+      cron,
+      startDelay,
+      replay,
+      nominal: null, // Run time before jitter, so jitter does not drift the schedule
+      executions: 0, // Scheduled sends, for maxExecutions
+      nextExecution: null,
+      paused: false,
+      completed: false
+    };
+    const start = this.clock.now() + startDelay;
+    if (replay) {
+      task.nextExecution = replay.position < replay.frames.length ? new Date(start + this.frameDelay(task)) : null;
+    } else {
+      task.nextExecution = new Date(scheduledMsg.sendOnStart ? start : (cron ? nextCronTime(cron, start) : start + interval));
+    }
+    this.scheduledTasks.set(taskKey, task);
+
     // Schedule the task
-    const startTime = Date.now();
-    
-    setTimeout(() => {
+    task.timeoutId = this.clock.setTimeout(() => {
+      task.timeoutId = null;
+      task.startedAt = this.clock.date();
+
       // Execute immediately on start if configured
-      if (scheduledMsg.sendOnStart) {
-        this.executeScheduledMessage(configName, scheduledMsg, broadcastFn);
+      if (scheduledMsg.sendOnStart && !replay) {
+        this.runTask(task);
       }
 
       // Set up recurring interval
-      const intervalId = setInterval(() => {
-        this.executeScheduledMessage(configName, scheduledMsg, broadcastFn);
-      }, interval);
-
-      // Store task information
-      this.scheduledTasks.set(taskKey, {
-        intervalId,
-        configName,
-        scheduledMsg,
-        startedAt: new Date(),
-        interval,
-        startDelay,
-        nextExecution: new Date(Date.now() + interval)
-      });
+      if (!task.completed) {
+        this.startInterval(task);
+      }
 
       this.logger.debug({
         taskKey,
-        interval
+        interval,
+        cron: scheduledMsg.cron
       }, 'Scheduled message task started');
 
       this.emit('task:started', {
@@ -99,34 +276,253 @@ class SchedulerService extends EventEmitter {
     }, startDelay);
   }
 
+  /**
+   * Start sending a task on its interval or cron schedule
+   * @param {Object} task - Scheduled task
+   */
+  startInterval(task) {
+    if (task.replay) {
+      this.scheduleNextFrame(task);
+      return;
+    }
+
+    if (task.cron || task.scheduledMsg.jitter) {
+      task.nominal = this.clock.now();
+      this.scheduleNextRun(task);
+      return;
+    }
+
+    task.intervalId = this.clock.setInterval(() => {
+      this.runTask(task);
+      if (task.intervalId !== null) {
+        task.nextExecution = new Date(this.clock.now() + task.interval);
+      }
+    }, task.interval);
+    task.nextExecution = new Date(this.clock.now() + task.interval);
+  }
+
+  /**
+   * Arm the timeout of the next run of a cron or jittered task
+   * @param {Object} task - Scheduled task
+   */
+  scheduleNextRun(task) {
+    task.nominal = task.cron ? nextCronTime(task.cron, task.nominal) : task.nominal + task.interval;
+    if (task.nominal === null) {
+      this.completeTask(task, 'Cron expression has no further run times');
+      return;
+    }
+
+    const due = Math.max(task.nominal + this.jitter(task.scheduledMsg.jitter), this.clock.now());
+    task.nextExecution = new Date(due);
+    task.intervalId = this.clock.setTimeout(() => {
+      task.intervalId = null;
+      this.runTask(task);
+      if (!task.completed) {
+        this.scheduleNextRun(task);
+      }
+    }, due - this.clock.now());
+  }
+
+  /**
+   * Arm the timeout of the next frame of a replay, with the capture's timing scaled by speed
+   * At the end of the capture the replay completes, or starts again from startOffset after gap when looping
+   * @param {Object} task - Scheduled task
+   */
+  scheduleNextFrame(task) {
+    const { replay } = task;
+    const options = task.scheduledMsg.replay;
+
+    if (replay.position >= replay.frames.length) {
+      if (!options.loop || replay.startIndex >= replay.frames.length) {
+        this.completeTask(task, 'Replay finished');
+        return;
+      }
+      replay.position = replay.startIndex;
+      // At least 1ms, so a looping capture without gaps still lets time pass
+      replay.previousOffset = replay.startOffset - Math.max(1, options.gap ?? DEFAULT_GAP);
+      replay.loops++;
+    }
+
+    const frame = replay.frames[replay.position];
+    const delay = this.frameDelay(task);
+    task.nextExecution = new Date(this.clock.now() + delay);
+    task.intervalId = this.clock.setTimeout(() => {
+      task.intervalId = null;
+      this.runTask(task);
+      replay.previousOffset = frame.offset;
+      replay.position++;
+      if (!task.completed) {
+        this.scheduleNextFrame(task);
+      }
+    }, delay);
+  }
+
+  /**
+   * Milliseconds until the next frame of a replay
+   * @param {Object} task - Scheduled task
+   */
+  frameDelay(task) {
+    const { replay } = task;
+    const gap = replay.frames[replay.position].offset - replay.previousOffset;
+    return Math.round(Math.max(0, gap) / (task.scheduledMsg.replay.speed || 1));
+  }
+
+  /**
+   * Random offset for one run
+   * @param {number|Object} jitter - Up to N ms late, or { min, max } (min may be negative)
+   * @returns {number} Milliseconds
+   */
+  jitter(jitter) {
+    if (!jitter) return 0;
+    if (typeof jitter === 'number') return this.random.int(0, jitter);
+    return this.random.int(jitter.min || 0, jitter.max);
+  }
+
+  /**
+   * Run a task on schedule: a single message or a burst, inside its send windows
+   * @param {Object} task - Scheduled task
+   */
+  runTask(task) {
+    const { scheduledMsg } = task;
+
+    if (scheduledMsg.windows && !isWithinWindows(scheduledMsg.windows, this.clock.now())) {
+      this.logger.debug({
+        configName: task.configName,
+        messageId: scheduledMsg.id
+      }, 'Scheduled message outside its send windows, skipped');
+      return;
+    }
+
+    const count = scheduledMsg.burst?.count || 1;
+    const spacing = scheduledMsg.burst?.spacing || 0;
+
+    for (let index = 0; index < count && !task.completed; index++) {
+      const burst = scheduledMsg.burst ? { burstIndex: index, burstSize: count } : {};
+      if (index === 0 || spacing === 0) {
+        this.sendScheduled(task, burst);
+        continue;
+      }
+
+      const timerId = this.clock.setTimeout(() => {
+        task.burstTimers = task.burstTimers.filter(id => id !== timerId);
+        this.sendScheduled(task, burst);
+      }, index * spacing);
+      task.burstTimers.push(timerId);
+    }
+  }
+
+  /**
+   * Send one scheduled message and stop the task once it reaches maxExecutions
+   * @param {Object} task - Scheduled task
+   * @param {Object} extra - Extra template context under `scheduled`
+   */
+  sendScheduled(task, extra) {
+    if (task.completed) return;
+
+    this.executeTask(task, extra);
+    task.executions++;
+
+    const { maxExecutions } = task.scheduledMsg;
+    if (maxExecutions && task.executions >= maxExecutions) {
+      this.completeTask(task, 'Scheduled message reached maxExecutions');
+    }
+  }
+
+  /**
+   * Stop a task that has nothing left to send; it stays listed as completed
+   * @param {Object} task - Scheduled task
+   * @param {string} reason - Log message
+   */
+  completeTask(task, reason) {
+    this.clearTimers(task);
+    task.completed = true;
+    task.completedAt = this.clock.date();
+    task.nextExecution = null;
+
+    this.logger.info({ taskKey: task.taskKey, executions: task.executions }, reason);
+
+    this.emit('task:completed', {
+      taskKey: task.taskKey,
+      configName: task.configName,
+      messageId: task.scheduledMsg.id,
+      executions: task.executions
+    });
+  }
+
+  /**
+   * Clear the timers of a task
+   * @param {Object} task - Scheduled task
+   */
+  clearTimers(task) {
+    if (task.timeoutId !== null) {
+      this.clock.clearTimeout(task.timeoutId);
+      task.timeoutId = null;
+    }
+    if (task.intervalId !== null) {
+      this.clock.clearInterval(task.intervalId);
+      task.intervalId = null;
+    }
+    task.burstTimers.forEach(timerId => this.clock.clearTimeout(timerId));
+    task.burstTimers = [];
+  }
+
+  /**
+   * Execute the message of a task
+   * @param {Object} task - Scheduled task
+   * @param {Object} extra - Extra template context under `scheduled`
+   */
+  executeTask(task, extra = {}) {
+    this.executeScheduledMessage(task.configName, task.scheduledMsg, task.broadcastFn, {
+      extra,
+      taskKey: task.taskKey,
+      context: task.context,
+      topic: task.streamTopic,
+      // Replays send their next frame (the last one once the capture has ended)
+      ...(task.replay && { message: task.replay.frames[Math.min(task.replay.position, task.replay.frames.length - 1)].message })
+    });
+  }
+
   /**
    * Execute a scheduled message
    * @param {string} configName - Configuration name
    * @param {Object} scheduledMsg - Scheduled message
    * @param {Function} broadcastFn - Broadcast function
+   * @param {Object} options - { extra, taskKey, context, topic, message }: extra template context under `scheduled` (e.g. burstIndex),
+   *   for streams their task key, template context and subscribed topic, and a replayed frame sent as recorded
    */
-  executeScheduledMessage(configName, scheduledMsg, broadcastFn) {
-    const taskKey = `${configName}:${scheduledMsg.id}`;
-    const executionId = `${taskKey}:${Date.now()}`;
+  executeScheduledMessage(configName, scheduledMsg, broadcastFn, options = {}) {
+    const { extra = {}, context: streamContext = {} } = options;
+    const taskKey = options.taskKey || `${configName}:${scheduledMsg.id}`;
+    const executionId = `${taskKey}:${this.clock.now()}`;
     const startTime = Date.now();
 
     try {
       // Process template
       const context = {
+        ...streamContext,
         scheduled: {
           configName,
           messageId: scheduledMsg.id,
-          executionTime: new Date().toISOString(),
-          executionCount: this.getExecutionCount(taskKey) + 1
+          executionTime: this.clock.date().toISOString(),
+          executionCount: this.getExecutionCount(taskKey) + 1,
+          ...extra
         }
       };
 
-      const message = this.templateEngine.process(scheduledMsg.message, context);
+      let message;
+      if (options.message !== undefined) {
+        message = options.message;
+      } else if (scheduledMsg.binary) {
+        message = encodeFrame(scheduledMsg.binary, value => this.templateEngine.process(value, context));
+      } else {
+        message = this.templateEngine.process(scheduledMsg.message, context);
+      }
 
-      // Broadcast the message
+      // Broadcast the message (only to subscribers when it has a topic)
       const result = broadcastFn(configName, message, {
         source: 'scheduled',
-        messageId: scheduledMsg.id
+        messageId: scheduledMsg.id,
+        topic: options.topic || (scheduledMsg.topic ? this.templateEngine.process(scheduledMsg.topic, context) : undefined)
       });
 
       const executionTime = Date.now() - startTime;
@@ -137,18 +533,12 @@ class SchedulerService extends EventEmitter {
       // Store execution history
       this.addToHistory(taskKey, {
         executionId,
-        timestamp: new Date(),
+        timestamp: this.clock.date(),
         result,
         executionTime,
         message: scheduledMsg.logFullMessage ? message : { id: scheduledMsg.id }
       });
 
-      // Update next execution time
-      const task = this.scheduledTasks.get(taskKey);
-      if (task) {
-        task.nextExecution = new Date(Date.now() + task.interval);
-      }
-
       this.logger.debug({
         taskKey,
         executionId,
@@ -159,6 +549,8 @@ class SchedulerService extends EventEmitter {
 
       this.emit('message:executed', {
         taskKey,
+        configName,
+        messageId: scheduledMsg.id,
         executionId,
         result,
         executionTime
@@ -177,13 +569,68 @@ class SchedulerService extends EventEmitter {
       // Store error in history
       this.addToHistory(taskKey, {
         executionId,
-        timestamp: new Date(),
+        timestamp: this.clock.date(),
         error: error.message,
         executionTime: Date.now() - startTime
       });
     }
   }
 
+  /**
+   * Start a per-connection stream; a stream already running for the same message and topic keeps running
+   * Each stream has its own execution count, so {{scheduled.executionCount}} is a per-connection sequence
+   * @param {Object} connectionInfo - Connection the stream sends to
+   * @param {Object} scheduledMsg - Scheduled message with startOn connect, subscribe or rule
+   * @param {Function} sendFn - Send function with the broadcast signature, for this connection
+   * @param {Object} options - { topic } for streams started by subscribe, { request } for streams started by a rule
+   * @returns {string|null} Task key, or null if the message is disabled
+   */
+  startStream(connectionInfo, scheduledMsg, sendFn, options = {}) {
+    if (scheduledMsg.enabled === false) return null;
+
+    const configName = connectionInfo.config.name;
+    const taskKey = `${configName}:${scheduledMsg.id}@${connectionInfo.id}${options.topic ? `#${options.topic}` : ''}`;
+    if (this.scheduledTasks.has(taskKey)) return taskKey;
+
+    this.scheduleMessage(configName, scheduledMsg, sendFn, {
+      taskKey,
+      connectionId: connectionInfo.id,
+      topic: options.topic,
+      context: {
+        connection: connectionInfo,
+        session: connectionInfo.session,
+        ...(options.topic && { subscription: { topic: options.topic } }),
+        ...(options.request !== undefined && { request: options.request })
+      }
+    });
+
+    this.logger.debug({ taskKey }, 'Started stream');
+    return taskKey;
+  }
+
+  /**
+   * Stop per-connection streams and forget their counts
+   * @param {string} connectionId - Connection ID
+   * @param {Object} filter - Optional { ids, topic }: only streams of these messages, or started by this topic
+   * @returns {number} Number of stopped streams
+   */
+  stopStreams(connectionId, filter = {}) {
+    let stopped = 0;
+
+    for (const [taskKey, task] of this.scheduledTasks) {
+      if (task.connectionId !== connectionId) continue;
+      if (filter.ids && !filter.ids.includes(task.scheduledMsg.id)) continue;
+      if (filter.topic && task.streamTopic !== filter.topic) continue;
+
+      this.stopTask(taskKey);
+      this.taskExecutionCount.delete(taskKey);
+      this.taskExecutionHistory.delete(taskKey);
+      stopped++;
+    }
+
+    return stopped;
+  }
+
   /**
    * Stop all scheduled messages for a configuration
    * @param {string} configName - Configuration name
@@ -214,7 +661,7 @@ class SchedulerService extends EventEmitter {
     const task = this.scheduledTasks.get(taskKey);
     
     if (task) {
-      clearInterval(task.intervalId);
+      this.clearTimers(task);
       this.scheduledTasks.delete(taskKey);
       
       this.logger.debug({ taskKey }, 'Stopped scheduled task');
@@ -234,8 +681,8 @@ class SchedulerService extends EventEmitter {
   stopAll() {
     const taskCount = this.scheduledTasks.size;
     
-    for (const [taskKey, task] of this.scheduledTasks) {
-      clearInterval(task.intervalId);
+    for (const task of this.scheduledTasks.values()) {
+      this.clearTimers(task);
     }
     
     this.scheduledTasks.clear();
@@ -255,22 +702,54 @@ class SchedulerService extends EventEmitter {
     for (const [taskKey, task] of this.scheduledTasks) {
       if (configName && task.configName !== configName) continue;
 
-      status.push({
-        taskKey,
-        configName: task.configName,
-        messageId: task.scheduledMsg.id,
-        interval: task.interval,
-        startedAt: task.startedAt,
-        nextExecution: task.nextExecution,
-        executionCount: this.getExecutionCount(taskKey),
-        enabled: task.scheduledMsg.enabled,
-        description: task.scheduledMsg.description || 'No description'
-      });
+      status.push(this.describeTask(taskKey, task));
     }
 
     return status;
   }
 
+  /**
+   * Get status of one task
+   * @param {string} taskKey - Task key
+   * @returns {Object|null} Task status, or null if there is no such task
+   */
+  getTask(taskKey) {
+    const task = this.scheduledTasks.get(taskKey);
+    return task ? this.describeTask(taskKey, task) : null;
+  }
+
+  /**
+   * Describe a task for status listings
+   */
+  describeTask(taskKey, task) {
+    return {
+      taskKey,
+      configName: task.configName,
+      messageId: task.scheduledMsg.id,
+      connectionId: task.connectionId,
+      state: task.completed ? 'completed' : task.paused ? 'paused' : task.timeoutId !== null ? 'pending' : 'running',
+      adhoc: task.adhoc,
+      interval: task.interval,
+      cron: task.scheduledMsg.cron,
+      startDelay: task.startDelay,
+      executions: task.executions,
+      maxExecutions: task.scheduledMsg.maxExecutions,
+      topic: task.streamTopic || task.scheduledMsg.topic,
+      replay: task.replay ? {
+        file: task.scheduledMsg.replay.file,
+        position: task.replay.position,
+        frames: task.replay.frames.length,
+        loops: task.replay.loops
+      } : undefined,
+      startedAt: task.startedAt,
+      nextExecution: task.paused ? null : task.nextExecution,
+      executionCount: this.getExecutionCount(taskKey),
+      lastExecution: this.getHistory(taskKey, 1)[0]?.timestamp || null,
+      enabled: task.scheduledMsg.enabled,
+      description: task.scheduledMsg.description || 'No description'
+    };
+  }
+
   /**
    * Get execution statistics
    * @param {string} taskKey - Optional task key filter
@@ -306,15 +785,18 @@ class SchedulerService extends EventEmitter {
 
   /**
    * Pause a scheduled task
+   * A task paused during its start delay starts on its interval when resumed
    * @param {string} taskKey - Task key to pause
+   * @returns {boolean} False if there is no such task
    */
   pauseTask(taskKey) {
     const task = this.scheduledTasks.get(taskKey);
+    if (!task) return false;
     
-    if (task && !task.paused) {
-      clearInterval(task.intervalId);
+    if (!task.paused && !task.completed) {
+      this.clearTimers(task);
       task.paused = true;
-      task.pausedAt = new Date();
+      task.pausedAt = this.clock.date();
       
       this.logger.info({ taskKey }, 'Paused scheduled task');
       
@@ -324,24 +806,25 @@ class SchedulerService extends EventEmitter {
         messageId: task.scheduledMsg.id
       });
     }
+    return true;
   }
 
   /**
-   * Resume a paused task
+   * Resume a paused task; the next message is sent one interval later, or at the next cron time
    * @param {string} taskKey - Task key to resume
-   * @param {Function} broadcastFn - Broadcast function
+   * @param {Function} broadcastFn - Broadcast function (defaults to the one the task was scheduled with)
+   * @returns {boolean} False if there is no such task
    */
-  resumeTask(taskKey, broadcastFn) {
+  resumeTask(taskKey, broadcastFn = null) {
     const task = this.scheduledTasks.get(taskKey);
+    if (!task) return false;
     
-    if (task && task.paused) {
-      const intervalId = setInterval(() => {
-        this.executeScheduledMessage(task.configName, task.scheduledMsg, broadcastFn);
-      }, task.interval);
-      
-      task.intervalId = intervalId;
+    if (task.paused) {
+      task.broadcastFn = broadcastFn || task.broadcastFn;
+      task.startedAt = task.startedAt || this.clock.date();
+      this.startInterval(task);
       task.paused = false;
-      task.resumedAt = new Date();
+      task.resumedAt = this.clock.date();
       delete task.pausedAt;
       
       this.logger.info({ taskKey }, 'Resumed scheduled task');
@@ -352,15 +835,31 @@ class SchedulerService extends EventEmitter {
         messageId: task.scheduledMsg.id
       });
     }
+    return true;
+  }
+
+  /**
+   * Send a task's message once now, whether it is running, pending or paused
+   * @param {string} taskKey - Task key
+   * @returns {boolean} False if there is no such task
+   */
+  triggerTask(taskKey) {
+    const task = this.scheduledTasks.get(taskKey);
+    if (!task) return false;
+
+    this.executeTask(task);
+    return true;
   }
 
   /**
    * Update task configuration
+   * The task restarts with its start delay and a new maxExecutions count; a paused task stays paused
    * @param {string} taskKey - Task key
    * @param {Object} updates - Updates to apply
-   * @param {Function} broadcastFn - Broadcast function
+   * @param {Function} broadcastFn - Broadcast function (defaults to the one the task was scheduled with)
+   * @returns {boolean} False if there is no such task
    */
-  updateTask(taskKey, updates, broadcastFn) {
+  updateTask(taskKey, updates, broadcastFn = null) {
     const task = this.scheduledTasks.get(taskKey);
     
     if (!task) {
@@ -368,17 +867,20 @@ class SchedulerService extends EventEmitter {
       return false;
     }
 
-    // Stop the current task
-    this.stopTask(taskKey);
-
     // Apply updates
-    const updatedScheduledMsg = {
-      ...task.scheduledMsg,
-      ...updates
-    };
-
-    // Restart with new configuration
-    this.scheduleMessage(task.configName, updatedScheduledMsg, broadcastFn);
+    const updatedScheduledMsg = applyUpdates(task.scheduledMsg, updates);
+
+    // Restart with new configuration, keeping the key and stream details of the task
+    this.scheduleMessage(task.configName, updatedScheduledMsg, broadcastFn || task.broadcastFn, {
+      adhoc: task.adhoc,
+      taskKey: task.taskKey,
+      connectionId: task.connectionId,
+      topic: task.streamTopic,
+      context: task.context
+    });
+    if (task.paused) {
+      this.pauseTask(taskKey);
+    }
     
     this.logger.info({
       taskKey,
@@ -447,4 +949,10 @@ class SchedulerService extends EventEmitter {
   }
 }
 
+SchedulerService.START_ON = START_ON;
+SchedulerService.isServerWide = isServerWide;
+SchedulerService.validateSchedule = validateSchedule;
+SchedulerService.applyUpdates = applyUpdates;
+SchedulerService.isWithinWindows = isWithinWindows;
+
 module.exports = SchedulerService;
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Virtual Clock - Server-wide time source for templates, delays and the scheduler
+ *
+ * Runs in step with the wall clock by default. The clock can be:
+ * - frozen:   time stops until it is advanced, set or unfrozen
+ * - set:      jump to an absolute time
+ * - offset:   run at a fixed distance from the wall clock
+ * - advanced: move forward, firing every timer that becomes due on the way
+ *
+ * Timers created through the clock (response delays, scheduled messages) fire
+ * against virtual time, so expiry and timeout flows can be tested without waiting.
+ */
+
+// Upper bound for a single real setTimeout (about 24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+// Interval executions fired per timer in one catch-up (e.g. advancing a day with a 100ms interval)
+const MAX_CATCH_UP = 1000;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse a duration in milliseconds from a number or a string like "90s", "5m", "1h30m"
+ * @returns {number|null} Milliseconds or null if invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const sign = text.startsWith('-') ? -1 : 1;
+  const body = text.replace(/^[-+]/, '');
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+  let total = 0;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    total += Number(match[1]) * DURATION_UNITS[match[2]];
+    consumed += match[0].length;
+  }
+
+  return consumed === body.length && consumed > 0 ? sign * total : null;
+}
+
+/**
+ * Parse a point in time from epoch milliseconds or a date string
+ * @returns {number|null} Epoch milliseconds or null if invalid
+ */
+function parseTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+class VirtualClock {
+  constructor(logger) {
+    this.logger = logger.child({ module: 'VirtualClock' });
+    this.offset = 0; // Virtual time minus wall clock time while running
+    this.frozenAt = null; // Virtual time while frozen
+    this.timers = new Map(); // key: timer id, value: { due, interval, callback }
+    this.nextTimerId = 1;
+    this.wakeup = null; // Real timeout for the earliest pending timer
+    this.firingAt = null; // Due time of the timer callback being run
+  }
+
+  /**
+   * Current virtual time in epoch milliseconds
+   * Timer callbacks see their own due time, so catch-up executions keep their spacing
+   */
+  now() {
+    if (this.firingAt !== null) return this.firingAt;
+    return this.frozenAt !== null ? this.frozenAt : Date.now() + this.offset;
+  }
+
+  /**
+   * Current virtual time as a Date
+   */
+  date() {
+    return new Date(this.now());
+  }
+
+  isFrozen() {
+    return this.frozenAt !== null;
+  }
+
+  /**
+   * Stop time, optionally at a given time
+   * @param {number} time - Optional epoch milliseconds to freeze at
+   */
+  freeze(time = null) {
+    this.frozenAt = time !== null ? time : this.now();
+    this.logger.info({ now: this.date().toISOString() }, 'Clock frozen');
+    this.runDueTimers();
+  }
+
+  /**
+   * Let time run again from the frozen time
+   */
+  unfreeze() {
+    if (this.frozenAt === null) return;
+    this.offset = this.frozenAt - Date.now();
+    this.frozenAt = null;
+    this.logger.info({ now: this.date().toISOString() }, 'Clock unfrozen');
+    this.runDueTimers();
+  }
+
+  /**
+   * Jump to an absolute time (the clock stays frozen if it was)
+   * @param {number} time - Epoch milliseconds
+   */
+  set(time) {
+    if (this.frozenAt !== null) {
+      this.frozenAt = time;
+    } else {
+      this.offset = time - Date.now();
+    }
+    this.logger.info({ now: this.date().toISOString() }, 'Clock set');
+    this.runDueTimers();
+  }
+
+  /**
+   * Run at a fixed distance from the wall clock
+   * @param {number} offset - Milliseconds ahead of (or behind, if negative) the wall clock
+   */
+  setOffset(offset) {
+    this.offset = offset;
+    if (this.frozenAt !== null) {
+      this.frozenAt = Date.now() + offset;
+    }
+    this.logger.info({ offset, now: this.date().toISOString() }, 'Clock offset');
+    this.runDueTimers();
+  }
+
+  /**
+   * Move time forward, firing timers that become due
+   * @param {number} duration - Milliseconds to advance
+   */
+  advance(duration) {
+    if (this.frozenAt !== null) {
+      this.frozenAt += duration;
+    } else {
+      this.offset += duration;
+    }
+    this.logger.info({ by: duration, now: this.date().toISOString() }, 'Clock advanced');
+    this.runDueTimers();
+  }
+
+  /**
+   * Return to the wall clock
+   */
+  reset() {
+    this.offset = 0;
+    this.frozenAt = null;
+    this.logger.info('Clock reset to wall clock');
+    this.runDueTimers();
+  }
+
+  /**
+   * Get clock state for the admin API
+   */
+  getStatus() {
+    return {
+      now: this.date().toISOString(),
+      epochMs: this.now(),
+      frozen: this.isFrozen(),
+      offset: this.frozenAt !== null ? this.frozenAt - Date.now() : this.offset,
+      pendingTimers: this.timers.size
+    };
+  }
+
+  // Timers against virtual time
+
+  setTimeout(callback, delay = 0) {
+    return this.addTimer(callback, delay, null);
+  }
+
+  setInterval(callback, interval) {
+    return this.addTimer(callback, interval, Math.max(1, interval));
+  }
+
+  clearTimeout(id) {
+    if (this.timers.delete(id)) {
+      this.scheduleWakeup();
+    }
+  }
+
+  clearInterval(id) {
+    this.clearTimeout(id);
+  }
+
+  /**
+   * Resolve after a virtual delay
+   */
+  sleep(delay) {
+    return new Promise(resolve => this.setTimeout(resolve, delay));
+  }
+
+  /**
+   * Cancel all pending timers
+   */
+  clearAll() {
+    this.timers.clear();
+    this.scheduleWakeup();
+  }
+
+  // Private helper methods
+
+  addTimer(callback, delay, interval) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      due: this.now() + Math.max(0, delay || 0),
+      interval,
+      callback,
+      firedInCatchUp: 0
+    });
+    this.scheduleWakeup();
+    return id;
+  }
+
+  /**
+   * Fire every timer due at the current virtual time, earliest first
+   */
+  runDueTimers() {
+    const now = this.now();
+
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.due <= now && (!next || timer.due < next.due)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      const firedAt = next.due;
+      if (next.interval) {
+        next.firedInCatchUp++;
+        next.due += next.interval;
+        if (next.firedInCatchUp >= MAX_CATCH_UP && next.due <= now) {
+          const skipped = Math.floor((now - next.due) / next.interval) + 1;
+          next.due += skipped * next.interval;
+          this.logger.warn({ timer: nextId, skipped }, 'Interval executions skipped while catching up');
+        }
+      } else {
+        this.timers.delete(nextId);
+      }
+
+      const previousFiringAt = this.firingAt;
+      this.firingAt = firedAt;
+      try {
+        next.callback();
+      } catch (error) {
+        this.logger.error({ error: error.message }, 'Clock timer callback failed');
+      } finally {
+        this.firingAt = previousFiringAt;
+      }
+    }
+
+    for (const timer of this.timers.values()) {
+      timer.firedInCatchUp = 0;
+    }
+
+    this.scheduleWakeup();
+  }
+
+  /**
+   * Arm one real timeout for the earliest pending timer
+   * While frozen only timers already due (e.g. zero delays) are run
+   */
+  scheduleWakeup() {
+    if (this.wakeup) {
+      clearTimeout(this.wakeup);
+      this.wakeup = null;
+    }
+
+    if (this.timers.size === 0) {
+      return;
+    }
+
+    let earliest = Infinity;
+    for (const timer of this.timers.values()) {
+      earliest = Math.min(earliest, timer.due);
+    }
+
+    if (this.frozenAt !== null && earliest > this.frozenAt) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(0, earliest - this.now()), MAX_TIMEOUT);
+    this.wakeup = setTimeout(() => {
+      this.wakeup = null;
+      this.runDueTimers();
+    }, delay);
+  }
+}
+
+VirtualClock.parseDuration = parseDuration;
+VirtualClock.parseTime = parseTime;
+
+module.exports = VirtualClock;
@@ -0,0 +1,190 @@
+/**
+ * WebSocket Journal - Bounded in-memory record of WebSocket traffic
+ *
+ * Keeps incoming messages, everything the mock sends (rule responses, subscription
+ * replies, scheduled messages, welcome messages, admin pushes) and connection
+ * lifecycle events, in order. Entries outlive their connection until the journal
+ * is cleared, so tests can verify what a client sent and in which order.
+ * The oldest entries are dropped once maxEntries is reached.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const DIRECTIONS = ['in', 'out', 'event'];
+
+/**
+ * Payload as stored in an entry: binary frames as base64, anything else unchanged
+ */
+const storedPayload = payload => Buffer.isBuffer(payload) ? payload.toString('base64') : payload;
+
+/**
+ * Payload as seen by JSONPath criteria: JSON text is parsed
+ */
+const jsonPayload = payload => {
+  if (typeof payload !== 'string') return payload;
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return payload;
+  }
+};
+
+class WsJournal {
+  constructor(logger, requestMatcher, options = {}) {
+    this.logger = logger.child({ module: 'WsJournal' });
+    this.requestMatcher = requestMatcher; // JSONPath criteria reuse the REST body matcher
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Record a message or connection event
+   * @param {Object} details - { direction, type, connection, connectionId, configName, path, payload, ruleId, ruleIds, correlationId, ...extra }
+   * @returns {Object} Journal entry
+   */
+  record(details) {
+    const { direction, type, connection = null, payload, ...rest } = details;
+    this.sequence++;
+
+    const entry = {
+      id: `ws-${this.sequence}`,
+      sequence: this.sequence,
+      timestamp: new Date().toISOString(),
+      direction,
+      type,
+      connectionId: connection ? connection.id : null,
+      configName: connection ? connection.config.name : null,
+      path: connection ? connection.metadata?.path || null : null,
+      ...rest
+    };
+
+    if (payload !== undefined) {
+      entry.payload = storedPayload(payload);
+      if (Buffer.isBuffer(payload)) {
+        entry.binary = true;
+      }
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find journal entries matching criteria
+   * @param {Object} criteria - { connectionId, config, direction, type, ruleId, messageId, correlationId, contains, jsonPath }
+   * @returns {Array} Matching entries, oldest first
+   */
+  find(criteria = {}) {
+    return this.entries.filter(entry => this.matchesCriteria(entry, criteria));
+  }
+
+  /**
+   * Count journal entries matching criteria
+   * @param {Object} criteria - Entry criteria
+   * @returns {number} Number of matching entries
+   */
+  count(criteria = {}) {
+    return this.find(criteria).length;
+  }
+
+  /**
+   * Check that entries matching each step occur in the given order
+   * Each step is found after the entry matched by the previous one
+   * @param {Array} steps - Entry criteria, in the expected order
+   * @param {Object} scope - Criteria applied to every step (e.g. { connectionId })
+   * @returns {Object} { verified, matched, failedStep } (failedStep is the index of the first step not found)
+   */
+  verifyOrder(steps, scope = {}) {
+    const matched = [];
+    let position = 0;
+
+    for (const [index, step] of steps.entries()) {
+      const criteria = { ...scope, ...step };
+      const offset = this.entries.slice(position).findIndex(entry => this.matchesCriteria(entry, criteria));
+      if (offset === -1) {
+        return { verified: false, matched, failedStep: index };
+      }
+      position += offset;
+      matched.push(this.entries[position]);
+      position++;
+    }
+
+    return { verified: true, matched, failedStep: null };
+  }
+
+  /**
+   * Get all entries, oldest first
+   */
+  getAll() {
+    return [...this.entries];
+  }
+
+  /**
+   * Remove all entries
+   * @returns {number} Number of removed entries
+   */
+  clear() {
+    const removed = this.entries.length;
+    this.entries = [];
+    this.logger.info({ removed }, 'WebSocket journal cleared');
+    return removed;
+  }
+
+  /**
+   * Check a journal entry against criteria
+   */
+  matchesCriteria(entry, criteria) {
+    if (criteria.connectionId && entry.connectionId !== criteria.connectionId) {
+      return false;
+    }
+
+    if (criteria.config && entry.configName !== criteria.config) {
+      return false;
+    }
+
+    if (criteria.direction && entry.direction !== criteria.direction) {
+      return false;
+    }
+
+    if (criteria.type && entry.type !== criteria.type) {
+      return false;
+    }
+
+    // Incoming messages list every rule they matched
+    if (criteria.ruleId && entry.ruleId !== criteria.ruleId && !entry.ruleIds?.includes(criteria.ruleId)) {
+      return false;
+    }
+
+    if (criteria.messageId && entry.messageId !== criteria.messageId) {
+      return false;
+    }
+
+    if (criteria.correlationId && entry.correlationId !== criteria.correlationId) {
+      return false;
+    }
+
+    if (criteria.contains !== undefined) {
+      if (entry.payload === undefined) return false;
+      const text = typeof entry.payload === 'string' ? entry.payload : JSON.stringify(entry.payload);
+      if (!text.includes(criteria.contains)) return false;
+    }
+
+    if (criteria.jsonPath) {
+      const payload = entry.binary ? undefined : jsonPayload(entry.payload);
+      if (payload === null || typeof payload !== 'object') return false;
+      if (!this.requestMatcher.matchJsonPath(payload, criteria.jsonPath)) return false;
+    }
+
+    return true;
+  }
+}
+
+WsJournal.DEFAULT_MAX_ENTRIES = DEFAULT_MAX_ENTRIES;
+WsJournal.DIRECTIONS = DIRECTIONS;
+
+module.exports = WsJournal;
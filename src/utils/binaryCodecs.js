@@ -0,0 +1,450 @@
+/**
+ * MessagePack and CBOR codecs for JSON-like values
+ *
+ * Covers what exchange feeds put on the wire: null, booleans, numbers, strings,
+ * byte strings, arrays and maps. MessagePack timestamps and CBOR date tags decode
+ * to Date; other extensions and tags decode to their content. 64-bit integers
+ * decode to Number, so values beyond 2^53 lose precision.
+ */
+
+/**
+ * Collects encoded chunks into a single Buffer
+ */
+class Writer {
+  constructor() {
+    this.chunks = [];
+  }
+
+  bytes(...values) {
+    this.chunks.push(Buffer.from(values));
+  }
+
+  uint(size, value) {
+    const buffer = Buffer.alloc(size);
+    if (size === 1) buffer.writeUInt8(value);
+    else if (size === 2) buffer.writeUInt16BE(value);
+    else if (size === 4) buffer.writeUInt32BE(value);
+    else buffer.writeBigUInt64BE(BigInt(value));
+    this.chunks.push(buffer);
+  }
+
+  int(size, value) {
+    const buffer = Buffer.alloc(size);
+    if (size === 1) buffer.writeInt8(value);
+    else if (size === 2) buffer.writeInt16BE(value);
+    else if (size === 4) buffer.writeInt32BE(value);
+    else buffer.writeBigInt64BE(BigInt(value));
+    this.chunks.push(buffer);
+  }
+
+  double(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    this.chunks.push(buffer);
+  }
+
+  raw(buffer) {
+    this.chunks.push(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Reads values from a Buffer, failing on truncated input
+ */
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Unexpected end of binary data');
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  uint(size) {
+    const slice = this.take(size);
+    if (size === 1) return slice.readUInt8();
+    if (size === 2) return slice.readUInt16BE();
+    if (size === 4) return slice.readUInt32BE();
+    return Number(slice.readBigUInt64BE());
+  }
+
+  int(size) {
+    const slice = this.take(size);
+    if (size === 1) return slice.readInt8();
+    if (size === 2) return slice.readInt16BE();
+    if (size === 4) return slice.readInt32BE();
+    return Number(slice.readBigInt64BE());
+  }
+
+  float(size) {
+    const slice = this.take(size);
+    return size === 4 ? slice.readFloatBE() : slice.readDoubleBE();
+  }
+
+  done() {
+    return this.offset >= this.buffer.length;
+  }
+}
+
+const isBytes = value => Buffer.isBuffer(value) || value instanceof Uint8Array;
+
+// Object entries as JSON.stringify would serialize them
+const jsonEntries = value => {
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    return typeof json === 'object' && json !== null ? Object.entries(json) : null;
+  }
+  return Object.entries(value).filter(([, entry]) => entry !== undefined && typeof entry !== 'function');
+};
+
+// MessagePack
+
+function writeMessagePack(writer, value) {
+  if (value === null || value === undefined) {
+    writer.bytes(0xc0);
+  } else if (typeof value === 'boolean') {
+    writer.bytes(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      writer.bytes(0xcb);
+      writer.double(value);
+    } else if (value >= 0) {
+      if (value < 0x80) writer.bytes(value);
+      else if (value <= 0xff) { writer.bytes(0xcc); writer.uint(1, value); }
+      else if (value <= 0xffff) { writer.bytes(0xcd); writer.uint(2, value); }
+      else if (value <= 0xffffffff) { writer.bytes(0xce); writer.uint(4, value); }
+      else { writer.bytes(0xcf); writer.uint(8, value); }
+    } else {
+      if (value >= -32) writer.bytes(value & 0xff);
+      else if (value >= -0x80) { writer.bytes(0xd0); writer.int(1, value); }
+      else if (value >= -0x8000) { writer.bytes(0xd1); writer.int(2, value); }
+      else if (value >= -0x80000000) { writer.bytes(0xd2); writer.int(4, value); }
+      else { writer.bytes(0xd3); writer.int(8, value); }
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    if (bytes.length < 32) writer.bytes(0xa0 | bytes.length);
+    else if (bytes.length <= 0xff) { writer.bytes(0xd9); writer.uint(1, bytes.length); }
+    else if (bytes.length <= 0xffff) { writer.bytes(0xda); writer.uint(2, bytes.length); }
+    else { writer.bytes(0xdb); writer.uint(4, bytes.length); }
+    writer.raw(bytes);
+  } else if (isBytes(value)) {
+    if (value.length <= 0xff) { writer.bytes(0xc4); writer.uint(1, value.length); }
+    else if (value.length <= 0xffff) { writer.bytes(0xc5); writer.uint(2, value.length); }
+    else { writer.bytes(0xc6); writer.uint(4, value.length); }
+    writer.raw(Buffer.from(value));
+  } else if (Array.isArray(value)) {
+    if (value.length < 16) writer.bytes(0x90 | value.length);
+    else if (value.length <= 0xffff) { writer.bytes(0xdc); writer.uint(2, value.length); }
+    else { writer.bytes(0xdd); writer.uint(4, value.length); }
+    value.forEach(item => writeMessagePack(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = jsonEntries(value);
+    if (!entries) {
+      writeMessagePack(writer, value.toJSON());
+      return;
+    }
+    if (entries.length < 16) writer.bytes(0x80 | entries.length);
+    else if (entries.length <= 0xffff) { writer.bytes(0xde); writer.uint(2, entries.length); }
+    else { writer.bytes(0xdf); writer.uint(4, entries.length); }
+    entries.forEach(([key, item]) => {
+      writeMessagePack(writer, key);
+      writeMessagePack(writer, item);
+    });
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+  }
+}
+
+function readMessagePackExtension(reader, length) {
+  const type = reader.int(1);
+  const data = reader.take(length);
+
+  // Timestamp extension (-1): 32-bit seconds, 64-bit nanoseconds + seconds, or 96-bit
+  if (type === -1) {
+    if (length === 4) return new Date(data.readUInt32BE() * 1000);
+    if (length === 8) {
+      const value = data.readBigUInt64BE();
+      return new Date(Number(value & 0x3ffffffffn) * 1000 + Number(value >> 34n) / 1e6);
+    }
+    if (length === 12) return new Date(Number(data.readBigInt64BE(4)) * 1000 + data.readUInt32BE() / 1e6);
+  }
+
+  return { type, data: Buffer.from(data) };
+}
+
+function readMessagePack(reader) {
+  const byte = reader.uint(1);
+
+  if (byte < 0x80) return byte;
+  if (byte >= 0xe0) return byte - 0x100;
+  if (byte >= 0xa0 && byte <= 0xbf) return reader.take(byte & 0x1f).toString('utf8');
+  if (byte >= 0x90 && byte <= 0x9f) return readMessagePackArray(reader, byte & 0x0f);
+  if (byte >= 0x80 && byte <= 0x8f) return readMessagePackMap(reader, byte & 0x0f);
+
+  switch (byte) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return Buffer.from(reader.take(reader.uint(1)));
+    case 0xc5: return Buffer.from(reader.take(reader.uint(2)));
+    case 0xc6: return Buffer.from(reader.take(reader.uint(4)));
+    case 0xc7: return readMessagePackExtension(reader, reader.uint(1));
+    case 0xc8: return readMessagePackExtension(reader, reader.uint(2));
+    case 0xc9: return readMessagePackExtension(reader, reader.uint(4));
+    case 0xca: return reader.float(4);
+    case 0xcb: return reader.float(8);
+    case 0xcc: return reader.uint(1);
+    case 0xcd: return reader.uint(2);
+    case 0xce: return reader.uint(4);
+    case 0xcf: return reader.uint(8);
+    case 0xd0: return reader.int(1);
+    case 0xd1: return reader.int(2);
+    case 0xd2: return reader.int(4);
+    case 0xd3: return reader.int(8);
+    case 0xd4: return readMessagePackExtension(reader, 1);
+    case 0xd5: return readMessagePackExtension(reader, 2);
+    case 0xd6: return readMessagePackExtension(reader, 4);
+    case 0xd7: return readMessagePackExtension(reader, 8);
+    case 0xd8: return readMessagePackExtension(reader, 16);
+    case 0xd9: return reader.take(reader.uint(1)).toString('utf8');
+    case 0xda: return reader.take(reader.uint(2)).toString('utf8');
+    case 0xdb: return reader.take(reader.uint(4)).toString('utf8');
+    case 0xdc: return readMessagePackArray(reader, reader.uint(2));
+    case 0xdd: return readMessagePackArray(reader, reader.uint(4));
+    case 0xde: return readMessagePackMap(reader, reader.uint(2));
+    case 0xdf: return readMessagePackMap(reader, reader.uint(4));
+    default:
+      throw new Error(`Invalid MessagePack byte 0x${byte.toString(16)}`);
+  }
+}
+
+/**
+ * Set a decoded map entry; keys like __proto__ become own properties instead of
+ * replacing the object's prototype
+ */
+function setMapEntry(map, key, value) {
+  Object.defineProperty(map, String(key), { value, enumerable: true, writable: true, configurable: true });
+}
+
+function readMessagePackArray(reader, length) {
+  return Array.from({ length }, () => readMessagePack(reader));
+}
+
+function readMessagePackMap(reader, length) {
+  const map = {};
+  for (let i = 0; i < length; i++) {
+    const key = readMessagePack(reader);
+    setMapEntry(map, key, readMessagePack(reader));
+  }
+  return map;
+}
+
+/**
+ * Encode a JSON-like value as MessagePack
+ * @param {any} value - Value to encode
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeMessagePack(value) {
+  const writer = new Writer();
+  writeMessagePack(writer, value);
+  return writer.toBuffer();
+}
+
+/**
+ * Decode a single MessagePack value
+ * @param {Buffer} buffer - Encoded bytes
+ * @returns {any} Decoded value
+ */
+function decodeMessagePack(buffer) {
+  const reader = new Reader(buffer);
+  const value = readMessagePack(reader);
+  if (!reader.done()) {
+    throw new Error('Unexpected data after MessagePack value');
+  }
+  return value;
+}
+
+// CBOR
+
+function writeCborHead(writer, major, length) {
+  const type = major << 5;
+  if (length < 24) writer.bytes(type | length);
+  else if (length <= 0xff) { writer.bytes(type | 24); writer.uint(1, length); }
+  else if (length <= 0xffff) { writer.bytes(type | 25); writer.uint(2, length); }
+  else if (length <= 0xffffffff) { writer.bytes(type | 26); writer.uint(4, length); }
+  else { writer.bytes(type | 27); writer.uint(8, length); }
+}
+
+function writeCbor(writer, value) {
+  if (value === null) {
+    writer.bytes(0xf6);
+  } else if (value === undefined) {
+    writer.bytes(0xf7);
+  } else if (typeof value === 'boolean') {
+    writer.bytes(value ? 0xf5 : 0xf4);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writeCborHead(writer, value >= 0 ? 0 : 1, value >= 0 ? value : -1 - value);
+    } else {
+      writer.bytes(0xfb);
+      writer.double(value);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    writeCborHead(writer, 3, bytes.length);
+    writer.raw(bytes);
+  } else if (isBytes(value)) {
+    writeCborHead(writer, 2, value.length);
+    writer.raw(Buffer.from(value));
+  } else if (Array.isArray(value)) {
+    writeCborHead(writer, 4, value.length);
+    value.forEach(item => writeCbor(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = jsonEntries(value);
+    if (!entries) {
+      writeCbor(writer, value.toJSON());
+      return;
+    }
+    writeCborHead(writer, 5, entries.length);
+    entries.forEach(([key, item]) => {
+      writeCbor(writer, key);
+      writeCbor(writer, item);
+    });
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as CBOR`);
+  }
+}
+
+// Marks the end of an indefinite-length item
+const CBOR_BREAK = Symbol('break');
+
+function readCborLength(reader, info) {
+  if (info < 24) return info;
+  if (info === 24) return reader.uint(1);
+  if (info === 25) return reader.uint(2);
+  if (info === 26) return reader.uint(4);
+  if (info === 27) return reader.uint(8);
+  if (info === 31) return null;
+  throw new Error(`Invalid CBOR length ${info}`);
+}
+
+function readCborHalf(reader) {
+  const half = reader.uint(2);
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function readCborChunks(reader, major) {
+  const chunks = [];
+  for (let chunk = readCbor(reader); chunk !== CBOR_BREAK; chunk = readCbor(reader)) {
+    chunks.push(major === 2 ? chunk : Buffer.from(chunk, 'utf8'));
+  }
+  const joined = Buffer.concat(chunks);
+  return major === 2 ? joined : joined.toString('utf8');
+}
+
+function readCbor(reader) {
+  const byte = reader.uint(1);
+  const major = byte >> 5;
+  const info = byte & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: return readCborHalf(reader);
+      case 26: return reader.float(4);
+      case 27: return reader.float(8);
+      case 31: return CBOR_BREAK;
+      default:
+        if (info < 24) return undefined; // Unassigned simple value
+        if (info === 24) { reader.uint(1); return undefined; }
+        throw new Error(`Invalid CBOR simple value ${info}`);
+    }
+  }
+
+  const length = readCborLength(reader, info);
+
+  switch (major) {
+    case 0: return length;
+    case 1: return -1 - length;
+    case 2: return length === null ? readCborChunks(reader, 2) : Buffer.from(reader.take(length));
+    case 3: return length === null ? readCborChunks(reader, 3) : reader.take(length).toString('utf8');
+    case 4: {
+      const items = [];
+      for (let i = 0; length === null || i < length; i++) {
+        const item = readCbor(reader);
+        if (item === CBOR_BREAK) break;
+        items.push(item);
+      }
+      return items;
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; length === null || i < length; i++) {
+        const key = readCbor(reader);
+        if (key === CBOR_BREAK) break;
+        setMapEntry(map, key, readCbor(reader));
+      }
+      return map;
+    }
+    case 6: {
+      // Tags 0 and 1 are dates; other tags decode to their content
+      const content = readCbor(reader);
+      if (length === 0) return new Date(content);
+      if (length === 1) return new Date(content * 1000);
+      return content;
+    }
+    default:
+      throw new Error(`Invalid CBOR major type ${major}`);
+  }
+}
+
+/**
+ * Encode a JSON-like value as CBOR
+ * @param {any} value - Value to encode
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeCbor(value) {
+  const writer = new Writer();
+  writeCbor(writer, value);
+  return writer.toBuffer();
+}
+
+/**
+ * Decode a single CBOR value
+ * @param {Buffer} buffer - Encoded bytes
+ * @returns {any} Decoded value
+ */
+function decodeCbor(buffer) {
+  const reader = new Reader(buffer);
+  const value = readCbor(reader);
+  if (value === CBOR_BREAK || !reader.done()) {
+    throw new Error('Unexpected data after CBOR value');
+  }
+  return value;
+}
+
+module.exports = {
+  encodeMessagePack,
+  decodeMessagePack,
+  encodeCbor,
+  decodeCbor
+};
@@ -0,0 +1,186 @@
+/**
+ * Binary WebSocket frames
+ *
+ * A `binary` block replaces `message` on response rules and scheduled messages.
+ * It has exactly one of:
+ * - base64 / hex:    literal bytes
+ * - hexFile:         bytes from a hex file next to the configuration (loaded with it)
+ * - msgpack / cbor:  a JSON value encoded as MessagePack or CBOR
+ * - gzip / deflate:  a JSON value (or text) serialized and compressed
+ *
+ * Matchers with `decode` apply to the decoded content of incoming binary frames.
+ */
+
+const zlib = require('zlib');
+const { encodeMessagePack, decodeMessagePack, encodeCbor, decodeCbor } = require('./binaryCodecs');
+
+const FRAME_ENCODINGS = ['base64', 'hex', 'hexFile', 'msgpack', 'cbor', 'gzip', 'deflate'];
+const DECODINGS = ['msgpack', 'cbor', 'gzip', 'deflate'];
+
+const HEX = /^(?:[0-9a-fA-F]{2})*$/;
+
+// Largest decompressed incoming frame; bigger ones are treated as not decodable
+const MAX_INFLATED_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Turn hex text into bytes; whitespace, 0x prefixes and # comments are ignored
+ * @param {string} text - Hex text
+ * @returns {Buffer} Bytes
+ */
+function parseHex(text) {
+  const digits = String(text)
+    .replace(/#.*$/gm, '')
+    .replace(/0x/gi, '')
+    .replace(/[\s,:]/g, '');
+
+  if (!HEX.test(digits)) {
+    throw new Error('Invalid hex data');
+  }
+  return Buffer.from(digits, 'hex');
+}
+
+/**
+ * Text of a compressed payload: strings as-is, anything else as JSON
+ */
+const serialize = value => typeof value === 'string' ? value : JSON.stringify(value);
+
+/**
+ * Parse decompressed text as JSON when possible
+ */
+const deserialize = buffer => {
+  const text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Name the encoding of a binary block
+ * @param {Object} binary - Binary block
+ * @returns {string|undefined} One of FRAME_ENCODINGS
+ */
+function frameEncoding(binary) {
+  return FRAME_ENCODINGS.find(encoding => binary[encoding] !== undefined);
+}
+
+/**
+ * Validate a binary block
+ * @param {Object} binary - Binary block
+ * @returns {Array} Error messages
+ */
+function validateFrame(binary) {
+  const encodings = FRAME_ENCODINGS.filter(encoding => binary[encoding] !== undefined);
+  if (encodings.length !== 1) {
+    return [`must have exactly one of ${FRAME_ENCODINGS.join(', ')}`];
+  }
+
+  // Templated hex is checked when the frame is sent
+  if (binary.hex !== undefined && !String(binary.hex).includes('{{')) {
+    try {
+      parseHex(binary.hex);
+    } catch (error) {
+      return ['"hex" must be pairs of hex digits'];
+    }
+  }
+  return [];
+}
+
+/**
+ * Build the bytes of a binary frame
+ * @param {Object} binary - Binary block
+ * @param {Function} render - Applies templates to the block's content
+ * @returns {Buffer} Frame payload
+ */
+function encodeFrame(binary, render = value => value) {
+  const encoding = frameEncoding(binary);
+
+  switch (encoding) {
+    case 'base64':
+      return Buffer.from(render(binary.base64), 'base64');
+    case 'hex':
+      return parseHex(render(binary.hex));
+    case 'hexFile':
+      if (binary._hex === undefined) {
+        throw new Error(`Hex file '${binary.hexFile}' was not loaded with the configuration`);
+      }
+      return parseHex(binary._hex);
+    case 'msgpack':
+      return encodeMessagePack(render(binary.msgpack));
+    case 'cbor':
+      return encodeCbor(render(binary.cbor));
+    case 'gzip':
+      return zlib.gzipSync(serialize(render(binary.gzip)));
+    case 'deflate':
+      return zlib.deflateSync(serialize(render(binary.deflate)));
+    default:
+      throw new Error('Binary frame has no content');
+  }
+}
+
+/**
+ * Decode an incoming payload
+ * @param {Buffer} buffer - Frame payload
+ * @param {string} encoding - One of DECODINGS
+ * @returns {any} Decoded value (compressed JSON is parsed, other text returned as string)
+ * @throws {Error} When the payload is not valid for the encoding or inflates beyond MAX_INFLATED_SIZE
+ */
+function decodeFrame(buffer, encoding) {
+  switch (encoding) {
+    case 'msgpack':
+      return decodeMessagePack(buffer);
+    case 'cbor':
+      return decodeCbor(buffer);
+    case 'gzip':
+      return deserialize(zlib.gunzipSync(buffer, { maxOutputLength: MAX_INFLATED_SIZE }));
+    case 'deflate': {
+      // Accept both zlib-wrapped and raw deflate streams
+      let inflated;
+      try {
+        inflated = zlib.inflateSync(buffer, { maxOutputLength: MAX_INFLATED_SIZE });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+        inflated = zlib.inflateRawSync(buffer, { maxOutputLength: MAX_INFLATED_SIZE });
+      }
+      return deserialize(inflated);
+    }
+    default:
+      throw new Error(`Unknown binary decoding '${encoding}'`);
+  }
+}
+
+/**
+ * Check whether a payload starts with the given bytes
+ * @param {Buffer|string} payload - Frame payload
+ * @param {string} prefix - Hex prefix
+ * @returns {boolean} Match result
+ */
+function startsWithBytes(payload, prefix) {
+  const bytes = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  const expected = parseHex(prefix);
+  return bytes.length >= expected.length && bytes.subarray(0, expected.length).equals(expected);
+}
+
+/**
+ * Short description of a payload for logs
+ * @param {Buffer} buffer - Frame payload
+ * @param {number} maxBytes - Bytes shown as hex
+ */
+function describeFrame(buffer, maxBytes = 16) {
+  const hex = buffer.subarray(0, maxBytes).toString('hex');
+  return `<binary ${buffer.length} bytes ${hex}${buffer.length > maxBytes ? '...' : ''}>`;
+}
+
+module.exports = {
+  FRAME_ENCODINGS,
+  DECODINGS,
+  parseHex,
+  frameEncoding,
+  validateFrame,
+  encodeFrame,
+  decodeFrame,
+  startsWithBytes,
+  describeFrame,
+  MAX_INFLATED_SIZE
+};
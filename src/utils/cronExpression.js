@@ -0,0 +1,164 @@
+/**
+ * Cron expressions for scheduled messages
+ *
+ * Five fields (minute hour day-of-month month day-of-week) or six with a leading
+ * seconds field. Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`), steps
+ * (`*\/10`, `0-30/5`) and month / weekday names (`jan`, `mon-fri`).
+ * Times are evaluated in UTC against the virtual clock.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_YEARS = 5;
+
+/**
+ * Parse a single value, accepting names for months and weekdays
+ */
+function parseValue(text, field) {
+  const name = text.toLowerCase();
+  if (field.names && field.names.includes(name)) {
+    return field.names.indexOf(name) + field.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value '${text}'`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @returns {Object} { values: Set, any: boolean }
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step '${stepText}'`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range '${range}'`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday is both 0 and 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return { values, any: text === '*' || text === '?' };
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression with 5 or 6 fields
+ * @returns {Object} Parsed schedule for nextCronTime
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Cron expression '${expression}' must have 5 or 6 fields`);
+  }
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index] === '?' ? '*' : parts[index], field);
+  });
+  return schedule;
+}
+
+/**
+ * Check whether a day matches; like classic cron, a restricted day-of-month and
+ * day-of-week match when either does
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.values.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.values.has(date.getUTCDay());
+
+  if (schedule.dayOfMonth.any) return dayOfWeek;
+  if (schedule.dayOfWeek.any) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next time a schedule fires, strictly after a given time
+ * @param {Object} schedule - Result of parseCron
+ * @param {number} after - Epoch milliseconds
+ * @returns {number|null} Epoch milliseconds, or null if it never fires
+ */
+function nextCronTime(schedule, after) {
+  const date = new Date(Math.floor(after / 1000) * 1000 + 1000);
+  const limit = after + MAX_YEARS * 366 * 86400000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0);
+      continue;
+    }
+    if (!schedule.second.values.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime
+};
@@ -0,0 +1,151 @@
+/**
+ * Faker-style data generators exposed as fake.* template helpers
+ *
+ * All values come from the template engine's SeededRandom, so a fixed seed
+ * reproduces the same names, addresses and prices on every run.
+ */
+
+const FIRST_NAMES = [
+  'Sofia', 'Mateo', 'Valentina', 'Santiago', 'Camila', 'Benjamin', 'Lucia', 'Joaquin',
+  'Martina', 'Thiago', 'Emma', 'Lucas', 'Olivia', 'Daniel', 'Julia', 'Gabriel',
+  'Isabella', 'Tomas', 'Ana', 'Diego', 'Laura', 'Pedro', 'Maria', 'Juan'
+];
+
+const LAST_NAMES = [
+  'Gonzalez', 'Rodriguez', 'Fernandez', 'Lopez', 'Martinez', 'Garcia', 'Perez', 'Sanchez',
+  'Romero', 'Silva', 'Santos', 'Oliveira', 'Souza', 'Costa', 'Alvarez', 'Torres',
+  'Ruiz', 'Diaz', 'Moreno', 'Castro', 'Smith', 'Johnson', 'Brown', 'Miller'
+];
+
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'mail.test', 'inbox.test'];
+
+const SYMBOLS = ['BTC', 'ETH', 'USDT', 'USDC', 'SOL', 'ADA', 'DAI', 'MATIC', 'DOT', 'LTC', 'XRP', 'AVAX'];
+const QUOTE_CURRENCIES = ['BRL', 'ARS', 'USDT', 'USD'];
+
+const LOREM_WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+  'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim',
+  'ad', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip'
+];
+
+// Total IBAN length per country
+const IBAN_LENGTHS = { AR: 26, BR: 29, DE: 22, ES: 24, FR: 27, GB: 22, NL: 18, PT: 25 };
+const DEFAULT_IBAN_COUNTRY = 'ES';
+
+const DIGITS = '0123456789';
+const HEX = '0123456789abcdef';
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const BECH32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO 13616 check digits for a country code and BBAN
+ */
+function ibanCheckDigits(country, bban) {
+  const numeric = `${bban}${country}00`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return String(98 - remainder).padStart(2, '0');
+}
+
+/**
+ * Argentine CBU verification digit for a block of digits
+ */
+function cbuCheckDigit(digits, weights) {
+  const sum = digits.split('').reduce((total, digit, i) => total + Number(digit) * weights[i % weights.length], 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function toDate(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+}
+
+/**
+ * Build fake.* helpers bound to a random source
+ * @param {SeededRandom} random - Random source
+ * @param {Function} now - Returns the current time in milliseconds
+ * @returns {Object} Helpers keyed by name
+ */
+function createFakeHelpers(random, now = () => Date.now()) {
+  const firstName = () => random.pick(FIRST_NAMES);
+  const lastName = () => random.pick(LAST_NAMES);
+  const symbol = () => random.pick(SYMBOLS);
+
+  const generators = {
+    firstName,
+    lastName,
+    name: () => `${firstName()} ${lastName()}`,
+    username: () => `${firstName().toLowerCase()}.${lastName().toLowerCase()}${random.int(1, 99)}`,
+    email: () => `${firstName().toLowerCase()}.${lastName().toLowerCase()}${random.int(1, 999)}@${random.pick(EMAIL_DOMAINS)}`,
+
+    iban(country = DEFAULT_IBAN_COUNTRY) {
+      const code = String(country).toUpperCase();
+      const length = IBAN_LENGTHS[code] || IBAN_LENGTHS[DEFAULT_IBAN_COUNTRY];
+      const bban = random.string(length - 4, DIGITS);
+      return `${code}${ibanCheckDigits(code, bban)}${bban}`;
+    },
+    cbu() {
+      const bank = random.string(7, DIGITS);
+      const account = random.string(13, DIGITS);
+      return `${bank}${cbuCheckDigit(bank, [7, 1, 3, 9])}${account}${cbuCheckDigit(account, [3, 9, 7, 1])}`;
+    },
+
+    btcAddress: () => `bc1q${random.string(38, BECH32)}`,
+    ethAddress: () => `0x${random.string(40, HEX)}`,
+    cryptoAddress(network = 'btc') {
+      switch (String(network).toLowerCase()) {
+        case 'eth':
+          return generators.ethAddress();
+        case 'trx':
+          return `T${random.string(33, BASE58)}`;
+        case 'sol':
+          return random.string(44, BASE58);
+        default:
+          return generators.btcAddress();
+      }
+    },
+    symbol,
+    pair(quote, separator = '_') {
+      const base = symbol();
+      const candidates = QUOTE_CURRENCIES.filter(currency => currency !== base);
+      return `${base}${separator}${quote || random.pick(candidates)}`;
+    },
+
+    int: (min = 0, max = 100) => random.int(Number(min), Number(max)),
+    decimal: (min = 0, max = 1, precision = 2) => random.decimal(Number(min), Number(max), Number(precision)),
+    boolean: () => random.next() < 0.5,
+    enum: (...values) => random.pick(values),
+    uuid: () => random.uuid(),
+    hex: (length = 16) => random.string(Number(length), HEX),
+    alphanumeric: (length = 10) => random.string(Number(length), ALPHANUMERIC),
+
+    date(from, to) {
+      const end = toDate(to, new Date(now()));
+      const start = toDate(from, new Date(end.getTime() - 365 * DAY_MS));
+      return new Date(random.int(start.getTime(), end.getTime())).toISOString();
+    },
+
+    lorem: (words = 8) => Array.from({ length: Number(words) }, () => random.pick(LOREM_WORDS)).join(' '),
+    sentence(words = 8) {
+      const text = generators.lorem(words);
+      return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    }
+  };
+
+  // Template helpers receive a trailing options object that generators don't expect
+  const fakeHelpers = {};
+  for (const [name, generator] of Object.entries(generators)) {
+    fakeHelpers[`fake.${name}`] = (...params) => generator(...params.slice(0, -1));
+  }
+  return fakeHelpers;
+}
+
+module.exports = {
+  createFakeHelpers
+};
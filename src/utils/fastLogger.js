@@ -2,6 +2,8 @@
  * Performance-optimized logging utilities
  */
 
+const { describeFrame } = require('./binaryFrames');
+
 // Pre-allocated counter for correlation IDs (faster than Date.now + random)
 let requestCounter = 0;
 
@@ -16,6 +18,10 @@ function generateCorrelationId(prefix = 'req') {
  * Efficiently preview a message without double JSON.stringify
  */
 function getMessagePreview(message, maxLength = 50) {
+  if (Buffer.isBuffer(message)) {
+    return describeFrame(message);
+  }
+
   if (typeof message === 'string') {
     return message.length > maxLength 
       ? message.substring(0, maxLength) + '...'
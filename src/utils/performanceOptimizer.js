@@ -85,12 +85,12 @@ function extractPath(url) {
  * Optimize mapping for fast matching
  */
 function optimizeMapping(mapping) {
-  // Check if mapping uses JSONPath - if so, don't optimize as fast matcher doesn't support it
+  // Check if mapping uses JSONPath or plugin matchers - if so, don't optimize as fast matcher doesn't support them
   const hasJsonPath = mapping.request?.bodyPatterns?.some(pattern => 
-    pattern.matchesJsonPath !== undefined
+    pattern.matchesJsonPath !== undefined || pattern.custom !== undefined
   );
   
-  // If JSONPath is used, return the mapping without optimization flag
+  // If JSONPath or a plugin matcher is used, return the mapping without optimization flag
   if (hasJsonPath) {
     return {
       ...mapping,
@@ -150,8 +150,8 @@ function optimizeMapping(mapping) {
  * Ultra-fast request matching with early exits
  */
 function fastMatch(request, mapping, urlPath) {
-  // 1. Method check (fastest)
-  if (mapping._method !== request.method) {
+  // 1. Method check (fastest) - ANY matches every method
+  if (mapping._method !== request.method && mapping._method !== 'ANY') {
     return false;
   }
 
@@ -0,0 +1,95 @@
+/**
+ * Replay captures - Timestamped JSONL / NDJSON recordings of WebSocket frames
+ *
+ * One JSON value per line; blank lines and lines starting with // are skipped.
+ * A line's frame is its messageField (default "message"); lines without one are sent
+ * whole, minus the timestamp. Timestamps (timestampField, default "timestamp") are epoch
+ * milliseconds or date strings. Lines without a timestamp follow the previous frame
+ * after `gap` milliseconds.
+ */
+
+const DEFAULT_GAP = 1000;
+
+/**
+ * Parse a timestamp from epoch milliseconds or a date string
+ * @returns {number|null} Epoch milliseconds or null if invalid
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const time = /^\d+(\.\d+)?$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parse a capture into frames with their offset from the first frame
+ * @param {string} text - File content
+ * @param {Object} options - { timestampField, messageField, gap }
+ * @returns {Array} Frames in file order: [{ offset, message }]
+ * @throws {Error} If a line is invalid or there are no frames
+ */
+function parseCapture(text, options = {}) {
+  const timestampField = options.timestampField || 'timestamp';
+  const messageField = options.messageField || 'message';
+  const gap = options.gap ?? DEFAULT_GAP;
+
+  const frames = [];
+  let origin = null; // Timestamp at offset 0
+  let previous = null; // Offset of the previous frame
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('//')) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(trimmed);
+    } catch {
+      throw new Error(`line ${index + 1}: invalid JSON`);
+    }
+
+    const isObject = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const hasTime = isObject && entry[timestampField] !== undefined;
+    const time = hasTime ? parseTimestamp(entry[timestampField]) : null;
+    if (hasTime && time === null) {
+      throw new Error(`line ${index + 1}: invalid ${timestampField}`);
+    }
+
+    let message = entry;
+    if (isObject && entry[messageField] !== undefined) {
+      message = entry[messageField];
+    } else if (hasTime) {
+      const { [timestampField]: _timestamp, ...rest } = entry;
+      message = rest;
+    }
+
+    const next = previous === null ? 0 : previous + gap;
+    if (hasTime && origin === null) {
+      origin = time - next;
+    }
+    const offset = hasTime ? time - origin : next;
+    if (previous !== null && offset < previous) {
+      throw new Error(`line ${index + 1}: ${timestampField} is earlier than the previous frame`);
+    }
+
+    frames.push({ offset, message });
+    previous = offset;
+  });
+
+  if (frames.length === 0) {
+    throw new Error('capture has no frames');
+  }
+
+  return frames;
+}
+
+module.exports = {
+  parseCapture,
+  parseTimestamp,
+  DEFAULT_GAP
+};
@@ -0,0 +1,111 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Unseeded instances start from a random seed, so values differ per run.
+ * Setting a seed (MOCK_SEED or /__admin/seed) restarts a reproducible sequence.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Turn a numeric or string seed into a 32-bit integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  const text = String(seed);
+  if (/^-?\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class SeededRandom {
+  /**
+   * @param {number|string|null} seed - Optional seed; random when omitted
+   */
+  constructor(seed = null) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed (null picks a random seed)
+   * @returns {number} Normalized seed in use
+   */
+  setSeed(seed = null) {
+    this.seeded = seed !== null && seed !== undefined && seed !== '';
+    this.seed = this.seeded ? normalizeSeed(seed) : crypto.randomBytes(4).readUInt32LE(0);
+    this.state = this.seed;
+    return this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer between min and max (inclusive)
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Float between min and max rounded to a fixed number of decimals
+   */
+  decimal(min, max, precision = 2) {
+    const factor = 10 ** precision;
+    return Math.round((min + this.next() * (max - min)) * factor) / factor;
+  }
+
+  /**
+   * Random element of a list
+   */
+  pick(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  /**
+   * String of random characters from an alphabet
+   */
+  string(length, alphabet) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += alphabet[Math.floor(this.next() * alphabet.length)];
+    }
+    return result;
+  }
+
+  /**
+   * UUID v4 built from the sequence (native randomUUID when unseeded)
+   */
+  uuid() {
+    if (!this.seeded && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = Math.floor(this.next() * 16);
+      const v = c === 'x' ? r : (r & 0x3 | 0x8);
+      return v.toString(16);
+    });
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,190 @@
+/**
+ * Built-in helpers for the Handlebars-style template language
+ *
+ * Every helper receives its evaluated arguments followed by an options object
+ * ({ context } for plain helpers, plus { fn, inverse } for block helpers).
+ */
+
+const jsonpath = require('jsonpath');
+
+/**
+ * Handlebars truthiness: empty arrays are falsy, 0 is falsy, everything else follows JS
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+// Drop the trailing options object from helper arguments
+function args(list) {
+  return list.slice(0, -1);
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isNaN(number) ? 0 : number;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function parseIfJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+const MATH_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? 0 : a / b),
+  '%': (a, b) => (b === 0 ? 0 : a % b),
+  '**': (a, b) => a ** b
+};
+
+const helpers = {
+  // Block helpers
+
+  if(condition, options) {
+    return isTruthy(condition) ? options.fn() : options.inverse();
+  },
+
+  unless(condition, options) {
+    return isTruthy(condition) ? options.inverse() : options.fn();
+  },
+
+  each(collection, options) {
+    if (Array.isArray(collection) && collection.length > 0) {
+      return collection.map((item, index) => options.fn(item, {
+        index,
+        first: index === 0,
+        last: index === collection.length - 1
+      })).join('');
+    }
+
+    if (collection && typeof collection === 'object' && Object.keys(collection).length > 0) {
+      const keys = Object.keys(collection);
+      return keys.map((key, index) => options.fn(collection[key], {
+        key,
+        index,
+        first: index === 0,
+        last: index === keys.length - 1
+      })).join('');
+    }
+
+    return options.inverse();
+  },
+
+  with(value, options) {
+    return isTruthy(value) ? options.fn(value) : options.inverse();
+  },
+
+  // Comparison and logic
+
+  eq: (a, b) => a === b || (a !== null && b !== null && a !== undefined && b !== undefined && String(a) === String(b)),
+  ne: (a, b) => !helpers.eq(a, b),
+  gt: (a, b) => toNumber(a) > toNumber(b),
+  gte: (a, b) => toNumber(a) >= toNumber(b),
+  lt: (a, b) => toNumber(a) < toNumber(b),
+  lte: (a, b) => toNumber(a) <= toNumber(b),
+  and: (...list) => args(list).every(isTruthy),
+  or: (...list) => args(list).some(isTruthy),
+  not: (value) => !isTruthy(value),
+
+  // Arithmetic
+
+  math(a, operator, b) {
+    const operation = MATH_OPERATORS[operator];
+    if (!operation) {
+      throw new Error(`Unknown math operator "${operator}"`);
+    }
+    return operation(toNumber(a), toNumber(b));
+  },
+  add: (a, b) => toNumber(a) + toNumber(b),
+  subtract: (a, b) => toNumber(a) - toNumber(b),
+  multiply: (a, b) => toNumber(a) * toNumber(b),
+  divide: (a, b) => (toNumber(b) === 0 ? 0 : toNumber(a) / toNumber(b)),
+  mod: (a, b) => (toNumber(b) === 0 ? 0 : toNumber(a) % toNumber(b)),
+  abs: (value) => Math.abs(toNumber(value)),
+  floor: (value) => Math.floor(toNumber(value)),
+  ceil: (value) => Math.ceil(toNumber(value)),
+  round(value, decimals, options) {
+    const places = options === undefined ? 0 : toNumber(decimals);
+    const factor = 10 ** places;
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  min: (...list) => Math.min(...args(list).map(toNumber)),
+  max: (...list) => Math.max(...args(list).map(toNumber)),
+  sum(collection, field, options) {
+    const items = Array.isArray(collection) ? collection : [];
+    const path = options === undefined ? null : field;
+    return items.reduce((total, item) => total + toNumber(path ? item?.[path] : item), 0);
+  },
+
+  // Strings
+
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => toText(value).trim(),
+  substring(value, start, end, options) {
+    return options === undefined
+      ? toText(value).substring(toNumber(start))
+      : toText(value).substring(toNumber(start), toNumber(end));
+  },
+  replace: (value, search, replacement) => toText(value).split(toText(search)).join(toText(replacement)),
+  concat: (...list) => args(list).map(toText).join(''),
+  split: (value, separator) => toText(value).split(toText(separator)),
+  join(collection, separator, options) {
+    const items = Array.isArray(collection) ? collection : [];
+    return items.map(toText).join(options === undefined ? ',' : toText(separator));
+  },
+  length(value) {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+  },
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+
+  // Type casts
+
+  toNumber(value) {
+    const number = Number(value);
+    return value === null || value === '' || Number.isNaN(number) ? null : number;
+  },
+  toInt(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+  },
+  toBoolean(value) {
+    if (typeof value === 'string') {
+      return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+    }
+    return isTruthy(value);
+  },
+  toString: (value) => toText(value),
+  parseJson: (value) => parseIfJson(value),
+
+  // JSON
+
+  jsonPath(data, expression) {
+    const results = jsonpath.query(parseIfJson(data) ?? {}, toText(expression));
+    if (results.length === 0) return undefined;
+    return results.length === 1 ? results[0] : results;
+  },
+  json: (value) => JSON.stringify(value)
+};
+
+module.exports = {
+  helpers,
+  isTruthy
+};
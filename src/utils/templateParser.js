@@ -0,0 +1,402 @@
+/**
+ * Handlebars-style template parser and renderer
+ *
+ * Supports:
+ * - {{path.to.value}}, {{this}}, {{../parent}}, {{@index}}, {{@root.request.body}}
+ * - Helper calls with literals and subexpressions: {{math a '*' (add b 1)}}
+ * - Block helpers with else: {{#if cond}}...{{else}}...{{/if}}
+ * - Comments: {{! note }} and {{!-- note --}}
+ *
+ * Templates are parsed once into a small AST and cached.
+ */
+
+const TAG_PATTERN = /\{\{(!--[\s\S]*?--|![\s\S]*?|[\s\S]*?)\}\}/g;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+// Original FastTemplateEngine placeholders, rendered by the engine's own resolver
+const LEGACY_PATTERN = /^(timestamp|random\.uuid|random\.number\(\d+,\d+\)|date\.now|date\.format\([^)]+\))$/;
+const MAX_CACHE_SIZE = 500;
+
+const astCache = new Map();
+
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+/**
+ * Parse a template string into an AST (cached)
+ * @param {string} template - Template source
+ * @returns {Array} Program nodes
+ */
+function parse(template) {
+  const cached = astCache.get(template);
+  if (cached) return cached;
+
+  const root = { program: [] };
+  const stack = [];
+  let current = root;
+  let target = root.program;
+  let lastIndex = 0;
+
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', value: template.substring(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const content = match[1].trim();
+
+    if (content.startsWith('!')) {
+      continue;
+    }
+
+    if (content.startsWith('#')) {
+      const [nameToken, ...params] = tokenize(content.substring(1));
+      const block = {
+        type: 'block',
+        name: nameToken,
+        params: params.map(parseExpression),
+        program: [],
+        inverse: null
+      };
+      target.push(block);
+      stack.push(current);
+      current = block;
+      target = block.program;
+      continue;
+    }
+
+    if (content === 'else') {
+      if (current === root || current.inverse) {
+        throw new TemplateSyntaxError('Unexpected {{else}}');
+      }
+      current.inverse = [];
+      target = current.inverse;
+      continue;
+    }
+
+    if (content.startsWith('/')) {
+      const name = content.substring(1).trim();
+      if (current === root || current.name !== name) {
+        throw new TemplateSyntaxError(`Unexpected {{/${name}}}`);
+      }
+      current = stack.pop();
+      target = current === root ? root.program : (current.inverse || current.program);
+      continue;
+    }
+
+    target.push({ type: 'mustache', expression: parseMustache(content) });
+  }
+
+  if (current !== root) {
+    throw new TemplateSyntaxError(`Unclosed block {{#${current.name}}}`);
+  }
+
+  if (lastIndex < template.length) {
+    target.push({ type: 'text', value: template.substring(lastIndex) });
+  }
+
+  if (astCache.size >= MAX_CACHE_SIZE) {
+    astCache.clear();
+  }
+  astCache.set(template, root.program);
+
+  return root.program;
+}
+
+/**
+ * Parse the content of a {{...}} tag into an expression
+ */
+function parseMustache(content) {
+  if (LEGACY_PATTERN.test(content)) {
+    return { type: 'legacy', source: `{{${content}}}` };
+  }
+
+  const tokens = tokenize(content);
+  if (tokens.length === 0) {
+    throw new TemplateSyntaxError('Empty expression {{}}');
+  }
+
+  if (tokens.length === 1) {
+    const expression = parseExpression(tokens[0]);
+    // A bare identifier may be a helper without arguments, e.g. {{fake.name}} (resolved at render time)
+    return expression.type === 'path' && expression.parts.length > 0 && !expression.data && expression.up === 0
+      ? { type: 'ambiguous', name: expression.parts.join('.'), path: expression }
+      : expression;
+  }
+
+  return {
+    type: 'call',
+    name: tokens[0],
+    params: tokens.slice(1).map(parseExpression)
+  };
+}
+
+/**
+ * Split expression content into tokens, keeping quoted strings and (subexpressions) whole
+ */
+function tokenize(content) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = content.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new TemplateSyntaxError(`Unterminated string in "${content}"`);
+      }
+      tokens.push(content.substring(i, end + 1));
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '(') {
+      let depth = 0;
+      let j = i;
+      let quote = null;
+      for (; j < content.length; j++) {
+        const c = content[j];
+        if (quote) {
+          if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+          quote = c;
+        } else if (c === '(') {
+          depth++;
+        } else if (c === ')') {
+          depth--;
+          if (depth === 0) break;
+        }
+      }
+      if (depth !== 0) {
+        throw new TemplateSyntaxError(`Unbalanced parentheses in "${content}"`);
+      }
+      tokens.push(content.substring(i, j + 1));
+      i = j + 1;
+      continue;
+    }
+
+    let j = i;
+    while (j < content.length && !/[\s()]/.test(content[j])) j++;
+    tokens.push(content.substring(i, j));
+    i = j;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a single token into a literal, path or subexpression
+ */
+function parseExpression(token) {
+  if (token.startsWith('(')) {
+    const [name, ...params] = tokenize(token.substring(1, token.length - 1));
+    return { type: 'call', name, params: params.map(parseExpression) };
+  }
+
+  if (token.startsWith('"') || token.startsWith("'")) {
+    return { type: 'literal', value: token.substring(1, token.length - 1) };
+  }
+
+  if (NUMBER_PATTERN.test(token)) {
+    return { type: 'literal', value: Number(token) };
+  }
+
+  if (token === 'true' || token === 'false') {
+    return { type: 'literal', value: token === 'true' };
+  }
+
+  if (token === 'null' || token === 'undefined') {
+    return { type: 'literal', value: token === 'null' ? null : undefined };
+  }
+
+  let path = token;
+  let up = 0;
+  while (path.startsWith('../')) {
+    up++;
+    path = path.substring(3);
+  }
+
+  const data = path.startsWith('@');
+  if (data) path = path.substring(1);
+
+  const parts = path === 'this' || path === '.' ? [] : path.replace(/^this\./, '').split('.');
+  return { type: 'path', parts, up, data, original: token };
+}
+
+/**
+ * Render a template string
+ * @param {string} template - Template source
+ * @param {Object} context - Root context
+ * @param {Object} helpers - Helper functions by name
+ * @param {Function} resolveLegacy - Renders an original placeholder such as {{random.uuid}}
+ * @returns {string} Rendered string
+ */
+function render(template, context, helpers, resolveLegacy = source => source) {
+  const program = parse(template);
+  const rootFrame = { value: context, parent: null, data: { root: context }, resolveLegacy };
+  return renderProgram(program, rootFrame, helpers);
+}
+
+/**
+ * Render a template, keeping the type of a single whole-value expression
+ * "{{request.body.amount}}" returns the number itself; anything with text or blocks returns a string
+ * @returns {*} Raw value or rendered string
+ */
+function renderValue(template, context, helpers, resolveLegacy = source => source) {
+  const program = parse(template);
+  if (program.length !== 1 || program[0].type !== 'mustache') {
+    return render(template, context, helpers, resolveLegacy);
+  }
+
+  const rootFrame = { value: context, parent: null, data: { root: context }, resolveLegacy };
+  const value = evaluate(program[0].expression, rootFrame, helpers);
+  return value === undefined ? '' : value;
+}
+
+function renderProgram(program, frame, helpers) {
+  let output = '';
+
+  for (const node of program) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'mustache') {
+      output += toOutput(evaluate(node.expression, frame, helpers));
+    } else {
+      output += renderBlock(node, frame, helpers);
+    }
+  }
+
+  return output;
+}
+
+function renderBlock(node, frame, helpers) {
+  const helper = getHelper(helpers, node.name);
+  if (!helper) {
+    throw new TemplateSyntaxError(`Unknown block helper "${node.name}"`);
+  }
+
+  const params = node.params.map(param => evaluate(param, frame, helpers));
+  const options = {
+    fn: (value = frame.value, data = {}) => renderProgram(node.program, createFrame(frame, value, data), helpers),
+    inverse: (value = frame.value, data = {}) => node.inverse
+      ? renderProgram(node.inverse, createFrame(frame, value, data), helpers)
+      : '',
+    context: frame.value
+  };
+
+  return toOutput(helper(...params, options));
+}
+
+function createFrame(parent, value, data) {
+  return {
+    value,
+    parent,
+    data: { ...parent.data, ...data },
+    resolveLegacy: parent.resolveLegacy
+  };
+}
+
+function evaluate(expression, frame, helpers) {
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+    case 'legacy':
+      return frame.resolveLegacy(expression.source);
+    case 'path':
+      return resolvePath(expression, frame);
+    case 'ambiguous':
+      return getHelper(helpers, expression.name) && !hasOwnValue(frame, expression.path.parts[0])
+        ? getHelper(helpers, expression.name)({ context: frame.value })
+        : resolvePath(expression.path, frame);
+    case 'call': {
+      const helper = getHelper(helpers, expression.name);
+      if (!helper) {
+        throw new TemplateSyntaxError(`Unknown helper "${expression.name}"`);
+      }
+      const params = expression.params.map(param => evaluate(param, frame, helpers));
+      return helper(...params, { context: frame.value });
+    }
+  }
+  return undefined;
+}
+
+// Own properties only, so names like "constructor" never resolve to Object.prototype
+function getHelper(helpers, name) {
+  return Object.prototype.hasOwnProperty.call(helpers, name) ? helpers[name] : undefined;
+}
+
+function hasOwnValue(frame, name) {
+  for (let current = frame; current; current = current.parent) {
+    if (current.value && typeof current.value === 'object' && name in current.value) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Resolve a path against the frame stack
+ * Plain paths look in the current context first and then in enclosing contexts,
+ * so request.* stays reachable inside {{#each}} blocks
+ */
+function resolvePath(expression, frame) {
+  let target = frame;
+  for (let i = 0; i < expression.up && target.parent; i++) {
+    target = target.parent;
+  }
+
+  if (expression.data) {
+    const [name, ...rest] = expression.parts;
+    return getNested(target.data[name], rest);
+  }
+
+  if (expression.parts.length === 0) {
+    return target.value;
+  }
+
+  if (expression.up > 0 || expression.original.startsWith('this.')) {
+    return getNested(target.value, expression.parts);
+  }
+
+  for (let current = target; current; current = current.parent) {
+    const value = current.value;
+    if (value !== null && value !== undefined && typeof value === 'object' && expression.parts[0] in value) {
+      return getNested(value, expression.parts);
+    }
+  }
+
+  return undefined;
+}
+
+function getNested(value, parts) {
+  let current = value;
+  for (const part of parts) {
+    if (current === null || current === undefined) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function toOutput(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+module.exports = {
+  parse,
+  render,
+  renderValue,
+  TemplateSyntaxError
+};
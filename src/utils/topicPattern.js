@@ -0,0 +1,30 @@
+/**
+ * Topic patterns for WebSocket subscriptions
+ *
+ * A `*` in a pattern matches any characters (`ticker.*` matches `ticker.BTC`);
+ * everything else matches literally.
+ */
+
+/**
+ * Compile a topic pattern once so it can be tested against many topics
+ * @param {string} pattern - Topic or pattern with * wildcards
+ * @returns {RegExp} Anchored regular expression
+ */
+function compileTopicPattern(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * Check a topic against a pattern
+ * @param {string} topic - Topic
+ * @param {string} pattern - Topic or pattern with * wildcards
+ * @returns {boolean} True if the topic matches
+ */
+function topicMatches(topic, pattern) {
+  return compileTopicPattern(pattern).test(topic);
+}
+
+module.exports = {
+  compileTopicPattern,
+  topicMatches
+};
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const ConfigurationManager = require('./modules/ConfigurationManager');
+const PluginRegistry = require('./modules/PluginRegistry');
 const { createLogger } = require('./utils/logger');
 const path = require('path');
 
@@ -11,7 +12,11 @@ const logger = createLogger();
  * Validate all configuration files
  */
 async function validateConfigurations() {
-  const configManager = new ConfigurationManager(logger);
+  // Plugins are loaded so mock files can be checked for the matchers and transformers they name
+  const plugins = new PluginRegistry(logger);
+  plugins.loadPlugins(process.env.PLUGINS_DIR || 'plugins');
+
+  const configManager = new ConfigurationManager(logger, plugins);
   const configDir = process.argv[2] || 'mocks';
 
   console.log(`\nValidating configurations in: ${path.join(process.cwd(), configDir)}\n`);
@@ -1,42 +1,66 @@
+import { createRequire } from 'module';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const MockServer = require('../../src/MockServer.js');
-const path = require('path');
-const __dirname = __dirname;
 
 // Create a simple logger for tests
-const testLogger = {
+export const testLogger = {
   info: () => {},
   error: () => {},
   warn: () => {},
-  debug: () => {}
+  debug: () => {},
+  child: () => testLogger
 };
 
 /**
- * Create a test server instance with test fixtures
+ * Create a test server instance, registered the way MockServer.startAll does
  * @param {Object} options - Server configuration options
+ * @param {Array} options.configs - Configurations to register instead of loading a directory
+ * @param {string} options.configDir - Directory to load, relative to the working directory
+ * @param {string} options.pluginsDir - Plugins directory to load first
+ * @param {boolean} options.startScheduledMessages - Start scheduled messages once listening (default true)
  * @returns {Promise<Object>} Server instance and utilities
  */
-async function createTestServer(options = {}) {
+export async function createTestServer(options = {}) {
   const {
     port = 0, // Use random available port
+    configs: inlineConfigs = null,
     useTestFixtures = true,
-    configDir = useTestFixtures ? path.join(__dirname, '../fixtures/mock-configs') : 'mocks'
+    configDir = useTestFixtures ? path.relative(process.cwd(), path.join(__dirname, '../fixtures/mock-configs')) : 'mocks',
+    pluginsDir = null,
+    startScheduledMessages = true
   } = options;
 
   const mockServer = new MockServer(testLogger);
 
-  // Initialize with test configuration
-  await mockServer.initialize({
-    configDir,
-    stopOnError: false
-  });
+  if (inlineConfigs) {
+    if (pluginsDir) {
+      mockServer.pluginsDir = pluginsDir;
+      mockServer.loadPlugins();
+    }
+    await mockServer.configManager.loadSchema();
+  } else {
+    // Initialize with test configuration
+    await mockServer.initialize({
+      configDir,
+      pluginsDir: pluginsDir || undefined,
+      stopOnError: false
+    });
+  }
 
   // Create Fastify server
   const server = await mockServer.createServer();
 
   // Register all configurations
-  const configs = mockServer.configManager.getAllConfigurations();
+  const configs = inlineConfigs || mockServer.configManager.getAllConfigurations();
 
   for (const config of configs) {
+    mockServer.priceSeries.register(config);
     if (config.type === 'ws') {
       mockServer.registerWebSocketHandlers(server, config);
     } else if (config.type === 'api') {
@@ -55,15 +79,17 @@ async function createTestServer(options = {}) {
   const baseUrl = `http://127.0.0.1:${serverPort}`;
   const wsUrl = `ws://127.0.0.1:${serverPort}`;
 
-  // Track for cleanup
-  global.trackServer(server);
+  // Track for cleanup when tests/helpers/setup.js is loaded
+  global.trackServer?.(server);
 
   // Start scheduled messages for WebSocket configs
-  configs.filter(c => c.type === 'ws').forEach(config => {
-    mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
-      return mockServer.connectionManager.broadcast(configName, message, options);
+  if (startScheduledMessages) {
+    configs.filter(c => c.type === 'ws').forEach(config => {
+      mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+        return mockServer.connectionManager.broadcast(configName, message, options);
+      });
     });
-  });
+  }
 
   return {
     server,
@@ -83,9 +109,7 @@ async function createTestServer(options = {}) {
  * Get a free port number
  * @returns {Promise<number>} Available port number
  */
-async function getFreePort() {
-  const net = require('net');
-
+export async function getFreePort() {
   return new Promise((resolve, reject) => {
     const server = net.createServer();
     server.unref();
@@ -98,8 +122,3 @@ async function getFreePort() {
     });
   });
 }
-
-module.exports = {
-  createTestServer,
-  getFreePort
-};
\ No newline at end of file
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Admin Mappings API Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const fileConfig = {
+    name: 'file-config',
+    type: 'api',
+    mappings: [
+      {
+        id: 'get-balance',
+        request: { method: 'GET', urlPath: '/balance' },
+        response: { status: 200, jsonBody: { balance: 100 } }
+      },
+      {
+        id: 'get-maintenance',
+        enabled: false,
+        request: { method: 'GET', urlPath: '/maintenance' },
+        response: { status: 503, jsonBody: { maintenance: true } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [fileConfig] }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should list mappings including disabled ones', async () => {
+    const response = await request(server.server)
+      .get('/__admin/mappings')
+      .expect(200);
+
+    expect(response.body.mappings).toContainEqual({
+      id: 'get-maintenance',
+      configName: 'file-config',
+      method: 'GET',
+      path: '/maintenance',
+      priority: 1,
+      enabled: false
+    });
+  });
+
+  it('should enable and disable mappings', async () => {
+    await request(server.server).get('/maintenance').expect(404);
+
+    await request(server.server).post('/__admin/mappings/get-maintenance/enable').expect(200);
+    await request(server.server).get('/maintenance').expect(503);
+
+    await request(server.server).post('/__admin/mappings/get-maintenance/disable').expect(200);
+    await request(server.server).get('/maintenance').expect(404);
+  });
+
+  it('should create a mapping that overrides file mappings on the same path', async () => {
+    const created = await request(server.server)
+      .post('/__admin/mappings')
+      .send({
+        id: 'stub-balance',
+        request: { method: 'GET', urlPath: '/balance' },
+        response: { status: 200, jsonBody: { balance: 0 } }
+      })
+      .expect(201);
+
+    expect(created.body.configName).toBe('admin');
+
+    const balance = await request(server.server).get('/balance').expect(200);
+    expect(balance.body.balance).toBe(0);
+
+    await request(server.server).delete('/__admin/mappings/stub-balance').expect(200);
+
+    const restored = await request(server.server).get('/balance').expect(200);
+    expect(restored.body.balance).toBe(100);
+  });
+
+  it('should generate ids and update mappings', async () => {
+    const created = await request(server.server)
+      .post('/__admin/mappings')
+      .send({
+        request: { method: 'GET', urlPath: '/generated' },
+        response: { status: 200, jsonBody: { version: 1 } }
+      })
+      .expect(201);
+
+    const id = created.body.id;
+    expect(id).toBeTruthy();
+
+    await request(server.server)
+      .put(`/__admin/mappings/${id}`)
+      .send({
+        request: { method: 'GET', urlPath: '/generated' },
+        response: { status: 200, jsonBody: { version: 2 } }
+      })
+      .expect(200);
+
+    const response = await request(server.server).get('/generated').expect(200);
+    expect(response.body.version).toBe(2);
+
+    const fetched = await request(server.server).get(`/__admin/mappings/${id}`).expect(200);
+    expect(fetched.body.mapping.id).toBe(id);
+    expect(fetched.body.mapping.response.jsonBody).toEqual({ version: 2 });
+  });
+
+  it('should reject invalid and duplicate mappings', async () => {
+    const invalid = await request(server.server)
+      .post('/__admin/mappings')
+      .send({ request: { method: 'GET' } })
+      .expect(400);
+    expect(invalid.body.errors.length).toBeGreaterThan(0);
+
+    await request(server.server)
+      .post('/__admin/mappings')
+      .send({
+        id: 'get-balance',
+        request: { method: 'GET', urlPath: '/balance' },
+        response: { status: 200 }
+      })
+      .expect(409);
+  });
+
+  it('should return 404 for unknown mappings', async () => {
+    await request(server.server).get('/__admin/mappings/unknown').expect(404);
+    await request(server.server).delete('/__admin/mappings/unknown').expect(404);
+    await request(server.server).post('/__admin/mappings/unknown/enable').expect(404);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Fake Data Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const config = {
+    name: 'ripio-fake-accounts',
+    type: 'api',
+    mappings: [
+      {
+        id: 'fake-account',
+        request: { method: 'GET', urlPath: '/ripio/account' },
+        response: {
+          status: 200,
+          jsonBody: {
+            id: '{{random.uuid}}',
+            holder: '{{fake.name}}',
+            email: '{{fake.email}}',
+            iban: "{{fake.iban 'DE'}}",
+            cbu: '{{fake.cbu}}',
+            depositAddress: "{{fake.cryptoAddress 'eth'}}",
+            pair: "{{fake.pair 'BRL'}}",
+            price: '{{fake.decimal 42000 48000 2}}',
+            lastPrice: '{{random.number(42000,48000)}}',
+            side: "{{fake.enum 'buy' 'sell'}}",
+            createdAt: "{{fake.date '2024-01-01' '2024-12-31'}}",
+            note: '{{fake.sentence 5}}'
+          }
+        }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should generate realistic values with the expected formats', async () => {
+    const response = await request(server.server).get('/ripio/account').expect(200);
+    const account = response.body;
+
+    expect(account.holder).toMatch(/^[A-Z][a-z]+ [A-Z][a-z]+$/);
+    expect(account.email).toMatch(/^[a-z.]+\d+@[a-z.]+$/);
+    expect(account.iban).toMatch(/^DE\d{20}$/);
+    expect(account.cbu).toMatch(/^\d{22}$/);
+    expect(account.depositAddress).toMatch(/^0x[0-9a-f]{40}$/);
+    expect(account.pair).toMatch(/^[A-Z]+_BRL$/);
+    expect(account.price).toBeGreaterThanOrEqual(42000);
+    expect(account.price).toBeLessThanOrEqual(48000);
+    expect(['buy', 'sell']).toContain(account.side);
+    expect(account.createdAt.startsWith('2024-')).toBe(true);
+    expect(account.note).toMatch(/^[A-Z][a-z ]+\.$/);
+  });
+
+  it('should produce valid IBAN check digits', async () => {
+    const { body } = await request(server.server).get('/ripio/account').expect(200);
+    const rearranged = `${body.iban.slice(4)}${body.iban.slice(0, 4)}`
+      .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+    expect(BigInt(rearranged) % 97n).toBe(1n);
+  });
+
+  it('should replay the same values after setting the same seed', async () => {
+    await request(server.server).post('/__admin/seed').send({ seed: 'ripio-demo' }).expect(200);
+    const first = await request(server.server).get('/ripio/account').expect(200);
+
+    const seed = await request(server.server).post('/__admin/seed').send({ seed: 'ripio-demo' }).expect(200);
+    expect(seed.body.seeded).toBe(true);
+    const second = await request(server.server).get('/ripio/account').expect(200);
+
+    expect(second.body).toEqual(first.body);
+
+    const status = await request(server.server).get('/__admin/seed').expect(200);
+    expect(status.body.seed).toBe(seed.body.seed);
+  });
+
+  it('should reject a missing seed', async () => {
+    await request(server.server).post('/__admin/seed').send({}).expect(400);
+  });
+});
@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTestServer } from '../helpers/server.js';
+
+const SECRET = 's3cr3t';
+const sign = payload => crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+
+// Written to a temporary plugins directory
+const signaturesPlugin = `
+const crypto = require('crypto');
+
+module.exports = function register({ registerMatcher, registerHelper, registerTransformer }) {
+  registerMatcher('hmacSignature', (body, options, { request }) => {
+    const expected = crypto.createHmac('sha256', options.secret).update(request.rawBody).digest('hex');
+    return request.headers['x-signature'] === expected;
+  });
+
+  registerHelper('shout', value => String(value).toUpperCase() + '!');
+
+  registerTransformer('signResponse', async (response, options) => {
+    response.headers['X-Signature'] = crypto.createHmac('sha256', options.secret).update(JSON.stringify(response.body)).digest('hex');
+    return response;
+  });
+};
+`;
+
+const wsPlugin = `
+module.exports = {
+  name: 'orders',
+  register({ registerMatcher, registerTransformer }) {
+    registerMatcher('largeOrder', (message, options, { session }) => {
+      if (!message || message.amount < options.minAmount) return false;
+      return { matches: true, extracted: { account: session.account } };
+    });
+    registerTransformer('envelope', (message, options) => ({ [options.key]: message }));
+  }
+};
+`;
+
+describe('Plugins Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  let pluginsDir;
+  const sockets = [];
+
+  const apiConfig = {
+    name: 'signed-api',
+    type: 'api',
+    mappings: [
+      {
+        id: 'signed-order',
+        request: {
+          method: 'POST',
+          urlPath: '/orders',
+          bodyPatterns: [{ custom: 'hmacSignature', options: { secret: SECRET } }]
+        },
+        response: {
+          status: 201,
+          jsonBody: { side: '{{shout request.body.side}}' },
+          transformers: [{ name: 'signResponse', options: { secret: SECRET } }]
+        }
+      },
+      {
+        id: 'unsigned-order',
+        request: { method: 'POST', urlPath: '/orders' },
+        response: { status: 401, jsonBody: { error: 'Invalid signature' } }
+      }
+    ]
+  };
+
+  const wsConfig = {
+    name: 'plugin-feed',
+    type: 'ws',
+    path: '/ws/plugins',
+    responseRules: [
+      {
+        id: 'login',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'login' },
+        setSession: { account: '{{message.account}}' },
+        response: { message: { op: 'logged-in' } }
+      },
+      {
+        id: 'large-order',
+        matcher: { type: 'custom', function: 'largeOrder', options: { minAmount: 10 } },
+        response: {
+          message: { type: 'review', amount: '{{message.amount}}', account: '{{session.account}}' },
+          transformers: [{ name: 'envelope', options: { key: 'data' } }]
+        }
+      },
+      {
+        id: 'order',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'order' },
+        response: { message: { type: 'filled' } }
+      }
+    ]
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/plugins`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const send = async (ws, message) => {
+    const expected = ws.received.length + 1;
+    ws.send(JSON.stringify(message));
+    for (let i = 0; i < 100 && ws.received.length < expected; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return ws.received[expected - 1];
+  };
+
+  beforeAll(async () => {
+    pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-plugins-'));
+    await fs.writeFile(path.join(pluginsDir, 'signatures.js'), signaturesPlugin);
+    await fs.writeFile(path.join(pluginsDir, 'orders.js'), wsPlugin);
+    await fs.writeFile(path.join(pluginsDir, 'broken.js'), 'throw new Error("boom");');
+    await fs.writeFile(path.join(pluginsDir, 'notes.txt'), 'not a plugin');
+
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [apiConfig, wsConfig], pluginsDir }));
+
+    for (const config of [apiConfig, wsConfig]) {
+      expect(mockServer.configManager.validateConfiguration(config, true).errors).toEqual([]);
+    }
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.close());
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+    await fs.rm(pluginsDir, { recursive: true, force: true });
+  });
+
+  it('should match REST bodies with plugin matchers on the raw body', async () => {
+    const payload = JSON.stringify({ side: 'buy', amount: 1 });
+
+    const signed = await request(server.server)
+      .post('/orders')
+      .set('Content-Type', 'application/json')
+      .set('X-Signature', sign(payload))
+      .send(payload)
+      .expect(201);
+    expect(signed.body).toEqual({ side: 'BUY!' });
+
+    await request(server.server)
+      .post('/orders')
+      .set('Content-Type', 'application/json')
+      .set('X-Signature', sign('tampered'))
+      .send(payload)
+      .expect(401);
+  });
+
+  it('should run plugin matchers on requests without a body', async () => {
+    await request(server.server)
+      .post('/orders')
+      .expect(401);
+  });
+
+  it('should apply response transformers to REST responses', async () => {
+    const payload = JSON.stringify({ side: 'sell' });
+
+    const response = await request(server.server)
+      .post('/orders')
+      .set('Content-Type', 'application/json')
+      .set('X-Signature', sign(payload))
+      .send(payload)
+      .expect(201);
+
+    expect(response.headers['x-signature']).toBe(sign(JSON.stringify({ side: 'SELL!' })));
+  });
+
+  it('should match WebSocket messages with plugin matchers and transform responses', async () => {
+    const ws = await connect();
+
+    await send(ws, { op: 'login', account: 'acc-1' });
+
+    const review = await send(ws, { op: 'order', amount: 25 });
+    expect(review).toEqual({ data: { type: 'review', amount: 25, account: 'acc-1' } });
+
+    const filled = await send(ws, { op: 'order', amount: 2 });
+    expect(filled).toEqual({ type: 'filled' });
+  });
+
+  it('should list loaded plugins and the ones that failed', async () => {
+    const response = await request(server.server).get('/__admin/plugins').expect(200);
+
+    expect(response.body.plugins).toEqual([
+      { name: 'orders', file: 'orders.js', matchers: ['largeOrder'], helpers: [], transformers: ['envelope'] },
+      { name: 'signatures', file: 'signatures.js', matchers: ['hmacSignature'], helpers: ['shout'], transformers: ['signResponse'] }
+    ]);
+    expect(response.body.failed).toEqual([{ file: 'broken.js', error: 'boom' }]);
+  });
+
+  it('should replace plugin helpers on reload and skip plugins that fail partway', async () => {
+    const render = template => mockServer.templateEngine.process(template, {});
+    const builtInEq = render('{{eq 1 1}}');
+
+    await fs.writeFile(path.join(pluginsDir, 'shadow.js'), `
+      module.exports = ({ registerHelper }) => {
+        registerHelper('eq', () => 'shadowed');
+        registerHelper('temp', value => 'temp-' + value);
+      };
+    `);
+    await fs.writeFile(path.join(pluginsDir, 'partial.js'), `
+      module.exports = ({ registerMatcher, registerHelper }) => {
+        registerMatcher('halfway', () => true);
+        registerHelper('half', () => 'half');
+        throw new Error('partway');
+      };
+    `);
+
+    try {
+      mockServer.loadPlugins();
+      expect(render('{{eq 1 1}}')).toBe('shadowed');
+      expect(render('{{temp 1}}')).toBe('temp-1');
+      expect(mockServer.plugins.hasMatcher('halfway')).toBe(false);
+      expect(mockServer.plugins.hasHelper('half')).toBe(false);
+      expect(mockServer.templateEngine.helpers.half).toBeUndefined();
+      expect(mockServer.plugins.list().failed).toContainEqual({ file: 'partial.js', error: 'partway' });
+    } finally {
+      await fs.rm(path.join(pluginsDir, 'shadow.js'));
+      await fs.rm(path.join(pluginsDir, 'partial.js'));
+      mockServer.loadPlugins();
+    }
+
+    expect(render('{{eq 1 1}}')).toEqual(builtInEq);
+    expect(mockServer.templateEngine.helpers.temp).toBeUndefined();
+    expect(render("{{shout 'go'}}")).toBe('GO!');
+  });
+
+  it('should reject configurations naming unknown matchers or transformers', () => {
+    const ws = mockServer.configManager.validateConfiguration({
+      name: 'unknown-ws',
+      type: 'ws',
+      responseRules: [
+        { id: 'a', matcher: { type: 'custom', function: 'missing' }, response: { message: 'x', transformers: ['nope'] } }
+      ]
+    }, true);
+    expect(ws.errors).toEqual([
+      "Rule a: unknown custom matcher 'missing'",
+      "Rule a: unknown response transformer 'nope'"
+    ]);
+
+    const api = mockServer.configManager.validateConfiguration({
+      name: 'unknown-api',
+      type: 'api',
+      mappings: [{
+        id: 'm',
+        request: { method: 'POST', urlPath: '/x', bodyPatterns: [{ custom: 'missing' }] },
+        response: { status: 200, transformers: [{ name: 'nope' }] }
+      }]
+    }, true);
+    expect(api.errors).toEqual([
+      "Mapping m: unknown custom matcher 'missing'",
+      "Mapping m: unknown response transformer 'nope'"
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Price Series Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const config = {
+    name: 'ripio-ticker',
+    type: 'api',
+    series: {
+      'btc-brl': { start: 250000, volatility: 0.001, tickSize: 0.5, seed: 7, interval: 1000 },
+      'usdt-brl': { start: 5.2, volatility: 0.05, tickSize: 0.001, min: 5, max: 5.4, seed: 'peg' }
+    },
+    mappings: [
+      {
+        id: 'ticker',
+        request: { method: 'GET', urlPath: '/ripio/ticker/BTC_BRL' },
+        response: {
+          status: 200,
+          jsonBody: {
+            last: "{{series 'btc-brl'}}",
+            high: "{{series 'btc-brl' 'high'}}",
+            change: "{{series 'btc-brl' 'changePercent'}}"
+          }
+        }
+      },
+      {
+        id: 'usdt-ticker',
+        request: { method: 'GET', urlPath: '/ripio/ticker/USDT_BRL' },
+        response: { status: 200, jsonBody: { last: "{{series 'usdt-brl'}}" } }
+      }
+    ]
+  };
+
+  const advance = by => request(server.server).post('/__admin/clock/advance').send({ by }).expect(200);
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterAll(async () => {
+    mockServer.clock.reset();
+    if (server) {
+      await server.close();
+    }
+  });
+
+  beforeEach(async () => {
+    mockServer.clock.freeze(Date.parse('2030-01-01T00:00:00Z'));
+    await request(server.server).post('/__admin/series/reset').expect(200);
+  });
+
+  it('should start at the configured price and move only when time passes', async () => {
+    const first = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+    const again = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+    expect(first.body.last).toBe(250000);
+    expect(again.body.last).toBe(250000);
+
+    await advance('1s');
+    const moved = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+    expect(moved.body.last).not.toBe(250000);
+    expect(Math.abs(moved.body.last - 250000) / 250000).toBeLessThan(0.01);
+    expect(moved.body.last % 0.5).toBe(0);
+  });
+
+  it('should produce a continuous path within bounds', async () => {
+    let previous = 5.2;
+    for (let i = 0; i < 50; i++) {
+      await advance('1s');
+      const { body } = await request(server.server).get('/ripio/ticker/USDT_BRL').expect(200);
+      expect(body.last).toBeGreaterThanOrEqual(5);
+      expect(body.last).toBeLessThanOrEqual(5.4);
+      expect(Math.abs(body.last - previous)).toBeLessThan(1);
+      previous = body.last;
+    }
+  });
+
+  it('should share the current price between REST and scheduled messages', async () => {
+    const sent = [];
+    mockServer.schedulerService.scheduleMessage('ripio-feed', {
+      id: 'btc-feed',
+      interval: 5000,
+      message: { type: 'price_update', price: "{{series 'btc-brl'}}" }
+    }, (configName, message) => {
+      sent.push(message);
+      return { attempted: 1, successful: 1 };
+    });
+
+    await advance('5s');
+    mockServer.schedulerService.stopTask('ripio-feed:btc-feed');
+
+    const ticker = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].price).toBe(ticker.body.last);
+  });
+
+  it('should replay the same path after a reset', async () => {
+    await advance('10s');
+    const before = await request(server.server).get('/__admin/series/btc-brl').expect(200);
+    expect(before.body.steps).toBe(10);
+
+    await request(server.server).post('/__admin/series/btc-brl/reset').expect(200);
+    await advance('10s');
+    const after = await request(server.server).get('/__admin/series/btc-brl').expect(200);
+
+    expect(after.body.price).toBe(before.body.price);
+    expect(after.body.high).toBe(before.body.high);
+  });
+
+  it('should keep satoshi-sized ticks', async () => {
+    mockServer.priceSeries.define('eth-btc', { start: 0.05123456, volatility: 0.01, tickSize: 0.00000001, seed: 3 });
+
+    try {
+      expect(mockServer.priceSeries.get('eth-btc').price).toBe(0.05123456);
+
+      await advance('10s');
+      const { price } = mockServer.priceSeries.get('eth-btc');
+      expect(price).not.toBe(0.05123456);
+      expect(Math.abs(price - 0.05123456) / 0.05123456).toBeLessThan(0.2);
+      expect(Number((price * 1e8).toFixed(6)) % 1).toBe(0);
+    } finally {
+      mockServer.priceSeries.series.delete('eth-btc');
+    }
+  });
+
+  it('should force a price through the admin API', async () => {
+    const forced = await request(server.server).put('/__admin/series/btc-brl').send({ price: 200000 }).expect(200);
+    expect(forced.body.price).toBe(200000);
+    expect(forced.body.changePercent).toBe(-20);
+
+    const ticker = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+    expect(ticker.body.last).toBe(200000);
+
+    const list = await request(server.server).get('/__admin/series').expect(200);
+    expect(list.body.series.map(series => series.id)).toEqual(['btc-brl', 'usdt-brl']);
+
+    await request(server.server).get('/__admin/series/unknown').expect(404);
+    await request(server.server).put('/__admin/series/btc-brl').send({ price: -1 }).expect(400);
+  });
+
+  it('should reject series with inconsistent bounds', () => {
+    const validation = mockServer.configManager.validateConfiguration({
+      name: 'invalid-series',
+      type: 'api',
+      series: { broken: { start: 10, min: 20, max: 30 } },
+      mappings: []
+    }, true);
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toContain('Series broken: start must be within min and max');
+  });
+
+  it('should keep series declared by WebSocket configs merged onto /ws', () => {
+    const merged = { scheduledMessages: [], responseRules: [], connectionBehavior: null, _mergedConfigs: [] };
+    const feed = (name, start) => ({ name, type: 'ws', series: { 'btc-usdt': { start }, [name]: { start } } });
+
+    mockServer.configManager.mergeConfigIntoMaster(merged, feed('first', 100), 'root');
+    mockServer.configManager.mergeConfigIntoMaster(merged, feed('second', 200), 'root');
+
+    expect(merged.series).toEqual({
+      'btc-usdt': { start: 100 },
+      first: { start: 100 },
+      second: { start: 200 }
+    });
+  });
+});
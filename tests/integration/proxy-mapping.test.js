@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createRequire } from 'module';
+import { createTestServer } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const fastify = require('fastify');
+
+describe('Proxy Mapping Integration Tests', () => {
+  let mockServer;
+  let server;
+  let upstream;
+
+  beforeAll(async () => {
+    // Local stand-in for the Ripio sandbox
+    upstream = fastify();
+    upstream.get('/sandbox/ripio/ticker/:pair', async (req, reply) => reply
+      .header('x-upstream', 'sandbox')
+      .send({ pair: req.params.pair, last: 250000, stats: { volume: 10, high: 260000 } }));
+    upstream.post('/sandbox/ripio/orders', async (req, reply) => reply.code(201).send({ id: 'sandbox-order', ...req.body }));
+    upstream.delete('/sandbox/ripio/orders/:id', async (req, reply) => reply.code(204).send());
+    await upstream.listen({ port: 0, host: '127.0.0.1' });
+    const sandboxUrl = `http://127.0.0.1:${upstream.server.address().port}/sandbox`;
+
+    const config = {
+      name: 'ripio-passthrough',
+      type: 'api',
+      mappings: [
+        {
+          id: 'mocked-balance',
+          request: { method: 'GET', urlPath: '/ripio/balances' },
+          response: { status: 200, jsonBody: { source: 'mock' } }
+        },
+        {
+          id: 'ticker-with-overrides',
+          request: { method: 'GET', urlPathPattern: '/ripio/ticker/[A-Z_]+' },
+          response: {
+            proxyBaseUrl: sandboxUrl,
+            headers: { 'X-Mocked': 'true' },
+            jsonBody: { last: 1, stats: { high: 2 } }
+          }
+        },
+        {
+          id: 'ripio-passthrough',
+          request: { method: 'ANY', urlPathPattern: '/ripio/.*' },
+          response: { proxyBaseUrl: sandboxUrl }
+        },
+        {
+          id: 'broken-upstream',
+          request: { method: 'GET', urlPath: '/broken' },
+          response: { proxyBaseUrl: 'http://127.0.0.1:1', status: 200 }
+        }
+      ]
+    };
+
+    ({ server, mockServer } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+    if (upstream) {
+      await upstream.close();
+    }
+  });
+
+  it('should serve mocked endpoints locally', async () => {
+    const response = await request(server.server).get('/ripio/balances').expect(200);
+    expect(response.body.source).toBe('mock');
+  });
+
+  it('should pass any method through to the upstream', async () => {
+    const created = await request(server.server).post('/ripio/orders').send({ side: 'buy' }).expect(201);
+    expect(created.body).toEqual({ id: 'sandbox-order', side: 'buy' });
+
+    await request(server.server).delete('/ripio/orders/sandbox-order').expect(204);
+  });
+
+  it('should apply header and JSON body overrides on top of the upstream response', async () => {
+    const response = await request(server.server).get('/ripio/ticker/BTC_BRL').expect(200);
+
+    expect(response.headers['x-upstream']).toBe('sandbox');
+    expect(response.headers['x-mocked']).toBe('true');
+    expect(response.body).toEqual({ pair: 'BTC_BRL', last: 1, stats: { volume: 10, high: 2 } });
+  });
+
+  it('should answer 502 when the upstream fails', async () => {
+    const response = await request(server.server).get('/broken').expect(502);
+    expect(response.body.error).toBe('Bad Gateway');
+  });
+
+  it('should replace non-JSON bodies and status', () => {
+    const result = mockServer.proxyHandler.applyResponseOverrides(
+      { status: 200, headers: { 'content-type': 'application/json' }, jsonBody: { a: 1 } },
+      { status: 503, body: 'maintenance' }
+    );
+
+    expect(result).toEqual({
+      status: 503,
+      headers: { 'content-type': 'application/json' },
+      body: 'maintenance'
+    });
+  });
+
+  it('should carry the other response fields through', () => {
+    const transformers = [{ name: 'signResponse', options: { secret: 's3cr3t' } }];
+    const result = mockServer.proxyHandler.applyResponseOverrides(
+      { status: 200, headers: {}, jsonBody: { a: 1 } },
+      { delay: 10, transformers }
+    );
+
+    expect(result).toEqual({ status: 200, headers: {}, jsonBody: { a: 1 }, delay: 10, transformers });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import path from 'path';
+import { createTestServer } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const fastify = require('fastify');
+
+describe('Proxy Recording Integration Tests', () => {
+  let mockServer;
+  let server;
+  let upstream;
+  let upstreamUrl;
+
+  const outputDir = `.recordings-test-${process.pid}`;
+
+  const localConfig = {
+    name: 'local-config',
+    type: 'api',
+    mappings: [
+      {
+        id: 'local-balance',
+        request: { method: 'GET', urlPath: '/balance' },
+        response: { status: 200, jsonBody: { source: 'mock' } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    // Local stand-in for the real upstream API
+    upstream = fastify();
+    upstream.get('/ripio/ticker/:pair', async (req) => ({ pair: req.params.pair, last: 250000, query: req.query }));
+    upstream.post('/ripio/orders', async (req, reply) => reply.code(201).send({ id: 'order-1', ...req.body }));
+    upstream.get('/ripio/health', async (req, reply) => reply.type('text/plain').send('OK'));
+    await upstream.listen({ port: 0, host: '127.0.0.1' });
+    upstreamUrl = `http://127.0.0.1:${upstream.server.address().port}`;
+
+    ({ server, mockServer } = await createTestServer({ configs: [localConfig] }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+    if (upstream) {
+      await upstream.close();
+    }
+    fs.rmSync(path.join(process.cwd(), outputDir), { recursive: true, force: true });
+  });
+
+  it('should not forward unmatched requests when not recording', async () => {
+    await request(server.server).get('/ripio/ticker/BTC_BRL').expect(404);
+
+    const status = await request(server.server).get('/__admin/recordings/status').expect(200);
+    expect(status.body.recording).toBe(false);
+  });
+
+  it('should accept any content type on mock routes only', async () => {
+    // Unmatched, so 404 rather than 415
+    await request(server.server)
+      .post('/ripio/orders')
+      .set('Content-Type', 'application/xml')
+      .send('<order side="sell"/>')
+      .expect(404);
+
+    const admin = await request(server.server)
+      .post('/__admin/recordings/start')
+      .set('Content-Type', 'application/xml')
+      .send('<recording/>')
+      .expect(415);
+    expect(admin.body.code).toBe('FST_ERR_CTP_INVALID_MEDIA_TYPE');
+
+    mockServer.requestJournal.clear();
+  });
+
+  it('should reject invalid recording options', async () => {
+    await request(server.server).post('/__admin/recordings/start').send({}).expect(400);
+    await request(server.server)
+      .post('/__admin/recordings/start')
+      .send({ targetBaseUrl: upstreamUrl, outputDir: '../outside' })
+      .expect(400);
+    await request(server.server)
+      .post('/__admin/recordings/start')
+      .send({ targetBaseUrl: upstreamUrl, name: '../../../tmp/x', outputDir })
+      .expect(400);
+    await request(server.server).post('/__admin/recordings/stop').expect(409);
+  });
+
+  it('should proxy unmatched requests, record them and write a valid mock file', async () => {
+    await request(server.server)
+      .post('/__admin/recordings/start')
+      .send({ targetBaseUrl: upstreamUrl, name: 'ripio-recorded', outputDir })
+      .expect(200);
+
+    await request(server.server).post('/__admin/recordings/start').send({ targetBaseUrl: upstreamUrl }).expect(409);
+
+    const ticker = await request(server.server).get('/ripio/ticker/BTC_BRL?depth=1').expect(200);
+    expect(ticker.body).toEqual({ pair: 'BTC_BRL', last: 250000, query: { depth: '1' } });
+
+    const order = await request(server.server).post('/ripio/orders').send({ side: 'sell' }).expect(201);
+    expect(order.body).toEqual({ id: 'order-1', side: 'sell' });
+
+    const health = await request(server.server).get('/ripio/health').expect(200);
+    expect(health.text).toBe('OK');
+
+    // Matched requests are still served by the mock
+    const balance = await request(server.server).get('/balance').expect(200);
+    expect(balance.body.source).toBe('mock');
+
+    const status = await request(server.server).get('/__admin/recordings/status').expect(200);
+    expect(status.body).toMatchObject({ recording: true, name: 'ripio-recorded', mappings: 3 });
+
+    const stopped = await request(server.server).post('/__admin/recordings/stop').expect(200);
+    expect(stopped.body).toMatchObject({ name: 'ripio-recorded', mappings: 3, valid: true });
+
+    const written = JSON.parse(fs.readFileSync(path.join(process.cwd(), stopped.body.file), 'utf8'));
+    expect(written.type).toBe('api');
+    expect(mockServer.configManager.validateConfiguration(written, true).isValid).toBe(true);
+
+    const [tickerMapping, orderMapping, healthMapping] = written.mappings;
+    expect(tickerMapping.request).toEqual({
+      method: 'GET',
+      urlPath: '/ripio/ticker/BTC_BRL',
+      queryParameters: { depth: { equals: '1' } }
+    });
+    expect(tickerMapping.response.jsonBody.last).toBe(250000);
+    expect(orderMapping.request.bodyPatterns).toEqual([{ equalToJson: { side: 'sell' } }]);
+    expect(orderMapping.response.status).toBe(201);
+    expect(healthMapping.response.body).toBe('OK');
+
+    const journal = await request(server.server)
+      .post('/__admin/requests/find')
+      .send({ urlPath: '/ripio/orders' })
+      .expect(200);
+    expect(journal.body.requests[0].proxied).toBe(true);
+  });
+
+  it('should not overwrite a mock file from an earlier recording', async () => {
+    const earlier = path.join(process.cwd(), outputDir, 'daily.json');
+    fs.mkdirSync(path.dirname(earlier), { recursive: true });
+    fs.writeFileSync(earlier, '{}');
+
+    await request(server.server)
+      .post('/__admin/recordings/start')
+      .send({ targetBaseUrl: upstreamUrl, name: 'daily', outputDir })
+      .expect(200);
+    await request(server.server).get('/ripio/health').expect(200);
+
+    const stopped = await request(server.server).post('/__admin/recordings/stop').expect(200);
+    expect(stopped.body).toMatchObject({ name: 'daily-2', file: path.join(outputDir, 'daily-2.json'), mappings: 1 });
+    expect(JSON.parse(fs.readFileSync(path.join(process.cwd(), stopped.body.file), 'utf8')).name).toBe('daily-2');
+    expect(fs.readFileSync(earlier, 'utf8')).toBe('{}');
+  });
+
+  it('should answer 502 when the upstream is unreachable', async () => {
+    await request(server.server)
+      .post('/__admin/recordings/start')
+      .send({ targetBaseUrl: 'http://127.0.0.1:1', name: 'unreachable', outputDir })
+      .expect(200);
+
+    const response = await request(server.server).get('/anything').expect(502);
+    expect(response.body.error).toBe('Bad Gateway');
+
+    const stopped = await request(server.server).post('/__admin/recordings/stop').expect(200);
+    expect(stopped.body.mappings).toBe(0);
+    expect(stopped.body.file).toBeNull();
+  });
+
+  it('should keep the recording when the mock file cannot be written', async () => {
+    // A file where the output directory should be makes mkdir fail
+    const blocked = `${outputDir}-blocked`;
+    fs.writeFileSync(path.join(process.cwd(), blocked), '');
+
+    try {
+      await request(server.server)
+        .post('/__admin/recordings/start')
+        .send({ targetBaseUrl: upstreamUrl, name: 'blocked', outputDir: blocked })
+        .expect(200);
+      await request(server.server).get('/ripio/health').expect(200);
+
+      await request(server.server).post('/__admin/recordings/stop').expect(500);
+
+      const status = await request(server.server).get('/__admin/recordings/status').expect(200);
+      expect(status.body).toMatchObject({ recording: true, name: 'blocked', mappings: 1 });
+    } finally {
+      mockServer.proxyHandler.recording = null;
+      fs.rmSync(path.join(process.cwd(), blocked), { force: true });
+    }
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createRequire } from 'module';
+import { createTestServer, testLogger } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+describe('Request Journal Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const ordersConfig = {
+    name: 'journal-orders',
+    type: 'api',
+    mappings: [
+      {
+        id: 'place-order',
+        request: { method: 'POST', urlPath: '/orders' },
+        response: { status: 201, jsonBody: { id: 'order-1', side: '{{request.body.side}}' } }
+      },
+      {
+        id: 'get-ticker',
+        request: {
+          method: 'GET',
+          urlPath: '/ticker',
+          headers: { 'X-API-KEY': { matches: '.+' } }
+        },
+        response: { status: 200, jsonBody: { price: 100 } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [ordersConfig] }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  beforeEach(() => {
+    mockServer.requestJournal.clear();
+  });
+
+  it('should record matched requests with their response and mapping', async () => {
+    await request(server.server).post('/orders').send({ side: 'sell' }).expect(201);
+
+    const response = await request(server.server).get('/__admin/requests').expect(200);
+
+    expect(response.body.total).toBe(1);
+    const entry = response.body.requests[0];
+    expect(entry.matched).toBe(true);
+    expect(entry.mappingId).toBe('place-order');
+    expect(entry.configName).toBe('journal-orders');
+    expect(entry.request.body).toEqual({ side: 'sell' });
+    expect(entry.response.status).toBe(201);
+    expect(entry.response.body).toEqual({ id: 'order-1', side: 'sell' });
+
+    const single = await request(server.server).get(`/__admin/requests/${entry.id}`).expect(200);
+    expect(single.body.id).toBe(entry.id);
+  });
+
+  it('should record unmatched and partially matched requests', async () => {
+    await request(server.server).get('/unknown').expect(404);
+    await request(server.server).get('/ticker').expect(400);
+
+    const response = await request(server.server)
+      .get('/__admin/requests?matched=false')
+      .expect(200);
+
+    expect(response.body.requests.map(entry => entry.response.status)).toEqual([404, 400]);
+    expect(response.body.requests.every(entry => entry.mappingId === null)).toBe(true);
+  });
+
+  it('should count requests by method, path and body JSONPath', async () => {
+    await request(server.server).post('/orders').send({ side: 'sell' }).expect(201);
+    await request(server.server).post('/orders').send({ side: 'buy' }).expect(201);
+    await request(server.server).post('/orders').send({ side: 'sell' }).expect(201);
+
+    const response = await request(server.server)
+      .post('/__admin/requests/count')
+      .send({
+        method: 'POST',
+        urlPath: '/orders',
+        bodyPatterns: [{ matchesJsonPath: { expression: '$.side', equals: 'sell' } }]
+      })
+      .expect(200);
+
+    expect(response.body.count).toBe(2);
+  });
+
+  it('should find requests by headers', async () => {
+    await request(server.server).get('/ticker').set('X-API-KEY', 'key-1').expect(200);
+    await request(server.server).get('/ticker').set('X-API-KEY', 'key-2').expect(200);
+
+    const response = await request(server.server)
+      .post('/__admin/requests/find')
+      .send({ headers: { 'X-API-KEY': { equalTo: 'key-2' } } })
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.requests[0].request.headers['x-api-key']).toBe('key-2');
+  });
+
+  it('should reject invalid patterns with 400', async () => {
+    await request(server.server).get('/ticker').set('X-API-KEY', 'key-1').expect(200);
+
+    const listed = await request(server.server).get('/__admin/requests?urlPathPattern=(').expect(400);
+    expect(listed.body.message).toMatch(/^Invalid urlPathPattern/);
+
+    await request(server.server).post('/__admin/requests/find').send({ urlPathPattern: '(' }).expect(400);
+    await request(server.server).post('/__admin/requests/count').send({ urlPathPattern: '[' }).expect(400);
+    await request(server.server)
+      .post('/__admin/requests/count')
+      .send({ headers: { 'X-API-KEY': { matches: '*' } } })
+      .expect(400);
+
+    const valid = await request(server.server).post('/__admin/requests/count').send({ urlPathPattern: '^/tick' }).expect(200);
+    expect(valid.body.count).toBe(1);
+  });
+
+  it('should not record admin traffic and should clear the journal', async () => {
+    await request(server.server).get('/__admin/mappings').expect(200);
+    await request(server.server).post('/orders').send({}).expect(201);
+
+    const cleared = await request(server.server).delete('/__admin/requests').expect(200);
+    expect(cleared.body.removed).toBe(1);
+
+    const response = await request(server.server).get('/__admin/requests').expect(200);
+    expect(response.body.total).toBe(0);
+  });
+
+  it('should stamp entries with the virtual clock', async () => {
+    mockServer.clock.freeze(Date.parse('2030-01-15T10:00:00Z'));
+    try {
+      await request(server.server).post('/orders').send({}).expect(201);
+    } finally {
+      mockServer.clock.reset();
+    }
+
+    const response = await request(server.server).get('/__admin/requests').expect(200);
+    expect(response.body.requests[0].timestamp).toBe('2030-01-15T10:00:00.000Z');
+  });
+
+  it('should drop the oldest entries beyond the journal size', () => {
+    const RequestJournal = require('../../src/modules/RequestJournal');
+    const journal = new RequestJournal(testLogger, mockServer.apiRequestMatcher, { maxEntries: 2 });
+
+    ['req-a', 'req-b', 'req-c'].forEach(correlationId => {
+      journal.record({ method: 'GET', url: '/x', headers: {} }, {
+        correlationId,
+        response: { status: 200 },
+        processingTime: 0
+      });
+    });
+
+    expect(journal.getAll().map(entry => entry.id)).toEqual(['req-b', 'req-c']);
+  });
+});
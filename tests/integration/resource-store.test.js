@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Resource Store Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const storeConfig = {
+    name: 'orders-store',
+    type: 'api',
+    mappings: [
+      {
+        id: 'orders',
+        request: { urlPath: '/store/orders' },
+        resource: {
+          name: 'orders',
+          idTemplate: 'order-{{random.number(1000,9999)}}',
+          defaults: { status: 'open' },
+          seed: [
+            { id: 'seed-1', pair: 'BTC_BRL', status: 'open' },
+            { id: 'seed-2', pair: 'ETH_BRL', status: 'executed' }
+          ],
+          envelope: 'data',
+          envelopeFields: { success: true }
+        }
+      },
+      {
+        id: 'users',
+        request: { urlPath: '/store/users' },
+        resource: {}
+      },
+      {
+        id: 'orders-summary',
+        request: { method: 'GET', urlPath: '/store/orders/summary' },
+        response: { status: 200, jsonBody: { summary: true } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [storeConfig] }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  beforeEach(() => {
+    mockServer.resourceStore.reset();
+  });
+
+  it('should list seed records with envelope and pagination', async () => {
+    const response = await request(server.server)
+      .get('/store/orders')
+      .expect(200);
+
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.map(order => order.id)).toEqual(['seed-1', 'seed-2']);
+    expect(response.body.pagination).toEqual({ total: 2, limit: 50, offset: 0 });
+  });
+
+  it('should filter and paginate lists', async () => {
+    const filtered = await request(server.server)
+      .get('/store/orders?status=executed')
+      .expect(200);
+    expect(filtered.body.data.map(order => order.id)).toEqual(['seed-2']);
+
+    const page = await request(server.server)
+      .get('/store/orders?limit=1&offset=1')
+      .expect(200);
+    expect(page.body.data.map(order => order.id)).toEqual(['seed-2']);
+    expect(page.body.pagination).toEqual({ total: 2, limit: 1, offset: 1 });
+  });
+
+  it('should create, read, update and delete a record', async () => {
+    const created = await request(server.server)
+      .post('/store/orders')
+      .send({ pair: 'BTC_BRL', side: 'buy' })
+      .expect(201);
+
+    const id = created.body.data.id;
+    expect(id).toMatch(/^order-\d{4}$/);
+    expect(created.body.data.status).toBe('open');
+
+    const read = await request(server.server).get(`/store/orders/${id}`).expect(200);
+    expect(read.body.data.side).toBe('buy');
+
+    const patched = await request(server.server)
+      .patch(`/store/orders/${id}`)
+      .send({ status: 'cancelled', id: 'ignored' })
+      .expect(200);
+    expect(patched.body.data).toMatchObject({ id, pair: 'BTC_BRL', status: 'cancelled' });
+
+    const replaced = await request(server.server)
+      .put(`/store/orders/${id}`)
+      .send({ pair: 'ETH_BRL' })
+      .expect(200);
+    expect(replaced.body.data).toEqual({ id, pair: 'ETH_BRL' });
+
+    await request(server.server).delete(`/store/orders/${id}`).expect(204);
+    await request(server.server).get(`/store/orders/${id}`).expect(404);
+  });
+
+  it('should reject duplicate ids and non-object bodies', async () => {
+    await request(server.server)
+      .post('/store/orders')
+      .send({ id: 'seed-1' })
+      .expect(409);
+
+    await request(server.server)
+      .post('/store/orders')
+      .send([1, 2])
+      .expect(400);
+  });
+
+  it('should not match record ids with malformed escapes', async () => {
+    const mapping = storeConfig.mappings[0];
+    expect(mockServer.resourceStore.parseTarget('/store/orders', '/store/orders/%E0%A4%A')).toBeNull();
+    expect(mockServer.resourceStore.matches({ method: 'GET' }, mapping, '/store/orders/%E0%A4%A')).toBe(false);
+
+    const response = await request(server.server).get('/store/orders/%E0%A4%A');
+    expect(response.status).toBeLessThan(500);
+  });
+
+  it('should answer 405 for methods the collection does not support', async () => {
+    const onCollection = await request(server.server).delete('/store/orders').expect(405);
+    expect(onCollection.headers.allow).toBe('GET, POST');
+    expect(onCollection.body.message).toBe('DELETE is not supported on the orders collection');
+
+    const onRecord = await request(server.server).post('/store/orders/seed-1').send({}).expect(405);
+    expect(onRecord.headers.allow).toBe('GET, PUT, PATCH, DELETE');
+  });
+
+  it('should return plain arrays without an envelope', async () => {
+    await request(server.server).post('/store/users').send({ id: 'u1', name: 'Ana' }).expect(201);
+
+    const response = await request(server.server).get('/store/users').expect(200);
+    expect(response.body).toEqual([{ id: 'u1', name: 'Ana' }]);
+  });
+
+  it('should keep exact path mappings ahead of resource records', async () => {
+    const response = await request(server.server)
+      .get('/store/orders/summary')
+      .expect(200);
+
+    expect(response.body).toEqual({ summary: true });
+  });
+
+  it('should list configured collections before their first request', async () => {
+    const list = await request(server.server).get('/__admin/resources').expect(200);
+    expect(list.body.resources).toEqual([
+      { name: 'orders', count: 2 },
+      { name: 'users', count: 0 }
+    ]);
+
+    const records = await request(server.server).get('/__admin/resources/orders').expect(200);
+    expect(records.body.records.map(record => record.id)).toEqual(['seed-1', 'seed-2']);
+
+    await request(server.server).delete('/__admin/resources/users').expect(200);
+  });
+
+  it('should inspect and reset collections through the admin API', async () => {
+    await request(server.server).post('/store/orders').send({ pair: 'SOL_BRL' }).expect(201);
+
+    const list = await request(server.server).get('/__admin/resources').expect(200);
+    expect(list.body.resources).toContainEqual({ name: 'orders', count: 3 });
+
+    const records = await request(server.server).get('/__admin/resources/orders').expect(200);
+    expect(records.body.count).toBe(3);
+
+    await request(server.server).delete('/__admin/resources/orders').expect(200);
+
+    const afterReset = await request(server.server).get('/store/orders').expect(200);
+    expect(afterReset.body.pagination.total).toBe(2);
+
+    await request(server.server).get('/__admin/resources/unknown').expect(404);
+  });
+});
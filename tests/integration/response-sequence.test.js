@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Response Sequence Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const retryConfig = {
+    name: 'order-retries',
+    type: 'api',
+    mappings: [
+      {
+        id: 'place-order-retry',
+        request: { method: 'POST', urlPath: '/orders' },
+        responses: [
+          { status: 500, jsonBody: { error: 'Internal Server Error' } },
+          { status: 503, jsonBody: { error: 'Service Unavailable' } },
+          { status: 201, jsonBody: { id: 'order-1' } }
+        ]
+      },
+      {
+        id: 'ticker-cycle',
+        request: { method: 'GET', urlPath: '/ticker' },
+        responseMode: 'cycle',
+        responses: [
+          { status: 200, jsonBody: { last: 1 } },
+          { status: 200, jsonBody: { last: 2 } }
+        ]
+      },
+      {
+        id: 'flaky-random',
+        request: { method: 'GET', urlPath: '/flaky' },
+        responseMode: 'random',
+        responses: [
+          { status: 200, weight: 3 },
+          { status: 500, weight: 1 }
+        ]
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [retryConfig] }));
+    expect(mockServer.configManager.validateConfiguration(retryConfig, true).isValid).toBe(true);
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  beforeEach(() => {
+    mockServer.responseSequencer.reset();
+  });
+
+  it('should return responses in sequence and stay on the last one', async () => {
+    await request(server.server).post('/orders').send({}).expect(500);
+    await request(server.server).post('/orders').send({}).expect(503);
+    await request(server.server).post('/orders').send({}).expect(201);
+    await request(server.server).post('/orders').send({}).expect(201);
+  });
+
+  it('should cycle through responses', async () => {
+    const bodies = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await request(server.server).get('/ticker').expect(200);
+      bodies.push(response.body.last);
+    }
+
+    expect(bodies).toEqual([1, 2, 1]);
+  });
+
+  it('should only return weighted responses in random mode', async () => {
+    for (let i = 0; i < 10; i++) {
+      const response = await request(server.server).get('/flaky');
+      expect([200, 500]).toContain(response.status);
+    }
+  });
+
+  it('should list and reset counters through the admin API', async () => {
+    await request(server.server).post('/orders').send({}).expect(500);
+    await request(server.server).post('/orders').send({}).expect(503);
+
+    const list = await request(server.server).get('/__admin/sequences').expect(200);
+    expect(list.body.sequences).toContainEqual({
+      id: 'place-order-retry',
+      mode: 'sequence',
+      responses: 3,
+      calls: 2,
+      nextIndex: 2
+    });
+
+    const reset = await request(server.server)
+      .post('/__admin/sequences/place-order-retry/reset')
+      .expect(200);
+    expect(reset.body.calls).toBe(0);
+
+    await request(server.server).post('/orders').send({}).expect(500);
+
+    await request(server.server).post('/__admin/sequences/unknown/reset').expect(404);
+    await request(server.server).post('/__admin/sequences/reset').send({ id: 'unknown' }).expect(404);
+  });
+
+  it('should reset mappings without an id by their location key', async () => {
+    // Mock files in subdirectories give keys like "exchange/order-retries#0"
+    mockServer.registerApiHandlers(server, {
+      name: 'balance-retries',
+      _location: 'exchange/balance-retries',
+      type: 'api',
+      mappings: [{
+        request: { method: 'GET', urlPath: '/balance' },
+        responses: [{ status: 503 }, { status: 200 }]
+      }]
+    });
+    mockServer.sortApiMappingsByPriority();
+
+    await request(server.server).get('/balance').expect(503);
+
+    const reset = await request(server.server)
+      .post('/__admin/sequences/reset')
+      .send({ id: 'exchange/balance-retries#0' })
+      .expect(200);
+    expect(reset.body).toMatchObject({ id: 'exchange/balance-retries#0', calls: 0 });
+
+    await request(server.server).get('/balance').expect(503);
+  });
+
+  it('should reject mappings combining response and responses', () => {
+    const validation = mockServer.configManager.validateConfiguration({
+      name: 'invalid',
+      type: 'api',
+      mappings: [{
+        request: { urlPath: '/x' },
+        response: { status: 200 },
+        responses: [{ status: 200 }]
+      }]
+    }, true);
+
+    expect(validation.isValid).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Stateful Scenario Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const orderConfig = {
+    name: 'order-lifecycle',
+    type: 'api',
+    mappings: [
+      {
+        id: 'place-order',
+        scenarioName: 'order-flow',
+        newScenarioState: 'Pending',
+        request: { method: 'POST', urlPath: '/orders' },
+        response: { status: 201, jsonBody: { id: 'order-1', status: 'pending' } }
+      },
+      {
+        id: 'get-order-pending',
+        scenarioName: 'order-flow',
+        requiredScenarioState: 'Pending',
+        newScenarioState: 'Filled',
+        request: { method: 'GET', urlPath: '/orders/order-1' },
+        response: { status: 200, jsonBody: { id: 'order-1', status: 'pending' } }
+      },
+      {
+        id: 'get-order-filled',
+        scenarioName: 'order-flow',
+        requiredScenarioState: 'Filled',
+        request: { method: 'GET', urlPath: '/orders/order-1' },
+        response: { status: 200, jsonBody: { id: 'order-1', status: 'filled' } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [orderConfig] }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  beforeEach(() => {
+    mockServer.scenarioStateManager.reset();
+  });
+
+  it('should not match state-bound mappings before the scenario starts', async () => {
+    await request(server.server)
+      .get('/orders/order-1')
+      .expect(404);
+  });
+
+  it('should walk through the scenario states', async () => {
+    await request(server.server).post('/orders').send({ side: 'sell' }).expect(201);
+
+    const pending = await request(server.server).get('/orders/order-1').expect(200);
+    expect(pending.body.status).toBe('pending');
+
+    const filled = await request(server.server).get('/orders/order-1').expect(200);
+    expect(filled.body.status).toBe('filled');
+
+    // Final state has no transition, so it keeps answering 'filled'
+    const again = await request(server.server).get('/orders/order-1').expect(200);
+    expect(again.body.status).toBe('filled');
+  });
+
+  it('should list scenarios with current and possible states', async () => {
+    await request(server.server).post('/orders').send({}).expect(201);
+
+    const response = await request(server.server)
+      .get('/__admin/scenarios')
+      .expect(200);
+
+    expect(response.body.scenarios).toEqual([
+      {
+        name: 'order-flow',
+        state: 'Pending',
+        possibleStates: ['Started', 'Pending', 'Filled'],
+        mappings: ['place-order', 'get-order-pending', 'get-order-filled']
+      }
+    ]);
+  });
+
+  it('should set and reset scenario state through the admin API', async () => {
+    await request(server.server)
+      .put('/__admin/scenarios/order-flow/state')
+      .send({ state: 'Filled' })
+      .expect(200);
+
+    const filled = await request(server.server).get('/orders/order-1').expect(200);
+    expect(filled.body.status).toBe('filled');
+
+    const reset = await request(server.server)
+      .post('/__admin/scenarios/order-flow/reset')
+      .expect(200);
+    expect(reset.body.state).toBe('Started');
+
+    await request(server.server).get('/orders/order-1').expect(404);
+  });
+
+  it('should reject state updates without a state', async () => {
+    await request(server.server)
+      .put('/__admin/scenarios/order-flow/state')
+      .send({})
+      .expect(400);
+  });
+
+  it('should return 404 for unknown scenarios', async () => {
+    await request(server.server)
+      .get('/__admin/scenarios/unknown')
+      .expect(404);
+  });
+});
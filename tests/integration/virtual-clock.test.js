@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createTestServer } from '../helpers/server.js';
+
+describe('Virtual Clock Integration Tests', () => {
+  let mockServer;
+  let server;
+
+  const config = {
+    name: 'ripio-clock',
+    type: 'api',
+    mappings: [
+      {
+        id: 'server-time',
+        request: { method: 'GET', urlPath: '/ripio/time' },
+        response: {
+          status: 200,
+          jsonBody: { iso: '{{timestamp}}', epoch: '{{date.now}}', day: '{{date.format(YYYY-MM-DD)}}' }
+        }
+      },
+      {
+        id: 'slow-order',
+        request: { method: 'POST', urlPath: '/ripio/orders' },
+        response: { status: 201, delay: 30000, jsonBody: { placedAt: '{{timestamp}}' } }
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterAll(async () => {
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+    if (server) {
+      await server.close();
+    }
+  });
+
+  afterEach(async () => {
+    await request(server.server).post('/__admin/clock/reset').expect(200);
+  });
+
+  it('should render date templates from a frozen clock', async () => {
+    const frozen = await request(server.server)
+      .post('/__admin/clock/freeze')
+      .send({ time: '2030-01-15T10:00:00.000Z' })
+      .expect(200);
+    expect(frozen.body.frozen).toBe(true);
+
+    const response = await request(server.server).get('/ripio/time').expect(200);
+    expect(response.body.iso).toBe('2030-01-15T10:00:00.000Z');
+    expect(response.body.epoch).toBe(Date.parse('2030-01-15T10:00:00.000Z'));
+    expect(response.body.day).toMatch(/^2030-01-1[45]$/);
+  });
+
+  it('should set, offset and advance the clock', async () => {
+    await request(server.server).post('/__admin/clock/freeze').expect(200);
+    await request(server.server).put('/__admin/clock').send({ time: '2030-06-01T00:00:00Z' }).expect(200);
+
+    const advanced = await request(server.server).post('/__admin/clock/advance').send({ by: '1h30m' }).expect(200);
+    expect(advanced.body.now).toBe('2030-06-01T01:30:00.000Z');
+
+    await request(server.server).post('/__admin/clock/reset').expect(200);
+    const offset = await request(server.server).post('/__admin/clock/offset').send({ offset: '-1d' }).expect(200);
+    expect(offset.body.frozen).toBe(false);
+    expect(Math.abs(Date.now() - 86400000 - offset.body.epochMs)).toBeLessThan(5000);
+  });
+
+  it('should hold delayed responses until the clock passes the delay', async () => {
+    await request(server.server).post('/__admin/clock/freeze').send({ time: 1900000000000 }).expect(200);
+
+    let settled = false;
+    const pending = request(server.server).post('/ripio/orders').send({}).then(response => {
+      settled = true;
+      return response;
+    });
+
+    // Wait until the delay timer is registered on the clock
+    for (let i = 0; i < 50 && mockServer.clock.getStatus().pendingTimers === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(settled).toBe(false);
+
+    await request(server.server).post('/__admin/clock/advance').send({ by: '30s' }).expect(200);
+    const response = await pending;
+
+    expect(response.status).toBe(201);
+    expect(response.body.placedAt).toBe(new Date(1900000030000).toISOString());
+  });
+
+  it('should run timers that are already due while frozen', async () => {
+    await request(server.server).post('/__admin/clock/freeze').expect(200);
+
+    const fired = [];
+    mockServer.clock.setTimeout(() => fired.push('now'), 0);
+    mockServer.clock.setTimeout(() => fired.push('later'), 1000);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(fired).toEqual(['now']);
+    expect(mockServer.clock.getStatus().pendingTimers).toBe(1);
+  });
+
+  it('should fire scheduled messages when the clock is advanced', async () => {
+    await request(server.server).post('/__admin/clock/freeze').send({ time: '2030-01-01T00:00:00Z' }).expect(200);
+
+    const sent = [];
+    mockServer.schedulerService.scheduleMessage('ripio-candles', {
+      id: 'candle-close',
+      interval: 60000,
+      message: { type: 'candle', closedAt: '{{timestamp}}' }
+    }, (configName, message) => {
+      sent.push(message);
+      return { attempted: 1, successful: 1 };
+    });
+
+    await request(server.server).post('/__admin/clock/advance').send({ by: '3m' }).expect(200);
+    mockServer.schedulerService.stopTask('ripio-candles:candle-close');
+
+    expect(sent.map(message => message.closedAt)).toEqual([
+      '2030-01-01T00:01:00.000Z',
+      '2030-01-01T00:02:00.000Z',
+      '2030-01-01T00:03:00.000Z'
+    ]);
+  });
+
+  it('should reject invalid clock requests', async () => {
+    await request(server.server).put('/__admin/clock').send({ time: 'not-a-date' }).expect(400);
+    await request(server.server).post('/__admin/clock/advance').send({ by: '5 minutes' }).expect(400);
+    await request(server.server).post('/__admin/clock/advance').send({ by: '-5m' }).expect(400);
+  });
+});
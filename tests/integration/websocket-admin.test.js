@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Admin Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const config = {
+    name: 'orders-feed',
+    type: 'ws',
+    path: '/ws/orders',
+    connectionBehavior: {
+      session: { user: 'anonymous' }
+    },
+    subscriptions: {
+      subscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe' },
+        topic: '{{message.topic}}'
+      }
+    },
+    responseRules: [
+      {
+        id: 'login',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'auth' },
+        setSession: { user: '{{message.user}}' },
+        response: { message: { type: 'auth_ok' } }
+      }
+    ]
+  };
+
+  // Text messages are sent as-is, objects as JSON
+  const parse = data => {
+    try {
+      return JSON.parse(data.toString());
+    } catch {
+      return data.toString();
+    }
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/orders`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(parse(data)));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // Send a message and wait for its reply
+  const send = async (ws, message) => {
+    const expected = ws.received.length + 1;
+    ws.send(JSON.stringify(message));
+    await waitFor(() => ws.received.length >= expected);
+  };
+
+  const listConnections = async (query = '') => {
+    const response = await request(server.server).get(`/__admin/ws/connections${query}`).expect(200);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.close());
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should list live connections with their subscriptions and session', async () => {
+    const alice = await connect();
+    await connect();
+    await send(alice, { op: 'auth', user: 'alice' });
+    await send(alice, { op: 'subscribe', topic: 'orders:alice' });
+
+    const all = await listConnections();
+    expect(all.total).toBe(2);
+
+    const subscribed = await listConnections('?topic=orders:alice');
+    expect(subscribed.total).toBe(1);
+    expect(subscribed.connections[0]).toMatchObject({
+      configName: 'orders-feed',
+      path: '/ws/orders',
+      subscriptions: ['orders:alice'],
+      session: { user: 'alice' },
+      messageCount: { sent: 2, received: 2 }
+    });
+
+    const single = await request(server.server).get(`/__admin/ws/connections/${subscribed.connections[0].id}`).expect(200);
+    expect(single.body.id).toBe(subscribed.connections[0].id);
+
+    await request(server.server).get('/__admin/ws/connections/missing').expect(404);
+  });
+
+  it('should push a templated message to one connection', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await send(alice, { op: 'auth', user: 'alice' });
+
+    const [connection] = (await listConnections()).connections.filter(c => c.session.user === 'alice');
+    const response = await request(server.server)
+      .post(`/__admin/ws/connections/${connection.id}/send`)
+      .send({ message: { type: 'order_filled', owner: '{{session.user}}', connection: '{{connection.id}}' } })
+      .expect(200);
+
+    expect(response.body).toEqual({ sent: 1, failed: 0, connections: [connection.id] });
+    await waitFor(() => alice.received.length === 2);
+    expect(alice.received[1]).toEqual({ type: 'order_filled', owner: 'alice', connection: connection.id });
+    expect(bob.received).toEqual([]);
+  });
+
+  it('should push to subscribers of a topic or to every connection', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await send(alice, { op: 'subscribe', topic: 'orders:alice' });
+
+    const topic = await request(server.server)
+      .post('/__admin/ws/send')
+      .send({ topic: 'orders:alice', message: { type: 'order_filled' } })
+      .expect(200);
+    expect(topic.body.sent).toBe(1);
+
+    const all = await request(server.server)
+      .post('/__admin/ws/send')
+      .send({ config: 'orders-feed', message: 'maintenance at {{session.user}}' })
+      .expect(200);
+    expect(all.body.sent).toBe(2);
+
+    await waitFor(() => alice.received.length === 3 && bob.received.length === 1);
+    expect(alice.received.slice(1)).toEqual([{ type: 'order_filled' }, 'maintenance at anonymous']);
+    expect(bob.received).toEqual(['maintenance at anonymous']);
+  });
+
+  it('should close a connection with the given code and reason', async () => {
+    const ws = await connect();
+    const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+    const [connection] = (await listConnections()).connections;
+    await request(server.server)
+      .post(`/__admin/ws/connections/${connection.id}/close`)
+      .send({ code: 4001, reason: 'Session expired' })
+      .expect(200);
+
+    expect(await closed).toEqual({ code: 4001, reason: 'Session expired' });
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    expect((await listConnections()).total).toBe(0);
+  });
+
+  it('should reject invalid push and close requests', async () => {
+    await connect();
+    const [connection] = (await listConnections()).connections;
+
+    await request(server.server).post('/__admin/ws/send').send({}).expect(400);
+    await request(server.server).post(`/__admin/ws/connections/${connection.id}/send`).send({}).expect(400);
+    await request(server.server).post('/__admin/ws/connections/missing/send').send({ message: 'hi' }).expect(404);
+    await request(server.server).post(`/__admin/ws/connections/${connection.id}/close`).send({ code: 1006 }).expect(400);
+    await request(server.server).post(`/__admin/ws/connections/${connection.id}/close`).send({ reason: 42 }).expect(400);
+    await request(server.server).post('/__admin/ws/connections/missing/close').send({}).expect(404);
+  });
+});
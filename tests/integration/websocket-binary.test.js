@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import WebSocket from 'ws';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createTestServer, testLogger } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const MockServer = require('../../src/MockServer');
+const { encodeMessagePack, decodeMessagePack, encodeCbor, decodeCbor } = require('../../src/utils/binaryCodecs');
+const { encodeFrame } = require('../../src/utils/binaryFrames');
+
+describe('WebSocket Binary Frames Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const config = {
+    name: 'binary-feed',
+    type: 'ws',
+    path: '/ws/binary',
+    scheduledMessages: [
+      { id: 'ticker', interval: 1000, binary: { gzip: { ch: 'market.btcbrl.ticker', tick: '{{scheduled.executionCount}}' } } }
+    ],
+    responseRules: [
+      {
+        id: 'heartbeat',
+        matcher: { type: 'binaryPrefix', value: '0a01' },
+        response: { binary: { hex: '0b 01' } }
+      },
+      {
+        id: 'subscribe',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe', decode: 'msgpack' },
+        setSession: { channel: '{{message.channel}}' },
+        response: { binary: { msgpack: { type: 'subscribed', channel: '{{message.channel}}', depth: '{{message.depth}}' } } }
+      },
+      {
+        id: 'order',
+        matcher: { type: 'contains', value: { side: 'buy' }, decode: 'cbor' },
+        response: { binary: { cbor: { type: 'ack', amount: '{{message.amount}}' } } }
+      },
+      {
+        id: 'snapshot',
+        matcher: { type: 'exact', value: 'snapshot' },
+        response: { binary: { base64: 'AAEC' } }
+      },
+      {
+        id: 'text',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'ping' },
+        response: { message: { op: 'pong' } }
+      }
+    ]
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/binary`);
+    ws.received = [];
+    ws.on('message', (data, isBinary) => ws.received.push({ data, isBinary }));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // Send a frame and resolve with the reply
+  const send = async (ws, payload, options) => {
+    const expected = ws.received.length + 1;
+    ws.send(payload, options);
+    await waitFor(() => ws.received.length >= expected);
+    return ws.received[expected - 1];
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config], startScheduledMessages: false }));
+    const validation = mockServer.configManager.validateConfiguration(config, true);
+    expect(validation.errors).toEqual([]);
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.close());
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should match binary frames by bytes prefix and reply with binary frames', async () => {
+    const ws = await connect();
+
+    const reply = await send(ws, Buffer.from([0x0a, 0x01, 0xff]), { binary: true });
+    expect(reply.isBinary).toBe(true);
+    expect(reply.data).toEqual(Buffer.from([0x0b, 0x01]));
+
+    const snapshot = await send(ws, 'snapshot');
+    expect(snapshot).toEqual({ data: Buffer.from([0x00, 0x01, 0x02]), isBinary: true });
+  });
+
+  it('should match decoded MessagePack and CBOR content and use it in templates', async () => {
+    const ws = await connect();
+
+    const subscribed = await send(ws, encodeMessagePack({ op: 'subscribe', channel: 'book.BTC_BRL', depth: 20 }));
+    expect(decodeMessagePack(subscribed.data)).toEqual({ type: 'subscribed', channel: 'book.BTC_BRL', depth: 20 });
+    expect(mockServer.connectionManager.getConnectionsByConfig('binary-feed')[0].session).toEqual({ channel: 'book.BTC_BRL' });
+
+    const ack = await send(ws, encodeCbor({ side: 'buy', amount: 0.25 }));
+    expect(decodeCbor(ack.data)).toEqual({ type: 'ack', amount: 0.25 });
+  });
+
+  it('should keep answering text messages', async () => {
+    const ws = await connect();
+
+    const reply = await send(ws, JSON.stringify({ op: 'ping' }));
+    expect(reply.isBinary).toBe(false);
+    expect(JSON.parse(reply.data.toString())).toEqual({ op: 'pong' });
+  });
+
+  it('should send compressed scheduled messages', async () => {
+    mockServer.clock.freeze();
+    const ws = await connect();
+    await waitFor(() => mockServer.connectionManager.connections.size === 1);
+    mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+      return mockServer.connectionManager.broadcast(configName, message, options);
+    });
+
+    mockServer.clock.advance(1000);
+    await waitFor(() => ws.received.length === 1);
+
+    expect(ws.received[0].isBinary).toBe(true);
+    expect(JSON.parse(zlib.gunzipSync(ws.received[0].data).toString())).toEqual({ ch: 'market.btcbrl.ticker', tick: 1 });
+  });
+
+  it('should load hex files next to the configuration', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ws-binary-'));
+    await fs.mkdir(path.join(dir, 'frames'));
+    await fs.writeFile(path.join(dir, 'frames', 'book.hex'), '# book snapshot\n0a 02\nff\n');
+    await fs.writeFile(path.join(dir, 'feed.json'), JSON.stringify({
+      name: 'hex-feed',
+      type: 'ws',
+      path: '/ws/hex',
+      responseRules: [{ id: 'book', matcher: { type: 'exact', value: 'book' }, response: { binary: { hexFile: 'frames/book.hex' } } }]
+    }));
+    await fs.writeFile(path.join(dir, 'broken.json'), JSON.stringify({
+      name: 'missing-hex',
+      type: 'ws',
+      path: '/ws/missing',
+      scheduledMessages: [{ id: 'tick', interval: 1000, binary: { hexFile: 'frames/missing.hex' } }]
+    }));
+
+    const other = new MockServer(testLogger);
+    await other.configManager.loadSchema();
+    const results = await other.configManager.loadConfigurations(path.relative(process.cwd(), dir), { validateOnly: true });
+    await fs.rm(dir, { recursive: true, force: true });
+
+    expect(results.summary.errors).toEqual([
+      { file: 'broken.json', type: 'ws', errors: ["Binary file 'frames/missing.hex': not found"] }
+    ]);
+
+    const [rule] = results.configurations[0].responseRules;
+    expect(encodeFrame(rule.response.binary)).toEqual(Buffer.from([0x0a, 0x02, 0xff]));
+  });
+
+  it('should reject invalid binary blocks', () => {
+    const result = mockServer.configManager.validateConfiguration({
+      name: 'broken',
+      type: 'ws',
+      responseRules: [
+        { id: 'both', matcher: { type: 'exact', value: 'x' }, response: { binary: { hex: '01', base64: 'AQ==' } } },
+        { id: 'prefix', matcher: { type: 'binaryPrefix', value: 'xyz' }, response: { message: 'x' } }
+      ]
+    }, true);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Rule both: binary must have exactly one of base64, hex, hexFile, msgpack, cbor, gzip, deflate');
+    expect(result.errors).toContain('Rule prefix: binaryPrefix value must be hex bytes');
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createRequire } from 'module';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const FaultInjector = require('../../src/modules/FaultInjector');
+
+describe('WebSocket Fault Injection Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const flaky = {
+    name: 'flaky-feed',
+    type: 'ws',
+    path: '/ws/flaky',
+    faults: {
+      disconnect: { after: '5s', code: 1001, reason: 'Rebalancing' }
+    }
+  };
+
+  const stable = {
+    name: 'stable-feed',
+    type: 'ws',
+    path: '/ws/stable'
+  };
+
+  const connect = (path = '/ws/stable') => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}${path}`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(data.toString()));
+    ws.closed = new Promise(resolveClose => ws.on('close', (code, reason) => resolveClose({ code, reason: reason.toString() })));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  const admin = () => request(server.server);
+
+  const push = message => admin().post('/__admin/ws/send').send({ config: 'stable-feed', message }).expect(200);
+
+  const onlyConnection = async () => {
+    await waitFor(() => mockServer.connectionManager.connections.size === 1);
+    return Array.from(mockServer.connectionManager.connections.keys())[0];
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [flaky, stable] }));
+    for (const config of [flaky, stable]) {
+      expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+    }
+  });
+
+  afterEach(async () => {
+    await admin().delete('/__admin/ws/faults').expect(200);
+    sockets.splice(0).forEach(ws => ws.terminate());
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    mockServer.clock.reset();
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should drop, duplicate and reorder messages with runtime faults', async () => {
+    const ws = await connect();
+
+    await admin().put('/__admin/ws/faults').send({ config: 'stable-feed', dropPercentage: 100 }).expect(200);
+    await push('lost');
+
+    await admin().put('/__admin/ws/faults').send({ config: 'stable-feed', duplicatePercentage: 100 }).expect(200);
+    await push('twice');
+
+    await admin().put('/__admin/ws/faults').send({ config: 'stable-feed', reorderPercentage: 100 }).expect(200);
+    await push('first');
+    await push('second');
+
+    await waitFor(() => ws.received.length === 4);
+    expect(ws.received).toEqual(['twice', 'twice', 'second', 'first']);
+
+    const { body } = await admin().get('/__admin/ws/faults').expect(200);
+    expect(body.faults).toEqual({ 'stable-feed': { reorderPercentage: 100 } });
+  });
+
+  it('should clear the timer of a held back message when the connection closes', async () => {
+    const ws = await connect();
+    await onlyConnection();
+    const timers = mockServer.clock.timers.size;
+
+    await admin().put('/__admin/ws/faults').send({ config: 'stable-feed', reorderPercentage: 100 }).expect(200);
+    await push('held');
+    expect(mockServer.clock.timers.size).toBe(timers + 1);
+
+    ws.close();
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    expect(mockServer.clock.timers.size).toBe(timers);
+  });
+
+  it('should restore normal delivery when runtime faults are cleared', async () => {
+    const ws = await connect();
+
+    await admin().put('/__admin/ws/faults').send({ dropPercentage: 100 }).expect(200);
+    await push('lost');
+    await admin().delete('/__admin/ws/faults').expect(200);
+    await push('delivered');
+
+    await waitFor(() => ws.received.length === 1);
+    await settle();
+    expect(ws.received).toEqual(['delivered']);
+  });
+
+  it('should disconnect connections after the configured time', async () => {
+    mockServer.clock.freeze();
+    const ws = await connect('/ws/flaky');
+    await onlyConnection();
+
+    mockServer.clock.advance(4999);
+    await settle();
+    expect(ws.readyState).toBe(WebSocket.OPEN);
+
+    mockServer.clock.advance(1);
+    expect(await ws.closed).toEqual({ code: 1001, reason: 'Rebalancing' });
+  });
+
+  it('should disconnect all connections periodically with every', async () => {
+    // 3s past a multiple of 10s
+    mockServer.clock.freeze(Date.parse('2030-01-01T00:00:03Z'));
+    await admin().put('/__admin/ws/faults').send({ config: 'stable-feed', disconnect: { every: '10s' } }).expect(200);
+
+    const first = await connect();
+    await onlyConnection();
+    mockServer.clock.advance(6999);
+    await settle();
+    expect(first.readyState).toBe(WebSocket.OPEN);
+
+    mockServer.clock.advance(1);
+    expect(await first.closed).toEqual({ code: 1001, reason: 'Server going away' });
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+
+    // A reconnected client drops again at the next period
+    const second = await connect();
+    await onlyConnection();
+    mockServer.clock.advance(9999);
+    await settle();
+    expect(second.readyState).toBe(WebSocket.OPEN);
+
+    mockServer.clock.advance(1);
+    expect((await second.closed).code).toBe(1001);
+  });
+
+  it('should close with a chosen code or destroy the connection on demand', async () => {
+    const closing = await connect();
+    const closingId = await onlyConnection();
+    await admin().post(`/__admin/ws/connections/${closingId}/fault`).send({ type: 'close', code: 1011, reason: 'Internal error' }).expect(200);
+    expect(await closing.closed).toEqual({ code: 1011, reason: 'Internal error' });
+
+    const destroyed = await connect();
+    await waitFor(() => mockServer.connectionManager.connections.size === 1);
+    const { body } = await admin().post('/__admin/ws/faults/trigger').send({ type: 'destroy', config: 'stable-feed' }).expect(200);
+    expect(body.connections).toHaveLength(1);
+    expect((await destroyed.closed).code).toBe(1006);
+  });
+
+  it('should hold messages during a stall and deliver them when it ends', async () => {
+    mockServer.clock.freeze();
+    const ws = await connect();
+    const id = await onlyConnection();
+
+    await admin().post(`/__admin/ws/connections/${id}/fault`).send({ type: 'stall', duration: '10s' }).expect(200);
+    await push('during stall');
+    await settle();
+    expect(ws.received).toEqual([]);
+
+    const connection = mockServer.connectionManager.connections.get(id);
+    expect(connection.socket.isPaused).toBe(true);
+
+    mockServer.clock.advance(10000);
+    await waitFor(() => ws.received.length === 1);
+    expect(ws.received).toEqual(['during stall']);
+    expect(connection.socket.isPaused).toBe(false);
+    // The finished stall's timer is not kept for the rest of the connection
+    expect(connection.faults.timers).toEqual([]);
+  });
+
+  it('should reject invalid faults', async () => {
+    await admin().put('/__admin/ws/faults').send({ dropPercentage: 150 }).expect(400);
+    await admin().put('/__admin/ws/faults').send({ stall: { every: '1m' } }).expect(400);
+    await admin().post('/__admin/ws/faults/trigger').send({ type: 'explode' }).expect(400);
+    await admin().post('/__admin/ws/faults/trigger').send({ type: 'close', code: 1006 }).expect(400);
+    await admin().post('/__admin/ws/connections/missing/fault').send({ type: 'destroy' }).expect(404);
+
+    const validation = mockServer.configManager.validateConfiguration({
+      ...stable,
+      faults: { disconnect: { after: 'soon' } }
+    }, true);
+    expect(validation.isValid).toBe(false);
+    expect(FaultInjector.validateFaults({ disconnect: { after: '5s', every: '1m' } })).toEqual(['"disconnect" must have exactly one of "after" or "every"']);
+    expect(FaultInjector.validateFaults({ disconnect: { every: 0 } })).toEqual(['"disconnect.every" must be positive milliseconds or a duration like "1m"']);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import WebSocket from 'ws';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTestServer, testLogger } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const MockServer = require('../../src/MockServer');
+
+describe('WebSocket Handshake Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+
+  const welcome = name => ({ onConnect: { message: { config: name } } });
+
+  const configs = [
+    {
+      name: 'partner-feed',
+      type: 'ws',
+      path: '/ws/feed',
+      handshake: {
+        headers: { 'X-Api-Key': { equals: 'partner-key' } },
+        subprotocols: ['feed.v2', 'feed.v1']
+      },
+      connectionBehavior: welcome('partner-feed')
+    },
+    {
+      name: 'throttled-feed',
+      type: 'ws',
+      path: '/ws/feed',
+      handshake: {
+        headers: { 'x-api-key': { equals: 'throttled-key' } },
+        reject: { status: 429, message: 'Too many connections', headers: { 'Retry-After': '30' } }
+      }
+    },
+    {
+      name: 'public-feed',
+      type: 'ws',
+      path: '/ws/feed',
+      handshake: {
+        query: { token: { matches: '^pub-', status: 403, message: 'Invalid token' } }
+      },
+      connectionBehavior: welcome('public-feed')
+    },
+    {
+      name: 'guest-feed',
+      type: 'ws',
+      path: '/ws/open',
+      connectionBehavior: welcome('guest-feed')
+    },
+    {
+      name: 'admin-feed',
+      type: 'ws',
+      path: '/ws/open',
+      handshake: {
+        headers: { 'x-role': { equals: 'admin' } }
+      },
+      connectionBehavior: welcome('admin-feed')
+    }
+  ];
+
+  // Resolves with the welcome message, or with the HTTP response of a rejected upgrade
+  const connect = (url, options = {}, protocols = []) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}${url}`, protocols, options);
+    ws.once('message', data => {
+      resolve({ welcome: JSON.parse(data.toString()), protocol: ws.protocol });
+      ws.close();
+    });
+    ws.once('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    });
+    ws.once('error', reject);
+  });
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: configs }));
+    for (const config of configs) {
+      expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+    }
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should route upgrades to the config whose requirements they meet', async () => {
+    const partner = await connect('/ws/feed', { headers: { 'x-api-key': 'partner-key' } }, ['feed.v3', 'feed.v1']);
+    expect(partner).toEqual({ welcome: { config: 'partner-feed' }, protocol: 'feed.v1' });
+
+    const pub = await connect('/ws/feed?token=pub-123');
+    expect(pub.welcome).toEqual({ config: 'public-feed' });
+  });
+
+  it('should reject failed requirements with their status before the upgrade', async () => {
+    const missing = await connect('/ws/feed');
+    expect(missing.status).toBe(401);
+    expect(missing.body).toEqual({ error: 'Unauthorized', message: "Missing header 'X-Api-Key'" });
+
+    const noProtocol = await connect('/ws/feed', { headers: { 'x-api-key': 'partner-key' } });
+    expect(noProtocol.status).toBe(400);
+    expect(noProtocol.body.message).toBe('Unsupported subprotocol, expected one of: feed.v2, feed.v1');
+  });
+
+  it('should reject on purpose with the configured status and headers', async () => {
+    const throttled = await connect('/ws/feed?token=pub-123', { headers: { 'x-api-key': 'throttled-key' } });
+
+    expect(throttled.status).toBe(429);
+    expect(throttled.headers['retry-after']).toBe('30');
+    expect(throttled.body).toEqual({ error: 'Too Many Requests', message: 'Too many connections' });
+  });
+
+  it('should try configs with a handshake before the one accepting everything', async () => {
+    expect((await connect('/ws/open', { headers: { 'x-role': 'admin' } })).welcome).toEqual({ config: 'admin-feed' });
+    expect((await connect('/ws/open')).welcome).toEqual({ config: 'guest-feed' });
+  });
+
+  it('should load configs sharing a path when a handshake routes between them', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ws-handshake-'));
+    const files = {
+      'open.json': { name: 'open', type: 'ws', path: '/ws/shared' },
+      'keyed.json': { name: 'keyed', type: 'ws', path: '/ws/shared', handshake: { query: { key: {} } } },
+      'default.json': { name: 'default-keyed', type: 'ws', handshake: { query: { key: {} } } }
+    };
+    for (const [file, config] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, file), JSON.stringify(config));
+    }
+
+    const other = new MockServer(testLogger);
+    await other.configManager.loadSchema();
+    const results = await other.configManager.loadConfigurations(path.relative(process.cwd(), dir), { validateOnly: true });
+    await fs.rm(dir, { recursive: true, force: true });
+
+    expect(results.summary.failed).toBe(0);
+    expect(results.configurations.map(config => `${config.name}:${config.path}`).sort())
+      .toEqual(['default-keyed:/ws', 'keyed:/ws/shared', 'open:/ws/shared']);
+  });
+
+  it('should reject invalid handshake patterns', () => {
+    const result = mockServer.configManager.validateConfiguration({
+      name: 'broken',
+      type: 'ws',
+      handshake: { headers: { 'x-api-key': { matches: '[' } } }
+    }, true);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Handshake: headers.x-api-key: invalid regex "["');
+  });
+});
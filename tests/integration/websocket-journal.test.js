@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Journal Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+
+  const config = {
+    name: 'journal-feed',
+    type: 'ws',
+    path: '/ws/journal',
+    connectionBehavior: {
+      onConnect: { message: { type: 'welcome' } }
+    },
+    subscriptions: {
+      subscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe' },
+        topic: '{{message.symbol}}'
+      }
+    },
+    scheduledMessages: [
+      { id: 'ticker', interval: 1000, message: { type: 'ticker' } }
+    ],
+    responseRules: [
+      {
+        id: 'auth',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'auth' },
+        response: { message: { type: 'auth_ok' } }
+      }
+    ]
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/journal`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const close = async (ws) => {
+    ws.close();
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+  };
+
+  const find = async (criteria) => {
+    const response = await request(server.server).post('/__admin/ws/journal/find').send(criteria).expect(200);
+    return response.body.entries;
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config], startScheduledMessages: false }));
+  });
+
+  beforeEach(async () => {
+    await request(server.server).delete('/__admin/ws/journal').expect(200);
+  });
+
+  afterAll(async () => {
+    mockServer.schedulerService.stopAll();
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should record connection events, incoming messages and responses in order', async () => {
+    const ws = await connect();
+    await waitFor(() => ws.received.length === 1);
+
+    ws.send(JSON.stringify({ op: 'auth', token: 'abc' }));
+    await waitFor(() => ws.received.length === 2);
+    await close(ws);
+
+    const response = await request(server.server).get('/__admin/ws/journal').expect(200);
+    const entries = response.body.entries;
+
+    expect(entries.map(entry => [entry.direction, entry.type])).toEqual([
+      ['event', 'connect'],
+      ['out', 'welcome'],
+      ['in', 'message'],
+      ['out', 'response'],
+      ['event', 'disconnect']
+    ]);
+    expect(new Set(entries.map(entry => entry.connectionId)).size).toBe(1);
+    expect(entries[2]).toMatchObject({ configName: 'journal-feed', path: '/ws/journal', payload: { op: 'auth', token: 'abc' }, ruleIds: ['auth'] });
+    expect(entries[3]).toMatchObject({ ruleId: 'auth', payload: { type: 'auth_ok' }, correlationId: entries[2].correlationId });
+    expect(entries[4]).toMatchObject({ code: 1005 });
+  });
+
+  it('should keep entries after disconnects until cleared', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ op: 'auth' }));
+    await waitFor(() => ws.received.length === 2);
+    const connectionId = mockServer.connectionManager.getConnectionsByConfig('journal-feed')[0].id;
+    await close(ws);
+
+    const count = await request(server.server).post('/__admin/ws/journal/count').send({ connectionId, ruleId: 'auth' }).expect(200);
+    expect(count.body.count).toBe(2);
+
+    const cleared = await request(server.server).delete('/__admin/ws/journal').expect(200);
+    expect(cleared.body.removed).toBe(5);
+    expect((await request(server.server).get('/__admin/ws/journal').expect(200)).body.total).toBe(0);
+  });
+
+  it('should filter by JSONPath on the payload and record scheduled sends per connection', async () => {
+    mockServer.clock.freeze();
+    const ws = await connect();
+    ws.send(JSON.stringify({ op: 'subscribe', symbol: 'ETH/USDT' }));
+    ws.send(JSON.stringify({ op: 'subscribe', symbol: 'BTC/USDT' }));
+    await waitFor(() => ws.received.length === 3);
+
+    mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+      return mockServer.connectionManager.broadcast(configName, message, options);
+    });
+    mockServer.clock.advance(1000);
+    await close(ws);
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+
+    const subscribes = await find({ direction: 'in', jsonPath: { expression: '$.symbol', equals: 'ETH/USDT' } });
+    expect(subscribes).toHaveLength(1);
+    expect(subscribes[0].payload).toEqual({ op: 'subscribe', symbol: 'ETH/USDT' });
+
+    const acks = await find({ type: 'subscription', contains: 'BTC/USDT' });
+    expect(acks.map(entry => entry.payload)).toEqual([{ type: 'subscribed', topic: 'BTC/USDT' }]);
+
+    const scheduled = await find({ type: 'scheduled', messageId: 'ticker' });
+    expect(scheduled).toHaveLength(1);
+    expect(scheduled[0].connectionId).toBe(subscribes[0].connectionId);
+  });
+
+  it('should verify that messages were sent in order', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ op: 'subscribe', symbol: 'ETH/USDT' }));
+    ws.send(JSON.stringify({ op: 'auth' }));
+    await waitFor(() => ws.received.length === 3);
+    await close(ws);
+
+    const subscribe = { direction: 'in', jsonPath: { expression: '$.symbol', equals: 'ETH/USDT' } };
+    const auth = { direction: 'in', jsonPath: { expression: '$.op', equals: 'auth' } };
+
+    const before = await request(server.server).post('/__admin/ws/journal/verify').send({ config: 'journal-feed', steps: [subscribe, auth] }).expect(200);
+    expect(before.body.verified).toBe(true);
+    expect(before.body.matched.map(entry => entry.payload.op)).toEqual(['subscribe', 'auth']);
+
+    const after = await request(server.server).post('/__admin/ws/journal/verify').send({ steps: [auth, subscribe] }).expect(200);
+    expect(after.body).toMatchObject({ verified: false, failedStep: 1 });
+  });
+
+  it('should record only the messages that were written to the client', async () => {
+    mockServer.faultInjector.setRuntimeFaults({ dropPercentage: 100 }, 'journal-feed');
+    try {
+      const ws = await connect();
+      ws.send(JSON.stringify({ op: 'auth' }));
+      await waitFor(() => mockServer.wsJournal.find({ direction: 'in' }).length === 1);
+      await close(ws);
+      expect(ws.received).toEqual([]);
+    } finally {
+      mockServer.faultInjector.clearRuntimeFaults();
+    }
+
+    expect(await find({ direction: 'out' })).toEqual([]);
+    expect(await find({ direction: 'in' })).toHaveLength(1);
+  });
+
+  it('should reject invalid criteria', async () => {
+    await request(server.server).get('/__admin/ws/journal?direction=sideways').expect(400);
+    await request(server.server).post('/__admin/ws/journal/find').send({ jsonPath: '$.op' }).expect(400);
+    await request(server.server).post('/__admin/ws/journal/verify').send({ steps: [] }).expect(400);
+  });
+});
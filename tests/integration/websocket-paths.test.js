@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { createTestServer, testLogger } from '../helpers/server.js';
+
+const require = createRequire(import.meta.url);
+
+const MockServer = require('../../src/MockServer');
+
+describe('WebSocket Paths Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  let configDir;
+
+  const wsConfig = (name, extra) => ({
+    name,
+    type: 'ws',
+    connectionBehavior: {
+      onConnect: { message: { type: 'welcome', server: name } }
+    },
+    ...extra
+  });
+
+  const files = {
+    'news.json': wsConfig('news-feed', {
+      path: '/ws/news',
+      responseRules: [
+        {
+          id: 'ping',
+          matcher: { type: 'jsonPath', path: '$.action', value: 'ping' },
+          response: { message: { type: 'pong', from: 'news' } }
+        }
+      ]
+    }),
+    'trading.json': wsConfig('trading-feed', {
+      path: '/ws/trading/',
+      connectionBehavior: {
+        maxConnections: 1,
+        onConnect: { message: { type: 'welcome', server: 'trading-feed' } }
+      },
+      responseRules: [
+        {
+          id: 'ping',
+          matcher: { type: 'jsonPath', path: '$.action', value: 'ping' },
+          response: { message: { type: 'pong', from: 'trading' } }
+        }
+      ]
+    }),
+    'legacy.json': wsConfig('legacy-feed', {
+      responseRules: [
+        {
+          id: 'ping',
+          matcher: { type: 'jsonPath', path: '$.action', value: 'ping' },
+          response: { message: { type: 'pong', from: 'legacy' } }
+        }
+      ]
+    })
+  };
+
+  const writeConfigs = async (dir, configs) => {
+    await fs.mkdir(dir, { recursive: true });
+    for (const [file, config] of Object.entries(configs)) {
+      await fs.writeFile(path.join(dir, file), JSON.stringify(config, null, 2));
+    }
+  };
+
+  // Open a socket and resolve with it and its first message
+  const connect = (wsPath) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}${wsPath}`);
+    ws.once('message', data => resolve({ ws, welcome: JSON.parse(data.toString()) }));
+    ws.once('error', reject);
+  });
+
+  const nextMessage = (ws) => new Promise(resolve => {
+    ws.once('message', data => resolve(JSON.parse(data.toString())));
+  });
+
+  beforeAll(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ws-paths-'));
+    await writeConfigs(configDir, files);
+
+    ({ server, mockServer, wsUrl } = await createTestServer({ configDir: path.relative(process.cwd(), configDir) }));
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  it('should keep configs with a path separate and merge the rest onto /ws', () => {
+    const configs = mockServer.configManager.getAllConfigurations().filter(c => c.type === 'ws');
+    const byPath = Object.fromEntries(configs.map(c => [c.path, c.name]));
+
+    expect(byPath).toEqual({
+      '/ws/news': 'news-feed',
+      '/ws/trading': 'trading-feed',
+      '/ws': 'merged-websocket-server'
+    });
+  });
+
+  it('should answer each path with its own onConnect message and rules', async () => {
+    const news = await connect('/ws/news');
+    const trading = await connect('/ws/trading');
+    const legacy = await connect('/ws');
+
+    expect(news.welcome.server).toBe('news-feed');
+    expect(trading.welcome.server).toBe('trading-feed');
+
+    for (const [client, from] of [[news, 'news'], [trading, 'trading'], [legacy, 'legacy']]) {
+      const reply = nextMessage(client.ws);
+      client.ws.send(JSON.stringify({ action: 'ping' }));
+      expect(await reply).toMatchObject({ type: 'pong', from });
+    }
+
+    [news, trading, legacy].forEach(client => client.ws.close());
+  });
+
+  it('should only broadcast to connections of the same path', async () => {
+    const news = await connect('/ws/news');
+    const trading = await connect('/ws/trading');
+
+    const received = [];
+    trading.ws.on('message', data => received.push(JSON.parse(data.toString())));
+
+    const broadcast = nextMessage(news.ws);
+    const result = mockServer.connectionManager.broadcast('news-feed', { type: 'headline' });
+    expect(result.successful).toBe(1);
+    expect(await broadcast).toEqual({ type: 'headline' });
+    expect(received).toEqual([]);
+
+    news.ws.close();
+    trading.ws.close();
+  });
+
+  it('should apply connection limits per path', async () => {
+    const first = await connect('/ws/trading');
+
+    const closed = await new Promise(resolve => {
+      const second = new WebSocket(`${wsUrl}/ws/trading`);
+      second.on('close', code => resolve(code));
+    });
+    expect(closed).toBe(1008);
+
+    // The news endpoint is unaffected by the trading limit
+    const news = await connect('/ws/news');
+    expect(news.welcome.server).toBe('news-feed');
+
+    first.ws.close();
+    news.ws.close();
+  });
+
+  it('should reject a second config claiming the same path', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ws-paths-dup-'));
+    await writeConfigs(dir, {
+      'a.json': wsConfig('first', { path: '/ws/prices' }),
+      'b.json': wsConfig('second', { path: '/ws/prices/' })
+    });
+
+    const other = new MockServer(testLogger);
+    await other.configManager.loadSchema();
+    const results = await other.configManager.loadConfigurations(path.relative(process.cwd(), dir), { validateOnly: true });
+    await fs.rm(dir, { recursive: true, force: true });
+
+    // Whichever file is loaded second is the one rejected
+    const [error] = results.summary.errors;
+    const first = error.file === 'a.json' ? 'b.json' : 'a.json';
+    expect(results.summary.failed).toBe(1);
+    expect(error.errors[0]).toBe(`WebSocket path '/ws/prices' is already used by ${first}`);
+  });
+
+  it('should reject paths under /__admin', async () => {
+    await mockServer.configManager.loadSchema();
+    const result = mockServer.configManager.validateConfiguration(wsConfig('admin', { path: '/__admin/ws' }), true);
+
+    expect(result.isValid).toBe(false);
+  });
+
+  it('should reject paths of built-in endpoints', () => {
+    for (const builtIn of ['/health', '/status/', '/reload', '/schema/ws', '/raw/README.md', '/timeout/5']) {
+      const result = mockServer.configManager.validateConfiguration(wsConfig('built-in', { path: builtIn }), true);
+      expect(result.errors).toContain(`WebSocket path '${builtIn}' is reserved for a built-in endpoint`);
+    }
+
+    expect(mockServer.configManager.validateConfiguration(wsConfig('status-feed', { path: '/ws/status' }), true).isValid).toBe(true);
+  });
+
+  it('should reject a path already used by an API mapping', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ws-paths-api-'));
+    await writeConfigs(dir, {
+      'api.json': {
+        name: 'rest',
+        type: 'api',
+        mappings: [
+          { id: 'post-prices', request: { method: 'POST', urlPath: '/ws/orders' }, response: { status: 201 } },
+          { id: 'get-prices', request: { method: 'GET', urlPath: '/ws/prices' }, response: { status: 200 } },
+          { id: 'get-ticker', request: { urlPath: '/ws/ticker' }, response: { status: 200 } }
+        ]
+      },
+      'prices.json': wsConfig('prices', { path: '/ws/prices' }),
+      'orders.json': wsConfig('orders', { path: '/ws/orders' }),
+      'ticker.json': wsConfig('ticker', { path: '/ws/ticker' })
+    });
+
+    const other = new MockServer(testLogger);
+    await other.configManager.loadSchema();
+    const results = await other.configManager.loadConfigurations(path.relative(process.cwd(), dir), { validateOnly: true });
+    await fs.rm(dir, { recursive: true, force: true });
+
+    expect(results.summary).toMatchObject({ loaded: 2, failed: 2 });
+    expect(results.summary.errors).toHaveLength(2);
+    expect(results.summary.errors).toEqual(expect.arrayContaining([
+      { file: 'prices.json', type: 'ws', errors: ["WebSocket path '/ws/prices' is already used by API mapping 'get-prices' in api.json"] },
+      { file: 'ticker.json', type: 'ws', errors: ["WebSocket path '/ws/ticker' is already used by API mapping 'get-ticker' in api.json"] }
+    ]));
+    expect(results.configurations.map(config => config.name)).not.toContain('prices');
+    expect(results.configurations.map(config => config.name)).not.toContain('ticker');
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTestServer } from '../helpers/server.js';
+
+// A volatile minute of trades, as captured from the exchange
+const capture = [
+  '{"timestamp": "2024-03-05T14:30:00.000Z", "message": {"e": "trade", "p": "68000.10"}}',
+  '{"timestamp": "2024-03-05T14:30:00.120Z", "message": {"e": "trade", "p": "67950.00"}}',
+  '{"timestamp": "2024-03-05T14:30:02.120Z", "message": {"e": "trade", "p": "66100.55"}}'
+].join('\n');
+
+describe('WebSocket Replay Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  let dir;
+  let config;
+  const sockets = [];
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/replay`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const writeMock = async (name, mock) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, JSON.stringify(mock));
+    return mockServer.configManager.loadSingleConfiguration(file, name, true, true);
+  };
+
+  const start = () => mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+    return mockServer.connectionManager.broadcast(configName, message, options);
+  });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-replay-'));
+    await fs.mkdir(path.join(dir, 'captures'));
+    await fs.writeFile(path.join(dir, 'captures', 'btc-crash.jsonl'), capture);
+
+    await fs.writeFile(path.join(dir, 'replay.json'), JSON.stringify({
+      name: 'replay-feed',
+      type: 'ws',
+      path: '/ws/replay',
+      scheduledMessages: [
+        { id: 'btc-crash', replay: { file: 'captures/btc-crash.jsonl', loop: true, gap: 500 } }
+      ]
+    }));
+
+    ({ server, mockServer, wsUrl, configs: [config] } = await createTestServer({
+      configDir: path.relative(process.cwd(), dir),
+      startScheduledMessages: false
+    }));
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.close());
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should broadcast a capture with its original timing and loop it', async () => {
+    mockServer.clock.freeze();
+    const ws = await connect();
+    await waitFor(() => mockServer.connectionManager.connections.size === 1);
+    start();
+
+    mockServer.clock.advance(120);
+    await waitFor(() => ws.received.length === 2);
+    expect(ws.received.map(frame => frame.p)).toEqual(['68000.10', '67950.00']);
+
+    mockServer.clock.advance(1999);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(ws.received).toHaveLength(2);
+
+    // Last frame, then the capture starts again after the gap
+    mockServer.clock.advance(1 + 500);
+    await waitFor(() => ws.received.length === 4);
+    expect(ws.received.map(frame => frame.p)).toEqual(['68000.10', '67950.00', '66100.55', '68000.10']);
+  });
+
+  it('should show replay progress and change speed live', async () => {
+    mockServer.clock.freeze();
+    start();
+    mockServer.clock.advance(120);
+
+    const task = await request(server.server).get('/__admin/ws/scheduled/replay-feed/btc-crash').expect(200);
+    expect(task.body).toMatchObject({ state: 'running', replay: { file: 'captures/btc-crash.jsonl', position: 2, frames: 3, loops: 0 } });
+
+    const updated = await request(server.server)
+      .patch('/__admin/ws/scheduled/replay-feed/btc-crash')
+      .send({ replay: { speed: 10, startOffset: '2s' } })
+      .expect(200);
+    expect(updated.body.replay).toMatchObject({ position: 2, frames: 3 });
+
+    await request(server.server).patch('/__admin/ws/scheduled/replay-feed/btc-crash').send({ replay: { file: '/etc/passwd' } }).expect(400);
+    await request(server.server).patch('/__admin/ws/scheduled/replay-feed/btc-crash').send({ interval: 1000 }).expect(400);
+  });
+
+  it('should report captures that are missing or invalid', async () => {
+    await fs.writeFile(path.join(dir, 'captures', 'broken.jsonl'), '{"timestamp": 1, "message": 1}\nnot json');
+
+    const result = await writeMock('broken.json', {
+      name: 'broken-replay',
+      type: 'ws',
+      path: '/ws/broken',
+      scheduledMessages: [
+        { id: 'missing', replay: { file: 'captures/missing.jsonl' } },
+        { id: 'broken', replay: { file: 'captures/broken.jsonl' } }
+      ]
+    });
+
+    expect(result.errors).toEqual([
+      "Replay file 'captures/missing.jsonl': not found",
+      "Replay file 'captures/broken.jsonl': line 2: invalid JSON"
+    ]);
+  });
+});
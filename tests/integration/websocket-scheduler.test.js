@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Scheduler Admin Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  let ws;
+
+  const config = {
+    name: 'btc-feed',
+    type: 'ws',
+    path: '/ws/btc',
+    scheduledMessages: [
+      { id: 'ticker', interval: 1000, message: { type: 'ticker', n: '{{scheduled.executionCount}}' } },
+      { id: 'heartbeat', interval: 5000, startDelay: 2000, message: { type: 'heartbeat' } }
+    ]
+  };
+
+  const admin = () => request(server.server);
+
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${wsUrl}/ws/btc`);
+    socket.received = [];
+    socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // Advance virtual time and let the frames arrive
+  const advance = async (ms) => {
+    const sent = mockServer.connectionManager.getConnectionsByConfig('btc-feed')[0].messageCount.sent;
+    mockServer.clock.advance(ms);
+    await waitFor(() => ws.received.length >= sent);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config], startScheduledMessages: false }));
+  });
+
+  beforeEach(async () => {
+    mockServer.clock.freeze();
+    ws = await connect();
+    await waitFor(() => mockServer.connectionManager.connections.size === 1);
+    mockServer.schedulerService.clearHistory();
+    mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+      return mockServer.connectionManager.broadcast(configName, message, options);
+    });
+  });
+
+  afterEach(async () => {
+    mockServer.schedulerService.stopAll();
+    ws.close();
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    mockServer.clock.reset();
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should list scheduled messages with state, execution count and next run', async () => {
+    await advance(1000);
+
+    const response = await admin().get('/__admin/ws/scheduled').expect(200);
+    expect(response.body.total).toBe(2);
+
+    const [ticker, heartbeat] = response.body.tasks;
+    const now = mockServer.clock.now();
+    expect(ticker).toMatchObject({ taskKey: 'btc-feed:ticker', state: 'running', interval: 1000, executionCount: 1, adhoc: false });
+    expect(new Date(ticker.nextExecution).getTime()).toBe(now + 1000);
+    expect(heartbeat).toMatchObject({ messageId: 'heartbeat', state: 'pending', startDelay: 2000, executionCount: 0 });
+    expect(new Date(heartbeat.nextExecution).getTime()).toBe(now + 6000);
+
+    const single = await admin().get('/__admin/ws/scheduled/btc-feed/ticker').expect(200);
+    expect(single.body.history).toHaveLength(1);
+
+    await admin().get('/__admin/ws/scheduled/btc-feed/missing').expect(404);
+  });
+
+  it('should pause and resume a feed', async () => {
+    const paused = await admin().post('/__admin/ws/scheduled/btc-feed/ticker/pause').expect(200);
+    expect(paused.body).toMatchObject({ state: 'paused', nextExecution: null });
+
+    await advance(3000);
+    expect(ws.received).toEqual([]);
+
+    await admin().post('/__admin/ws/scheduled/btc-feed/ticker/resume').expect(200);
+    await advance(1000);
+    expect(ws.received).toEqual([{ type: 'ticker', n: 1 }]);
+  });
+
+  it('should pause a task that is still waiting for its start delay', async () => {
+    await admin().post('/__admin/ws/scheduled/btc-feed/heartbeat/pause').expect(200);
+    await admin().post('/__admin/ws/scheduled/btc-feed/ticker/pause').expect(200);
+
+    await advance(10000);
+    expect(ws.received).toEqual([]);
+  });
+
+  it('should change interval and message live', async () => {
+    const updated = await admin()
+      .patch('/__admin/ws/scheduled/btc-feed/ticker')
+      .send({ interval: 200, message: { type: 'fast' } })
+      .expect(200);
+    // The task restarts with its start delay
+    expect(updated.body).toMatchObject({ interval: 200, state: 'pending' });
+
+    await advance(0);
+    await advance(200);
+    await advance(200);
+    expect(ws.received).toEqual([{ type: 'fast' }, { type: 'fast' }]);
+
+    await admin().patch('/__admin/ws/scheduled/btc-feed/ticker').send({ interval: 10 }).expect(400);
+    await admin().patch('/__admin/ws/scheduled/btc-feed/ticker').send({ id: 'renamed' }).expect(400);
+  });
+
+  it('should keep a paused task paused when it is updated', async () => {
+    await admin().post('/__admin/ws/scheduled/btc-feed/ticker/pause').expect(200);
+    const updated = await admin().patch('/__admin/ws/scheduled/btc-feed/ticker').send({ startDelay: 500 }).expect(200);
+    expect(updated.body).toMatchObject({ state: 'paused', startDelay: 500 });
+  });
+
+  it('should fire a task once on demand', async () => {
+    await admin().post('/__admin/ws/scheduled/btc-feed/ticker/pause').expect(200);
+
+    const response = await admin().post('/__admin/ws/scheduled/btc-feed/ticker/trigger').expect(200);
+    expect(response.body).toEqual({ status: 'success', sent: 1 });
+    await waitFor(() => ws.received.length === 1);
+    expect(ws.received).toEqual([{ type: 'ticker', n: 1 }]);
+
+    const task = await admin().get('/__admin/ws/scheduled/btc-feed/ticker').expect(200);
+    expect(task.body).toMatchObject({ state: 'paused', executionCount: 1 });
+  });
+
+  it('should start and stop ad-hoc tasks', async () => {
+    const created = await admin()
+      .post('/__admin/ws/scheduled')
+      .send({ config: 'btc-feed', id: 'stale', interval: 500, sendOnStart: true, message: { type: 'stale' } })
+      .expect(201);
+    expect(created.body).toMatchObject({ taskKey: 'btc-feed:stale', adhoc: true });
+
+    await advance(0);
+    await advance(500);
+    expect(ws.received.filter(message => message.type === 'stale')).toHaveLength(2);
+
+    await admin().post('/__admin/ws/scheduled').send({ config: 'btc-feed', id: 'stale', interval: 500, message: {} }).expect(409);
+    await admin().post('/__admin/ws/scheduled').send({ config: 'unknown', id: 'x', interval: 500, message: {} }).expect(400);
+    await admin().post('/__admin/ws/scheduled').send({ config: 'btc-feed', id: 'x', interval: 500 }).expect(400);
+
+    await admin().delete('/__admin/ws/scheduled/btc-feed/stale').expect(200);
+    const list = await admin().get('/__admin/ws/scheduled?config=btc-feed').expect(200);
+    expect(list.body.tasks.map(task => task.messageId)).toEqual(['ticker', 'heartbeat']);
+  });
+});
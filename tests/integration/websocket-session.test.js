@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Session Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const op = value => ({ type: 'jsonPath', path: '$.op', value });
+
+  const config = {
+    name: 'private-feed',
+    type: 'ws',
+    path: '/ws/private',
+    connectionBehavior: {
+      session: { authenticated: false }
+    },
+    subscriptions: {
+      subscribe: {
+        matcher: op('subscribe'),
+        topic: 'orders:{{session.user}}',
+        requiredSession: { authenticated: true }
+      }
+    },
+    responseRules: [
+      {
+        id: 'login',
+        matcher: op('auth'),
+        setSession: { authenticated: true, user: '{{message.user}}', level: '{{message.level}}' },
+        response: { message: { type: 'auth_ok', user: '{{session.user}}', level: '{{session.level}}' } }
+      },
+      {
+        id: 'logout',
+        matcher: op('logout'),
+        setSession: { authenticated: false, user: null },
+        response: { message: { type: 'logged_out' } }
+      },
+      {
+        id: 'orders',
+        matcher: op('orders'),
+        requiredSession: { authenticated: true },
+        response: { message: { type: 'orders', owner: '{{session.user}}' } }
+      },
+      {
+        id: 'subscribe-denied',
+        matcher: op('subscribe'),
+        requiredSession: { authenticated: false },
+        response: { message: { type: 'error', code: 'AUTH_REQUIRED' } }
+      },
+      {
+        id: 'fallback',
+        matcher: op('orders'),
+        response: { message: { type: 'error', code: 'AUTH_REQUIRED', user: '{{#if session.user}}{{session.user}}{{else}}anonymous{{/if}}' } }
+      }
+    ]
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/private`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  // Send a message and resolve with the replies it produced
+  const send = async (ws, message, replies = 1) => {
+    const expected = ws.received.length + replies;
+    ws.send(JSON.stringify(message));
+    for (let i = 0; i < 100 && ws.received.length < expected; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return ws.received.slice(-replies);
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config] }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.close());
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should gate rules on session variables set by earlier messages', async () => {
+    const ws = await connect();
+
+    expect(await send(ws, { op: 'orders' })).toEqual([{ type: 'error', code: 'AUTH_REQUIRED', user: 'anonymous' }]);
+    expect(await send(ws, { op: 'auth', user: 'alice', level: 2 })).toEqual([{ type: 'auth_ok', user: 'alice', level: 2 }]);
+    expect(await send(ws, { op: 'orders' })).toEqual([{ type: 'orders', owner: 'alice' }]);
+  });
+
+  it('should remove variables set to null', async () => {
+    const ws = await connect();
+
+    await send(ws, { op: 'auth', user: 'alice' });
+    await send(ws, { op: 'logout' });
+
+    const [connection] = mockServer.connectionManager.getConnectionsByConfig('private-feed');
+    expect(connection.session).toEqual({ authenticated: false });
+    expect(await send(ws, { op: 'orders' })).toEqual([{ type: 'error', code: 'AUTH_REQUIRED', user: 'anonymous' }]);
+  });
+
+  it('should keep a separate session per connection', async () => {
+    const alice = await connect();
+    const bob = await connect();
+
+    await send(alice, { op: 'auth', user: 'alice' });
+
+    expect(await send(bob, { op: 'orders' })).toEqual([{ type: 'error', code: 'AUTH_REQUIRED', user: 'anonymous' }]);
+    expect(await send(alice, { op: 'orders' })).toEqual([{ type: 'orders', owner: 'alice' }]);
+  });
+
+  it('should only accept subscriptions once the session allows them', async () => {
+    const ws = await connect();
+
+    expect(await send(ws, { op: 'subscribe' })).toEqual([{ type: 'error', code: 'AUTH_REQUIRED' }]);
+
+    await send(ws, { op: 'auth', user: 'alice' });
+    expect(await send(ws, { op: 'subscribe' })).toEqual([{ type: 'subscribed', topic: 'orders:alice' }]);
+  });
+});
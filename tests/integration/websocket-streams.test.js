@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Streams Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const config = {
+    name: 'stream-feed',
+    type: 'ws',
+    path: '/ws/streams',
+    subscriptions: {
+      subscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe' },
+        topic: '{{message.channel}}'
+      },
+      unsubscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'unsubscribe' },
+        topic: '{{message.channel}}'
+      }
+    },
+    scheduledMessages: [
+      { id: 'heartbeat', interval: 1000, startOn: 'connect', message: { type: 'hb', seq: '{{scheduled.executionCount}}' } },
+      { id: 'book', interval: 500, startOn: 'subscribe', topic: 'book:*', message: { topic: '{{subscription.topic}}', seq: '{{scheduled.executionCount}}' } },
+      { id: 'orders', interval: 1000, startOn: 'rule', message: { type: 'order', account: '{{request.account}}', seq: '{{scheduled.executionCount}}' } },
+      { id: 'global', interval: 1000, message: { type: 'global' } }
+    ],
+    responseRules: [
+      {
+        id: 'watch-orders',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'watch' },
+        startStreams: ['orders'],
+        response: { message: { type: 'watching' } }
+      },
+      {
+        id: 'unwatch-orders',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'unwatch' },
+        stopStreams: ['orders'],
+        response: { message: { type: 'unwatched' } }
+      }
+    ]
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/streams`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  // Advance virtual time and let the frames arrive
+  const advance = async (ms) => {
+    mockServer.clock.advance(ms);
+    await settle();
+  };
+
+  const send = async (ws, message) => {
+    ws.send(JSON.stringify(message));
+    await settle();
+  };
+
+  const streams = () => mockServer.schedulerService.getStatus('stream-feed').filter(task => task.connectionId);
+
+  const of = (ws, predicate) => ws.received.filter(predicate);
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config], startScheduledMessages: false }));
+    expect(mockServer.configManager.validateConfiguration(config, true).errors).toEqual([]);
+  });
+
+  beforeEach(() => {
+    mockServer.clock.freeze();
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.close());
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should start a stream per connection on connect with its own sequence', async () => {
+    const first = await connect();
+    await advance(2000);
+    const second = await connect();
+    await waitFor(() => streams().length === 2);
+    await advance(1000);
+
+    expect(of(first, m => m.type === 'hb').map(m => m.seq)).toEqual([1, 2, 3]);
+    expect(of(second, m => m.type === 'hb').map(m => m.seq)).toEqual([1]);
+    // Server-wide scheduled messages are not started by connections
+    expect(of(first, m => m.type === 'global')).toEqual([]);
+  });
+
+  it('should stop a connection\'s streams when it closes', async () => {
+    const ws = await connect();
+    await waitFor(() => streams().length === 1);
+
+    ws.close();
+    await waitFor(() => mockServer.connectionManager.connections.size === 0);
+
+    expect(streams()).toEqual([]);
+    expect(mockServer.clock.getStatus().pendingTimers).toBe(0);
+  });
+
+  it('should run a stream per subscribed topic until unsubscribe', async () => {
+    const ws = await connect();
+    await send(ws, { op: 'subscribe', channel: 'book:BTC' });
+    await advance(500);
+    await send(ws, { op: 'subscribe', channel: 'book:ETH' });
+    await send(ws, { op: 'subscribe', channel: 'trades:BTC' });
+    await advance(500);
+    await send(ws, { op: 'unsubscribe', channel: 'book:BTC' });
+    await advance(500);
+
+    const books = of(ws, m => m.topic?.startsWith('book:') && m.seq !== undefined);
+    expect(books).toEqual([
+      { topic: 'book:BTC', seq: 1 },
+      { topic: 'book:BTC', seq: 2 },
+      { topic: 'book:ETH', seq: 1 },
+      { topic: 'book:ETH', seq: 2 }
+    ]);
+    expect(streams().map(task => task.topic).sort()).toEqual(['book:ETH', undefined]);
+
+    // Subscribing again starts a new sequence
+    await send(ws, { op: 'subscribe', channel: 'book:BTC' });
+    await advance(500);
+    expect(of(ws, m => m.topic === 'book:BTC' && m.seq !== undefined).pop()).toEqual({ topic: 'book:BTC', seq: 1 });
+  });
+
+  it('should start and stop streams from response rules', async () => {
+    const ws = await connect();
+    await send(ws, { op: 'watch', account: 'acc-7' });
+    await send(ws, { op: 'watch', account: 'acc-7' });
+    await advance(2000);
+    await send(ws, { op: 'unwatch' });
+    await advance(2000);
+
+    expect(of(ws, m => m.type === 'order')).toEqual([
+      { type: 'order', account: 'acc-7', seq: 1 },
+      { type: 'order', account: 'acc-7', seq: 2 }
+    ]);
+  });
+
+  it('should list streams and record their sends in the journal', async () => {
+    await request(server.server).delete('/__admin/ws/journal').expect(200);
+    await connect();
+    await waitFor(() => streams().length === 1);
+    await advance(1000);
+
+    const connectionId = mockServer.connectionManager.getConnectionsByConfig('stream-feed')[0].id;
+    const list = await request(server.server).get('/__admin/ws/scheduled?config=stream-feed').expect(200);
+    expect(list.body.tasks).toEqual([
+      expect.objectContaining({ taskKey: `stream-feed:heartbeat@${connectionId}`, messageId: 'heartbeat', connectionId, executionCount: 1 })
+    ]);
+
+    const count = await request(server.server).post('/__admin/ws/journal/count').send({ connectionId, type: 'scheduled', messageId: 'heartbeat' }).expect(200);
+    expect(count.body.count).toBe(1);
+  });
+
+  it('should reject invalid stream references', () => {
+    const { errors } = mockServer.configManager.validateConfiguration({
+      name: 'invalid-streams',
+      type: 'ws',
+      scheduledMessages: [
+        { id: 'book', interval: 500, startOn: 'subscribe', message: {} },
+        { id: 'global', interval: 500, message: {} }
+      ],
+      responseRules: [
+        { id: 'start', matcher: { type: 'exact', value: 'go' }, startStreams: ['missing', 'global'], stopStreams: ['global'], response: { message: 'ok' } }
+      ]
+    }, true);
+
+    expect(errors).toEqual([
+      "Scheduled message book: startOn 'subscribe' requires a topic and a subscriptions block",
+      "Rule start: unknown stream 'missing'",
+      "Rule start: stream 'global' must have startOn 'rule'",
+      "Rule start: 'global' is not a per-connection stream"
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { createTestServer } from '../helpers/server.js';
+
+describe('WebSocket Subscriptions Integration Tests', () => {
+  let mockServer;
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const config = {
+    name: 'ticker-feed',
+    type: 'ws',
+    path: '/ws/ticker',
+    subscriptions: {
+      subscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe' },
+        topic: '{{message.channels}}'
+      },
+      unsubscribe: {
+        matcher: { type: 'jsonPath', path: '$.op', value: 'unsubscribe' },
+        topic: 'price:{{message.symbol}}',
+        ack: { event: 'unsubscribed', channel: '{{subscription.topic}}', remaining: '{{subscription.topics}}' }
+      },
+      topics: ['price:*', 'trades:BTC_BRL']
+    },
+    scheduledMessages: [
+      { id: 'btc', interval: 1000, topic: 'price:BTC_BRL', message: { symbol: 'BTC_BRL' } },
+      { id: 'eth', interval: 1000, topic: 'price:ETH_BRL', message: { symbol: 'ETH_BRL' } },
+      { id: 'status', interval: 1000, message: { status: 'ok' } }
+    ],
+    responseRules: [
+      {
+        id: 'snapshot',
+        matcher: { type: 'jsonPath', path: '$.op', value: 'subscribe' },
+        response: { message: { type: 'snapshot' } }
+      }
+    ]
+  };
+
+  // Connected socket collecting every message it receives
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}/ws/ticker`);
+    ws.received = [];
+    ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (ws, count) => {
+    for (let i = 0; i < 100 && ws.received.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return ws.received;
+  };
+
+  // Let the server process the message before the clock moves
+  const send = async (ws, message, replies) => {
+    const expected = ws.received.length + replies;
+    ws.send(JSON.stringify(message));
+    return (await waitFor(ws, expected)).slice(-replies);
+  };
+
+  const tick = async (...clients) => {
+    const before = clients.map(ws => ws.received.length);
+    mockServer.clock.advance(1000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return clients.map((ws, i) => ws.received.slice(before[i]));
+  };
+
+  beforeAll(async () => {
+    ({ server, mockServer, wsUrl } = await createTestServer({ configs: [config], startScheduledMessages: false }));
+    expect(mockServer.configManager.validateConfiguration(config, true).isValid).toBe(true);
+
+    mockServer.clock.freeze();
+    mockServer.schedulerService.startScheduledMessages(config, (configName, message, options) => {
+      return mockServer.connectionManager.broadcast(configName, message, options);
+    });
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.close());
+  });
+
+  afterAll(async () => {
+    mockServer.schedulerService.stopAll();
+    mockServer.clock.reset();
+    if (server) {
+      await server.close();
+    }
+  });
+
+  it('should acknowledge each topic and then run matching response rules', async () => {
+    const ws = await connect();
+
+    const replies = await send(ws, { op: 'subscribe', channels: ['price:BTC_BRL', 'trades:BTC_BRL'] }, 3);
+
+    expect(replies).toEqual([
+      { type: 'subscribed', topic: 'price:BTC_BRL' },
+      { type: 'subscribed', topic: 'trades:BTC_BRL' },
+      { type: 'snapshot' }
+    ]);
+  });
+
+  it('should publish scheduled messages with a topic only to subscribers', async () => {
+    const btc = await connect();
+    const eth = await connect();
+    const idle = await connect();
+
+    await send(btc, { op: 'subscribe', channels: 'price:BTC_BRL' }, 2);
+    await send(eth, { op: 'subscribe', channels: ['price:ETH_BRL'] }, 2);
+
+    const [btcMessages, ethMessages, idleMessages] = await tick(btc, eth, idle);
+
+    expect(btcMessages).toEqual([{ symbol: 'BTC_BRL' }, { status: 'ok' }]);
+    expect(ethMessages).toEqual([{ symbol: 'ETH_BRL' }, { status: 'ok' }]);
+    expect(idleMessages).toEqual([{ status: 'ok' }]);
+  });
+
+  it('should publish to wildcard subscriptions', async () => {
+    const ws = await connect();
+    await send(ws, { op: 'subscribe', channels: 'price:*' }, 2);
+
+    const [messages] = await tick(ws);
+    expect(messages).toEqual([{ symbol: 'BTC_BRL' }, { symbol: 'ETH_BRL' }, { status: 'ok' }]);
+    expect(mockServer.connectionManager.findConnections({ topic: 'price:SOL_BRL' })).toHaveLength(1);
+  });
+
+  it('should stop publishing after unsubscribe', async () => {
+    const ws = await connect();
+    await send(ws, { op: 'subscribe', channels: ['price:BTC_BRL', 'price:ETH_BRL'] }, 3);
+
+    const [ack] = await send(ws, { op: 'unsubscribe', symbol: 'BTC_BRL' }, 1);
+    expect(ack).toEqual({ event: 'unsubscribed', channel: 'price:BTC_BRL', remaining: ['price:ETH_BRL'] });
+
+    const [messages] = await tick(ws);
+    expect(messages).toEqual([{ symbol: 'ETH_BRL' }, { status: 'ok' }]);
+  });
+
+  it('should reply with errors for rejected requests', async () => {
+    const ws = await connect();
+
+    const [unknown] = await send(ws, { op: 'subscribe', channels: ['trades:ETH_BRL'] }, 2);
+    expect(unknown).toEqual({ type: 'error', code: 'UNKNOWN_TOPIC', message: 'Unknown topic trades:ETH_BRL', topic: 'trades:ETH_BRL' });
+
+    const [missing] = await send(ws, { op: 'subscribe' }, 2);
+    expect(missing).toMatchObject({ type: 'error', code: 'INVALID_TOPIC' });
+
+    const [notSubscribed] = await send(ws, { op: 'unsubscribe', symbol: 'SOL_BRL' }, 1);
+    expect(notSubscribed).toEqual({ type: 'error', code: 'NOT_SUBSCRIBED', message: 'Not subscribed to price:SOL_BRL', topic: 'price:SOL_BRL' });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const FastTemplateEngine = require('../../src/modules/FastTemplateEngine.js');
+
+describe('FastTemplateEngine', () => {
+  let engine;
+  let mockLogger;
+
+  const restContext = {
+    request: {
+      body: {
+        side: 'buy',
+        amount: '0.5',
+        price: 250000,
+        items: [{ sku: 'btc', qty: 2 }, { sku: 'eth', qty: 3 }],
+        orders: [{ id: 'order-1' }, { id: 'order-2' }]
+      },
+      query: { limit: '10' }
+    }
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: vi.fn(),
+      error: vi.fn(),
+      warn: vi.fn(),
+      debug: vi.fn()
+    };
+
+    engine = new FastTemplateEngine(mockLogger);
+  });
+
+  describe('original placeholders', () => {
+    it('should keep resolving request fields and random values', () => {
+      const result = engine.process({
+        amount: '{{request.body.amount}}',
+        port: '{{random.number(8000,9000)}}'
+      }, restContext);
+
+      expect(result.amount).toBe('0.5');
+      expect(result.port).toBeGreaterThanOrEqual(8000);
+      expect(result.port).toBeLessThanOrEqual(9000);
+    });
+
+    it('should resolve other context data such as subscription details', () => {
+      const context = { subscription: { topic: 'price:BTC_BRL', topics: ['price:BTC_BRL'] }, scheduled: { executionCount: 3 } };
+
+      expect(engine.process('{{subscription.topics}}', context)).toEqual(['price:BTC_BRL']);
+      expect(engine.process('topic={{subscription.topic}} #{{scheduled.executionCount}}', context)).toBe('topic=price:BTC_BRL #3');
+      expect(engine.process('{{unknown.field}}', context)).toBe('{{unknown.field}}');
+    });
+  });
+
+  describe('typed output', () => {
+    const typedContext = {
+      request: {
+        body: { amount: 0.05, active: true, tags: ['spot'], meta: { pair: 'BTC_BRL' }, limit: '25', flag: 'false', payload: '{"a":[1,2]}' }
+      }
+    };
+
+    it('should keep the source type of whole-value placeholders', () => {
+      const result = engine.process({
+        amount: '{{request.body.amount}}',
+        active: '{{request.body.active}}',
+        tags: '{{request.body.tags}}',
+        meta: '{{message.body.meta}}',
+        now: '{{date.now}}'
+      }, typedContext);
+
+      expect(result.amount).toBe(0.05);
+      expect(result.active).toBe(true);
+      expect(result.tags).toEqual(['spot']);
+      expect(result.meta).toEqual({ pair: 'BTC_BRL' });
+      expect(typeof result.now).toBe('number');
+    });
+
+    it('should stringify values embedded in text', () => {
+      expect(engine.process('amount={{request.body.amount}}', typedContext)).toBe('amount=0.05');
+      expect(engine.process('meta={{request.body.meta}}', typedContext)).toBe('meta={"pair":"BTC_BRL"}');
+    });
+
+    it('should cast values with helpers', () => {
+      const result = engine.process({
+        limit: '{{toNumber request.body.limit}}',
+        page: "{{toInt '3.9'}}",
+        flag: '{{toBoolean request.body.flag}}',
+        amount: '{{toString request.body.amount}}',
+        parsed: '{{parseJson request.body.payload}}',
+        invalid: "{{toNumber 'abc'}}"
+      }, typedContext);
+
+      expect(result).toEqual({ limit: 25, page: 3, flag: false, amount: '0.05', parsed: { a: [1, 2] }, invalid: null });
+    });
+  });
+
+  describe('helpers and blocks', () => {
+    it('should compute arithmetic from the request body', () => {
+      const result = engine.process({
+        cost: "{{math request.body.amount '*' request.body.price}}",
+        rounded: '{{round (divide 10 3) 2}}',
+        fee: '{{multiply (add request.body.amount 0.5) 2}}'
+      }, restContext);
+
+      expect(result).toEqual({ cost: 125000, rounded: 3.33, fee: 2 });
+    });
+
+    it('should render conditionals with else branches', () => {
+      const template = "{{#if (eq request.body.side 'buy')}}BID{{else}}ASK{{/if}}";
+
+      expect(engine.process(template, restContext)).toBe('BID');
+      expect(engine.process(template, { request: { body: { side: 'sell' } } })).toBe('ASK');
+      expect(engine.process('{{#unless request.body.missing}}none{{/unless}}', restContext)).toBe('none');
+    });
+
+    it('should loop over request arrays with data variables and parent access', () => {
+      const template = '{{#each request.body.items}}{{@index}}:{{sku}}x{{qty}}@{{../request.body.price}}{{#unless @last}},{{/unless}}{{/each}}';
+
+      expect(engine.process(template, restContext)).toBe('0:btcx2@250000,1:ethx3@250000');
+    });
+
+    it('should apply string helpers', () => {
+      expect(engine.process('{{upper request.body.side}}-{{capitalize "ripio"}}', restContext)).toBe('BUY-Ripio');
+      expect(engine.process("{{default request.query.offset '0'}}", restContext)).toBe('0');
+      expect(engine.process("{{join (split 'a-b-c' '-') '|'}}", restContext)).toBe('a|b|c');
+    });
+
+    it('should extract values with JSONPath', () => {
+      expect(engine.process("{{jsonPath request.body '$.orders[1].id'}}", restContext)).toBe('order-2');
+      expect(engine.process("{{jsonPath request.body '$.orders[*].id'}}", restContext)).toEqual(['order-1', 'order-2']);
+    });
+
+    it('should expose WebSocket messages as message.*', () => {
+      const wsContext = { request: { amount: 2, price: 10 }, connection: { id: 'ws-1' } };
+
+      expect(engine.process('{{multiply message.amount message.price}} {{connection.id}}', wsContext)).toBe('20 ws-1');
+    });
+
+    it('should keep the type of whole-value helper calls', () => {
+      const result = engine.process({
+        total: '{{multiply request.body.amount 4}}',
+        first: "{{jsonPath request.body '$.orders[0]'}}",
+        label: 'total {{multiply request.body.amount 4}}'
+      }, restContext);
+
+      expect(result).toEqual({ total: 2, first: { id: 'order-1' }, label: 'total 2' });
+    });
+
+    it('should mix helpers with original placeholders', () => {
+      const result = engine.process('{{upper request.body.side}}-{{random.uuid}}', restContext);
+
+      expect(result).toMatch(/^BUY-[0-9a-f-]{36}$/);
+    });
+
+    it('should return the template unchanged on syntax errors', () => {
+      expect(engine.process('{{#if request.body.side}}open', restContext)).toBe('{{#if request.body.side}}open');
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+  });
+});
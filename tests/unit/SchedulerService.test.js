@@ -0,0 +1,219 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const SchedulerService = require('../../src/modules/SchedulerService.js');
+const VirtualClock = require('../../src/modules/VirtualClock.js');
+const FastTemplateEngine = require('../../src/modules/FastTemplateEngine.js');
+const SeededRandom = require('../../src/utils/seededRandom.js');
+const { parseCapture } = require('../../src/utils/replayCapture.js');
+
+describe('SchedulerService', () => {
+  let clock;
+  let scheduler;
+  let sent;
+
+  const testLogger = {
+    info: () => {},
+    error: () => {},
+    warn: () => {},
+    debug: () => {},
+    child: () => testLogger
+  };
+
+  const broadcast = (configName, message) => {
+    sent.push({ at: clock.date().toISOString(), message });
+    return { attempted: 1, successful: 1 };
+  };
+
+  const schedule = scheduledMsg => scheduler.scheduleMessage('feed', { id: 'msg', message: { n: '{{scheduled.executionCount}}' }, ...scheduledMsg }, broadcast);
+
+  const times = () => sent.map(entry => entry.at.slice(11, 23));
+
+  beforeEach(() => {
+    clock = new VirtualClock(testLogger);
+    clock.freeze(Date.parse('2030-01-07T08:59:00Z')); // a Monday
+    const templateEngine = new FastTemplateEngine(testLogger, { clock });
+    scheduler = new SchedulerService(testLogger, templateEngine, clock, new SeededRandom(42));
+    sent = [];
+  });
+
+  afterEach(() => {
+    scheduler.stopAll();
+  });
+
+  it('should send on a cron schedule', () => {
+    schedule({ cron: '*/20 * * * * *' });
+    expect(scheduler.getTask('feed:msg').nextExecution.toISOString()).toBe('2030-01-07T08:59:20.000Z');
+
+    clock.advance(60000);
+    expect(times()).toEqual(['08:59:20.000', '08:59:40.000', '09:00:00.000']);
+  });
+
+  it('should send on start before the first cron time', () => {
+    schedule({ cron: '0 * * * *', sendOnStart: true, startDelay: 1000 });
+
+    clock.advance(61000);
+    expect(times()).toEqual(['08:59:01.000', '09:00:00.000']);
+  });
+
+  it('should add jitter without drifting from the interval', () => {
+    schedule({ interval: 1000, jitter: { min: -200, max: 200 } });
+
+    clock.advance(5000);
+    expect(sent).toHaveLength(5);
+    sent.forEach((entry, index) => {
+      const offset = Date.parse(entry.at) - Date.parse('2030-01-07T08:59:00Z') - (index + 1) * 1000;
+      expect(Math.abs(offset)).toBeLessThanOrEqual(200);
+    });
+  });
+
+  it('should repeat the same jitter for the same seed', () => {
+    schedule({ interval: 1000, jitter: 500 });
+    clock.advance(10000);
+    const first = times();
+
+    scheduler.stopAll();
+    scheduler.random.setSeed(42);
+    sent = [];
+    clock.freeze(Date.parse('2030-01-07T08:59:00Z'));
+    schedule({ interval: 1000, jitter: 500 });
+    clock.advance(10000);
+
+    expect(times()).toEqual(first);
+  });
+
+  it('should stop after maxExecutions and keep the task listed', () => {
+    schedule({ interval: 1000, maxExecutions: 3 });
+
+    clock.advance(10000);
+    expect(sent.map(entry => entry.message.n)).toEqual([1, 2, 3]);
+    expect(scheduler.getTask('feed:msg')).toMatchObject({ state: 'completed', executions: 3, nextExecution: null });
+    expect(clock.getStatus().pendingTimers).toBe(0);
+  });
+
+  it('should send bursts back-to-back or spaced out', () => {
+    scheduler.scheduleMessage('feed', {
+      id: 'burst',
+      interval: 5000,
+      burst: { count: 3, spacing: 10 },
+      message: { index: '{{scheduled.burstIndex}}', size: '{{scheduled.burstSize}}' }
+    }, broadcast);
+
+    clock.advance(5020);
+    expect(times()).toEqual(['08:59:05.000', '08:59:05.010', '08:59:05.020']);
+    expect(sent.map(entry => entry.message)).toEqual([
+      { index: 0, size: 3 },
+      { index: 1, size: 3 },
+      { index: 2, size: 3 }
+    ]);
+
+    scheduler.stopAll();
+    sent = [];
+    schedule({ interval: 5000, burst: { count: 4 }, maxExecutions: 6 });
+    clock.advance(20000);
+    expect(times()).toEqual(Array(4).fill('08:59:10.020').concat(Array(2).fill('08:59:15.020')));
+  });
+
+  it('should drop pending burst messages when paused', () => {
+    schedule({ interval: 5000, burst: { count: 3, spacing: 100 } });
+
+    clock.advance(5000);
+    scheduler.pauseTask('feed:msg');
+    clock.advance(10000);
+
+    expect(sent).toHaveLength(1);
+  });
+
+  it('should only send inside its windows', () => {
+    schedule({
+      interval: 60000,
+      windows: [
+        { start: '09:00', end: '09:02' },
+        { start: '23:59', end: '00:01', days: ['tue'] }
+      ]
+    });
+
+    clock.advance(4 * 60000);
+    expect(times()).toEqual(['09:00:00.000', '09:01:00.000']);
+
+    sent = [];
+    clock.set(Date.parse('2030-01-07T23:58:30Z'));
+    clock.advance(4 * 60000);
+    // Only minutes falling on the Tuesday side of midnight
+    expect(times()).toEqual(['00:00:00.000']);
+  });
+
+  describe('replay', () => {
+    const capture = [
+      '{"timestamp": 0, "message": {"p": 1}}',
+      '{"timestamp": 400, "message": {"p": 2}}',
+      '{"timestamp": 1000, "message": {"p": 3}}'
+    ].join('\n');
+
+    const replay = options => schedule({ message: undefined, replay: { file: 'capture.jsonl', ...options, _frames: parseCapture(capture, options) } });
+
+    it('should send frames as recorded with their original timing', () => {
+      replay({});
+
+      clock.advance(5000);
+      expect(times()).toEqual(['08:59:00.000', '08:59:00.400', '08:59:01.000']);
+      expect(sent.map(entry => entry.message)).toEqual([{ p: 1 }, { p: 2 }, { p: 3 }]);
+      expect(scheduler.getTask('feed:msg')).toMatchObject({ state: 'completed', replay: { position: 3, frames: 3, loops: 0 } });
+    });
+
+    it('should apply speed, start offset and loop', () => {
+      replay({ speed: 2, startOffset: '400ms', loop: true, gap: 100 });
+
+      clock.advance(1000);
+      expect(times()).toEqual(['08:59:00.000', '08:59:00.300', '08:59:00.350', '08:59:00.650', '08:59:00.700', '08:59:01.000']);
+      expect(sent.map(entry => entry.message.p)).toEqual([2, 3, 2, 3, 2, 3]);
+      expect(scheduler.getTask('feed:msg').replay.loops).toBe(3);
+    });
+
+    it('should continue from the next frame after a pause', () => {
+      replay({});
+      clock.advance(500);
+      scheduler.pauseTask('feed:msg');
+      clock.advance(5000);
+      scheduler.resumeTask('feed:msg');
+      clock.advance(600);
+
+      expect(sent.map(entry => entry.message.p)).toEqual([1, 2, 3]);
+    });
+  });
+
+  it('should validate timing options', () => {
+    expect(SchedulerService.validateSchedule({ cron: '* * *', interval: 1000, jitter: { min: 10, max: 5 }, windows: [{ start: '10:00', end: '10:00' }] })).toEqual([
+      'use either interval or cron, not both',
+      'cron Cron expression \'* * *\' must have 5 or 6 fields',
+      'jitter min must not be greater than max',
+      'window 0 start and end must differ'
+    ]);
+    expect(SchedulerService.validateSchedule({ interval: 1000, sendOnStart: true, replay: { file: 'a.jsonl', startOffset: 'later' } })).toEqual([
+      'replay sets its own timing and cannot be combined with interval, sendOnStart',
+      'replay startOffset must be a duration of 0 or more'
+    ]);
+  });
+
+  it('should switch between interval and cron on update', () => {
+    schedule({ interval: 1000, jitter: 100 });
+    scheduler.updateTask('feed:msg', { cron: '0 * * * *', jitter: null });
+
+    const task = scheduler.scheduledTasks.get('feed:msg').scheduledMsg;
+    expect(task.interval).toBeUndefined();
+    expect(task.jitter).toBeUndefined();
+    expect(task.cron).toBe('0 * * * *');
+  });
+
+  it('should keep the stream details of a task on update', () => {
+    const options = { taskKey: 'feed:msg:conn-1:price:BTC', connectionId: 'conn-1', topic: 'price:BTC', context: { symbol: 'BTC' } };
+    scheduler.scheduleMessage('feed', { id: 'msg', interval: 1000, message: { symbol: '{{symbol}}' } }, broadcast, options);
+    scheduler.updateTask(options.taskKey, { interval: 2000 });
+
+    const task = scheduler.scheduledTasks.get(options.taskKey);
+    expect(task).toMatchObject({ connectionId: 'conn-1', streamTopic: 'price:BTC', context: { symbol: 'BTC' }, interval: 2000 });
+    expect(scheduler.scheduledTasks.has('feed:msg')).toBe(false);
+  });
+});
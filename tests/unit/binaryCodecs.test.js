@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { encodeMessagePack, decodeMessagePack, encodeCbor, decodeCbor } = require('../../src/utils/binaryCodecs.js');
+const { encodeFrame, decodeFrame, parseHex, validateFrame, MAX_INFLATED_SIZE } = require('../../src/utils/binaryFrames.js');
+const zlib = require('zlib');
+
+describe('binaryCodecs', () => {
+  const value = {
+    symbol: 'BTC_BRL',
+    price: 250000.5,
+    sizes: [0, 127, 128, 65536, 2 ** 40, -1, -33, -40000],
+    text: 'x'.repeat(40),
+    flags: [true, false, null],
+    nested: { bytes: Buffer.from([1, 2, 3]) }
+  };
+
+  it('should encode MessagePack like the reference implementation', () => {
+    expect(encodeMessagePack({ compact: true, schema: 0 }).toString('hex')).toBe('82a7636f6d70616374c3a6736368656d6100');
+    expect(encodeMessagePack([1, -1, 300, 'a']).toString('hex')).toBe('9401ffcd012ca161');
+  });
+
+  it('should encode CBOR like the reference implementation', () => {
+    expect(encodeCbor({ a: 1, b: [2, 3] }).toString('hex')).toBe('a26161016162820203');
+    expect(encodeCbor([-1, 1000000, 1.1]).toString('hex')).toBe('83201a000f4240fb3ff199999999999a');
+  });
+
+  it('should round-trip JSON values', () => {
+    expect(decodeMessagePack(encodeMessagePack(value))).toEqual(value);
+    expect(decodeCbor(encodeCbor(value))).toEqual(value);
+  });
+
+  it('should decode CBOR indefinite lengths, half floats and date tags', () => {
+    expect(decodeCbor(Buffer.from('bf6161f5ff', 'hex'))).toEqual({ a: true });
+    expect(decodeCbor(Buffer.from('9f0102ff', 'hex'))).toEqual([1, 2]);
+    expect(decodeCbor(Buffer.from('f93e00', 'hex'))).toBe(1.5);
+    expect(decodeCbor(Buffer.from('c11a514b67b0', 'hex'))).toEqual(new Date('2013-03-21T20:04:00Z'));
+  });
+
+  it('should keep __proto__ keys as plain properties', () => {
+    // { "__proto__": { "polluted": true } }
+    const msgpack = decodeMessagePack(Buffer.from('81a95f5f70726f746f5f5f81a8706f6c6c75746564c3', 'hex'));
+    const cbor = decodeCbor(Buffer.from('a1695f5f70726f746f5f5fa168706f6c6c75746564f5', 'hex'));
+
+    for (const decoded of [msgpack, cbor]) {
+      expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+      expect(decoded.polluted).toBeUndefined();
+      expect(Object.keys(decoded)).toEqual(['__proto__']);
+      expect(Object.getOwnPropertyDescriptor(decoded, '__proto__').value).toEqual({ polluted: true });
+    }
+  });
+
+  it('should reject truncated or trailing data', () => {
+    expect(() => decodeMessagePack(Buffer.from('81a1', 'hex'))).toThrow('Unexpected end of binary data');
+    expect(() => decodeCbor(Buffer.from('0101', 'hex'))).toThrow('Unexpected data after CBOR value');
+  });
+});
+
+describe('binaryFrames', () => {
+  it('should build frames from each encoding', () => {
+    const render = template => JSON.parse(JSON.stringify(template).replace('{{symbol}}', 'BTC_BRL'));
+
+    expect(encodeFrame({ base64: 'AQID' })).toEqual(Buffer.from([1, 2, 3]));
+    expect(encodeFrame({ hex: '0x01 02 # header\n03' })).toEqual(Buffer.from([1, 2, 3]));
+    expect(decodeMessagePack(encodeFrame({ msgpack: { s: '{{symbol}}' } }, render))).toEqual({ s: 'BTC_BRL' });
+    expect(decodeFrame(encodeFrame({ gzip: { s: 1 } }), 'gzip')).toEqual({ s: 1 });
+    expect(decodeFrame(encodeFrame({ deflate: 'pong' }), 'deflate')).toBe('pong');
+  });
+
+  it('should refuse compressed frames that inflate beyond the limit', () => {
+    const bomb = Buffer.alloc(MAX_INFLATED_SIZE + 1, 0x20);
+
+    expect(() => decodeFrame(zlib.gzipSync(bomb), 'gzip')).toThrow(RangeError);
+    expect(() => decodeFrame(zlib.deflateSync(bomb), 'deflate')).toThrow(RangeError);
+    expect(() => decodeFrame(zlib.deflateRawSync(bomb), 'deflate')).toThrow(RangeError);
+  });
+
+  it('should validate binary blocks', () => {
+    expect(validateFrame({ hex: '0102' })).toEqual([]);
+    expect(validateFrame({ hex: '012' })).toEqual(['"hex" must be pairs of hex digits']);
+    expect(validateFrame({ hex: '01', base64: 'AQ==' })).toHaveLength(1);
+    expect(() => parseHex('zz')).toThrow('Invalid hex data');
+  });
+});
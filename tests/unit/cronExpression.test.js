@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { parseCron, nextCronTime } = require('../../src/utils/cronExpression.js');
+
+const next = (expression, after) => new Date(nextCronTime(parseCron(expression), Date.parse(after))).toISOString();
+
+describe('cronExpression', () => {
+  it('should find the next minute, hour and day', () => {
+    expect(next('*/15 * * * *', '2030-01-01T00:07:30Z')).toBe('2030-01-01T00:15:00.000Z');
+    expect(next('0 9 * * *', '2030-01-01T09:00:00Z')).toBe('2030-01-02T09:00:00.000Z');
+    expect(next('30 23 31 dec *', '2030-06-01T00:00:00Z')).toBe('2030-12-31T23:30:00.000Z');
+  });
+
+  it('should support a leading seconds field', () => {
+    expect(next('*/10 * * * * *', '2030-01-01T00:00:00.500Z')).toBe('2030-01-01T00:00:10.000Z');
+    expect(next('5 0 * * * *', '2030-01-01T00:00:05Z')).toBe('2030-01-01T01:00:05.000Z');
+  });
+
+  it('should match weekdays by name and number, with Sunday as 0 or 7', () => {
+    // 2030-01-05 is a Saturday
+    expect(next('0 8 * * mon-fri', '2030-01-05T12:00:00Z')).toBe('2030-01-07T08:00:00.000Z');
+    expect(next('0 8 * * 7', '2030-01-05T12:00:00Z')).toBe('2030-01-06T08:00:00.000Z');
+  });
+
+  it('should match either day field when both are restricted', () => {
+    expect(next('0 0 15 * mon', '2030-01-08T00:00:00Z')).toBe('2030-01-14T00:00:00.000Z');
+    expect(next('0 0 1,15 * *', '2030-01-02T00:00:00Z')).toBe('2030-01-15T00:00:00.000Z');
+  });
+
+  it('should return null for dates that never occur', () => {
+    expect(nextCronTime(parseCron('0 0 30 feb *'), Date.parse('2030-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('should reject invalid expressions', () => {
+    expect(() => parseCron('* * *')).toThrow('must have 5 or 6 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('minute value 61 is out of range 0-59');
+    expect(() => parseCron('*/0 * * * *')).toThrow("Invalid minute step '0'");
+    expect(() => parseCron('0 0 * * funday')).toThrow("Invalid dayOfWeek value 'funday'");
+    expect(() => parseCron('0 10-5 * * *')).toThrow("Invalid hour range '10-5'");
+  });
+});
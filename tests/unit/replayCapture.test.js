@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { parseCapture } = require('../../src/utils/replayCapture.js');
+
+describe('replayCapture', () => {
+  it('should read frames with offsets from the first timestamp', () => {
+    const capture = [
+      '{"timestamp": "2024-03-01T12:00:00.000Z", "message": {"p": 1}}',
+      '',
+      '// reconnect',
+      '{"timestamp": "2024-03-01T12:00:00.250Z", "message": "pong"}',
+      '{"timestamp": 1709294401250, "message": {"p": 2}}'
+    ].join('\n');
+
+    expect(parseCapture(capture)).toEqual([
+      { offset: 0, message: { p: 1 } },
+      { offset: 250, message: 'pong' },
+      { offset: 1250, message: { p: 2 } }
+    ]);
+  });
+
+  it('should send lines without a message field whole, minus the timestamp', () => {
+    const capture = '{"ts": 100, "e": "trade"}\n{"ts": 160, "e": "trade", "p": 2}\r\n';
+
+    expect(parseCapture(capture, { timestampField: 'ts' })).toEqual([
+      { offset: 0, message: { e: 'trade' } },
+      { offset: 60, message: { e: 'trade', p: 2 } }
+    ]);
+  });
+
+  it('should space lines without timestamps by gap', () => {
+    const capture = '{"request_id": "a"}\n{"request_id": "b"}\n{"timestamp": 5000, "request_id": "c"}\n{"timestamp": 5100, "request_id": "d"}';
+
+    expect(parseCapture(capture, { gap: 200 }).map(frame => frame.offset)).toEqual([0, 200, 400, 500]);
+  });
+
+  it('should reject invalid captures', () => {
+    expect(() => parseCapture('{"message": 1}\n{nope')).toThrow('line 2: invalid JSON');
+    expect(() => parseCapture('{"timestamp": "yesterday-ish", "message": 1}')).toThrow('line 1: invalid timestamp');
+    expect(() => parseCapture('{"timestamp": 200, "message": 1}\n{"timestamp": 100, "message": 2}')).toThrow('line 2: timestamp is earlier than the previous frame');
+    expect(() => parseCapture('\n// nothing\n')).toThrow('capture has no frames');
+  });
+});